@@ -1,77 +1,238 @@
 const express = require('express');
+const crypto = require('crypto');
 const dotenv = require('dotenv');
-const dashboardController = require('./controllers/dashboardController');
 
 // Load environment variables from .env file
+// This happens before loading providers so they can read their settings
 dotenv.config();
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+const dashboardController = require('./controllers/dashboardController');
+const profileController = require('./controllers/profileController');
+const apiKeyController = require('./controllers/apiKeyController');
+const alertController = require('./controllers/alertController');
+const graphqlController = require('./controllers/graphqlController');
+const viewController = require('./controllers/viewController');
+const quoteController = require('./controllers/quoteController');
+const snapshotController = require('./controllers/snapshotController');
+const cityController = require('./controllers/cityController');
+const { validateQuery } = require('./middleware/validate');
+const routeSchemas = require('./validation/routes');
+const { buildOpenApiDocument } = require('./validation/openapi');
+const { requireApiKey, requireAdmin } = require('./middleware/apiKeyAuth');
+const rateLimiter = require('./middleware/rateLimiter');
+const providers = require('./providers');
+const { getBreakerStates } = require('./services/circuitBreaker');
+const fixtureService = require('./services/fixtureService');
+const metrics = require('./services/metricsService');
+const logger = require('./utils/logger');
+const { runWithContext } = require('./utils/requestContext');
+
+// Build the Express app with every route and middleware
+// Nothing is started here: src/server.js binds the port and runs background
+// jobs, so the app can also be created in tests without listening.
+// While app.locals.shuttingDown is set, responses ask clients to close their
+// connection so keep-alive sockets drain during a graceful shutdown.
+function createApp() {
+    const app = express();
+    app.locals.shuttingDown = false;
+
+    app.use((req, res, next) => {
+        if (app.locals.shuttingDown) {
+            res.set('Connection', 'close');
+        }
+        next();
+    });
+
+    // Middleware for parsing JSON requests
+    app.use(express.json());
+
+    // Give every request an id (or reuse a valid X-Request-ID from the client),
+    // echo it back and make it available to everything the request triggers
+    app.use((req, res, next) => {
+        const incoming = req.get('X-Request-ID');
+        const requestId = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+        req.id = requestId;
+        res.set('X-Request-ID', requestId);
+        runWithContext({ requestId }, next);
+    });
+
+    // Log every request as structured JSON and record it in the metrics
+    app.use((req, res, next) => {
+        const start = process.hrtime.bigint();
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+            // Use the route pattern (e.g. /profiles/:name) so metrics labels stay bounded
+            const route = req.route ? req.route.path : 'unmatched';
+            metrics.observeRequest({ method: req.method, route, status: res.statusCode, durationMs });
+            logger.info('Request completed', {
+                method: req.method,
+                // View link tokens are credentials, so they are kept out of the logs
+                path: req.originalUrl.replace(/([?&]token=)[^&]*/, '$1[redacted]'),
+                route,
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10,
+                apiKeyId: req.apiKey ? req.apiKey.id : null
+            });
+        });
+        next();
+    });
+
+    // Health check endpoint
+    // Reports, per provider, the last successful and failed fetch and the state
+    // of its circuit breaker; the service is "degraded" while any breaker is not closed
+    app.get('/health', (req, res) => {
+        const breakers = getBreakerStates();
+        const providerIds = providers.listProviders().map(provider => provider.id);
+        const health = metrics.getProviderHealth(providerIds);
+        Object.keys(health).forEach(id => {
+            health[id].circuit = breakers[id] || null;
+        });
+        const degraded = Object.values(breakers).some(breaker => breaker.state !== 'closed');
+        res.json({
+            status: degraded ? 'degraded' : 'healthy',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            providerMode: fixtureService.getSettings().mode,
+            providers: health
+        });
+    });
 
-// Middleware for parsing JSON requests
-app.use(express.json());
+    // Prometheus metrics endpoint
+    app.get('/metrics', async (req, res) => {
+        res.set('Content-Type', metrics.register.contentType);
+        res.send(await metrics.register.metrics());
+    });
+
+    // OpenAPI description of the dashboard routes, generated from their schemas
+    app.get('/openapi.json', (req, res) => {
+        res.json(buildOpenApiDocument({ serverUrl: `${req.protocol}://${req.get('host')}` }));
+    });
 
-// Custom middleware to log all requests
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-    next();
-});
+    // Basic route for testing
+    app.get('/', (req, res) => {
+        res.json({
+            message: 'Welcome to your Personal API Dashboard',
+            availableEndpoints: [
+                '/health',
+                '/metrics',
+                '/openapi.json',
+                '/dashboard',
+                '/dashboard/stream',
+                '/view',
+                '/profiles',
+                '/quotes',
+                '/usage',
+                '/alerts',
+                '/snapshots',
+                '/weather/cities',
+                '/graphql',
+                ...providers.listProviders().map(provider => `/${provider.id}`)
+            ],
+            widgets: providers.listProviders().map(provider => ({
+                id: provider.id,
+                description: provider.description,
+                endpoint: `/${provider.id}`,
+                ttl: provider.ttl,
+                options: providers.describeSchema(provider)
+            }))
+        });
+    });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime()
+    // Every route below needs an API key with the right scope and counts
+    // against that key's quota. Some routes also have a tighter limit of their own.
+    const quotaLimiter = rateLimiter({
+        name: 'quota',
+        strategy: process.env.RATE_LIMIT_STRATEGY || 'fixed-window',
+        useKeyQuota: true
     });
-});
-
-// Basic route for testing
-app.get('/', (req, res) => {
-    res.json({
-        message: 'Welcome to your Personal API Dashboard',
-        availableEndpoints: [
-            '/health',
-            '/dashboard',
-            '/weather',
-            '/news',
-            '/quote',
-            '/crypto'
-        ]
+    const routeLimiters = {
+        stream: rateLimiter({ name: 'stream', strategy: 'token-bucket', limit: 10, windowMs: 60 * 1000 }),
+        profileWrites: rateLimiter({ name: 'profile-writes', strategy: 'sliding-log', limit: 30, windowMs: 60 * 1000 })
+    };
+    const protect = (scope, routeLimiter) =>
+        [requireApiKey(scope), quotaLimiter, ...(routeLimiter ? [routeLimiter] : [])];
+
+    // Dashboard routes
+    app.get('/dashboard', protect('dashboard:read'), validateQuery(routeSchemas.dashboardQuery), dashboardController.getDashboard);
+    app.get('/dashboard/stream', protect('dashboard:read', routeLimiters.stream), validateQuery(routeSchemas.streamQuery),
+        dashboardController.streamDashboard);
+    // HTML version of the dashboard (?theme=light|dark, ?refresh=<seconds>)
+    // Browsers open it through a signed link (?token=) made with POST /view/links.
+    app.get('/view', requireApiKey('dashboard:read', { viewLink: true }), quotaLimiter,
+        validateQuery(routeSchemas.viewQuery), viewController.renderDashboard);
+    app.post('/view/links', protect('dashboard:read'), viewController.createViewLink);
+    // Dashboard profile routes
+    app.get('/profiles', protect('profiles:read'), profileController.listProfiles);
+    app.post('/profiles', protect('profiles:write', routeLimiters.profileWrites), profileController.createProfile);
+    app.get('/profiles/:name', protect('profiles:read'), profileController.getProfile);
+    app.put('/profiles/:name', protect('profiles:write', routeLimiters.profileWrites), profileController.updateProfile);
+    app.delete('/profiles/:name', protect('profiles:write', routeLimiters.profileWrites), profileController.deleteProfile);
+    // Local quote library and favourites
+    app.get('/quotes', protect('quotes:read'), validateQuery(routeSchemas.quotesQuery), quoteController.listQuotes);
+    app.post('/quotes', protect('quotes:write'), quoteController.createQuote);
+    app.post('/quotes/import', protect('quotes:write'), express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+        quoteController.importQuotes);
+    app.get('/quotes/tags', protect('quotes:read'), quoteController.listTags);
+    app.get('/quotes/favourites/:viewer', protect('quotes:read'), quoteController.listFavourites);
+    app.put('/quotes/favourites/:viewer/:id', protect('quotes:write'), quoteController.addFavourite);
+    app.delete('/quotes/favourites/:viewer/:id', protect('quotes:write'), quoteController.removeFavourite);
+    app.get('/quotes/:id', protect('quotes:read'), quoteController.getQuote);
+    app.delete('/quotes/:id', protect('quotes:write'), quoteController.deleteQuote);
+    // Dashboard snapshots and diffs
+    app.get('/snapshots', protect('snapshots:read'), validateQuery(routeSchemas.snapshotsQuery), snapshotController.listSnapshots);
+    app.post('/snapshots', protect('snapshots:write'), snapshotController.createSnapshot);
+    app.get('/snapshots/diff', protect('snapshots:read'), validateQuery(routeSchemas.snapshotDiffQuery),
+        snapshotController.diffSnapshots);
+    app.get('/snapshots/:id', protect('snapshots:read'), snapshotController.getSnapshot);
+    // Alert rules and history
+    app.get('/alerts', protect('alerts:read'), alertController.listAlerts);
+    app.get('/alerts/rules', protect('alerts:read'), alertController.listRules);
+    app.post('/alerts/rules', protect('alerts:write'), alertController.createRule);
+    app.get('/alerts/rules/:id', protect('alerts:read'), alertController.getRule);
+    app.put('/alerts/rules/:id', protect('alerts:write'), alertController.updateRule);
+    app.delete('/alerts/rules/:id', protect('alerts:write'), alertController.deleteRule);
+    app.post('/alerts/rules/:id/evaluate', protect('alerts:write'), alertController.evaluateRule);
+    // GraphQL: fetch any combination of widgets and fields in one request
+    // Each widget field checks its own <widget>:read scope.
+    app.get('/graphql', protect(), graphqlController.handleQuery);
+    app.post('/graphql', protect(), graphqlController.handleQuery);
+    // Usage of the calling key
+    app.get('/usage', protect(), apiKeyController.getOwnUsage);
+    // API key administration (requires ADMIN_API_KEY)
+    app.post('/admin/keys', requireAdmin, apiKeyController.createKey);
+    app.get('/admin/keys', requireAdmin, apiKeyController.listKeys);
+    app.get('/admin/keys/:id', requireAdmin, apiKeyController.getKey);
+    app.delete('/admin/keys/:id', requireAdmin, apiKeyController.revokeKey);
+    app.get('/admin/keys/:id/usage', requireAdmin, apiKeyController.getKeyUsage);
+    // City names the weather widget accepts
+    app.get('/weather/cities', protect('weather:read'), validateQuery(routeSchemas.citiesQuery), cityController.searchCities);
+    // One route per registered widget provider, each with its own read scope
+    providers.listProviders().forEach(provider => {
+        app.get(`/${provider.id}`, protect(`${provider.id}:read`), validateQuery(routeSchemas.widgetQuery(provider.id)),
+            dashboardController.getWidget(provider.id));
     });
-});
-
-// Dashboard routes
-app.get('/dashboard', dashboardController.getDashboard);
-app.get('/weather', dashboardController.getWeather);
-app.get('/news', dashboardController.getNews);
-app.get('/quote', dashboardController.getQuote);
-app.get('/crypto', dashboardController.getCrypto);
-
-// Global error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Error:', err.message);
-    console.error('Stack:', err.stack);
-
-    res.status(500).json({
-        error: 'Something went wrong!',
-        message: err.message,
-        timestamp: new Date().toISOString()
+
+    // Global error handling middleware
+    app.use((err, req, res, next) => {
+        logger.error('Unhandled error', { error: err.message, stack: err.stack });
+
+        res.status(500).json({
+            error: 'Something went wrong!',
+            message: err.message,
+            timestamp: new Date().toISOString()
+        });
     });
-});
-
-// Handle 404 errors for undefined routes
-app.use((req, res) => {
-    res.status(404).json({
-        error: 'Endpoint not found',
-        message: `The endpoint ${req.originalUrl} does not exist`,
-        timestamp: new Date().toISOString()
+
+    // Handle 404 errors for undefined routes
+    app.use((req, res) => {
+        res.status(404).json({
+            error: 'Endpoint not found',
+            message: `The endpoint ${req.originalUrl} does not exist`,
+            timestamp: new Date().toISOString()
+        });
     });
-});
 
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-    console.log(`Visit http://localhost:${PORT} to see your dashboard`);
-});
+    return app;
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = { createApp };
@@ -0,0 +1,28 @@
+const { callPrimary } = require('../cluster/ipc');
+// Cluster cache store
+// Used by cluster workers: entries live in a memory store in the primary
+// process (see cluster/storeHost.js), so every worker shares one cache.
+// Values cross the IPC channel as JSON, like with the Redis store.
+function createClusterStore() {
+    return {
+        name: 'cluster',
+
+        async get(key) {
+            return callPrimary('cache', 'get', [key]);
+        },
+
+        async set(key, value, ttlMs) {
+            await callPrimary('cache', 'set', [key, value, ttlMs]);
+        },
+
+        async delete(key) {
+            await callPrimary('cache', 'delete', [key]);
+        },
+
+        async clear() {
+            await callPrimary('cache', 'clear');
+        }
+    };
+}
+
+module.exports = createClusterStore;
@@ -0,0 +1,40 @@
+// In-memory cache store
+// Entries live in a Map inside this process and expire lazily when read.
+// This is the default store and needs no extra setup.
+function createMemoryStore({ maxEntries = 500 } = {}) {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            const item = entries.get(key);
+            if (!item) return null;
+            if (item.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return item.value;
+        },
+
+        async set(key, value, ttlMs) {
+            // Re-inserting moves the key to the end so the oldest entry is evicted first
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+            if (entries.size > maxEntries) {
+                const oldestKey = entries.keys().next().value;
+                entries.delete(oldestKey);
+            }
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+
+        async clear() {
+            entries.clear();
+        }
+    };
+}
+
+module.exports = createMemoryStore;
@@ -0,0 +1,35 @@
+// Redis-compatible cache store
+// Works with any client exposing get/set/del/scan in the ioredis style
+// (ioredis itself, or a local Redis/KeyDB/Valkey server for testing).
+// Values are stored as JSON and expire through Redis' own PX option.
+function createRedisStore(client, { keyPrefix = 'dashboard:cache:' } = {}) {
+    return {
+        name: 'redis',
+
+        async get(key) {
+            const raw = await client.get(keyPrefix + key);
+            return raw ? JSON.parse(raw) : null;
+        },
+
+        async set(key, value, ttlMs) {
+            await client.set(keyPrefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.ceil(ttlMs)));
+        },
+
+        async delete(key) {
+            await client.del(keyPrefix + key);
+        },
+
+        async clear() {
+            let cursor = '0';
+            do {
+                const [nextCursor, keys] = await client.scan(cursor, 'MATCH', `${keyPrefix}*`, 'COUNT', 100);
+                if (keys.length > 0) {
+                    await client.del(...keys);
+                }
+                cursor = nextCursor;
+            } while (cursor !== '0');
+        }
+    };
+}
+
+module.exports = createRedisStore;
@@ -0,0 +1,81 @@
+// Messages between cluster workers and the primary process
+// Workers can't share memory, so in cluster mode the cache and rate limit
+// state live in the primary and workers call into it over the IPC channel
+// Node sets up for forked workers. Each call is { type, id, target, method,
+// args } and is answered with { type, id, result } or { type, id, error }.
+const REQUEST_TYPE = 'dashboard:store-request';
+const REPLY_TYPE = 'dashboard:store-reply';
+const CALL_TIMEOUT_MS = parseInt(process.env.CLUSTER_IPC_TIMEOUT_MS) || 2000;
+
+const pending = new Map();
+let nextId = 0;
+let listening = false;
+
+// Whether this process is a worker forked by src/cluster/primary.js
+function isClusterWorker() {
+    return process.env.DASHBOARD_WORKER_INDEX !== undefined && typeof process.send === 'function';
+}
+
+function handleReply(message) {
+    if (!message || message.type !== REPLY_TYPE) return;
+    const call = pending.get(message.id);
+    if (!call) return;
+    pending.delete(message.id);
+    clearTimeout(call.timer);
+    if (message.error) {
+        call.reject(new Error(message.error));
+    } else {
+        call.resolve(message.result);
+    }
+}
+
+// Worker side: call a method on one of the primary's stores
+function callPrimary(target, method, args = []) {
+    if (!listening) {
+        process.on('message', handleReply);
+        listening = true;
+    }
+    return new Promise((resolve, reject) => {
+        const id = ++nextId;
+        const timer = setTimeout(() => {
+            pending.delete(id);
+            reject(new Error(`Cluster ${target}.${method} call timed out`));
+        }, CALL_TIMEOUT_MS);
+        timer.unref();
+        pending.set(id, { resolve, reject, timer });
+        process.send({ type: REQUEST_TYPE, id, target, method, args }, error => {
+            if (error) {
+                pending.delete(id);
+                clearTimeout(timer);
+                reject(error);
+            }
+        });
+    });
+}
+
+// Primary side: answer a worker's calls with the given handlers
+// handlers is { [target]: { [method]: async (...args) => result } }
+function serveWorker(worker, handlers) {
+    worker.on('message', async message => {
+        if (!message || message.type !== REQUEST_TYPE) return;
+        const reply = { type: REPLY_TYPE, id: message.id };
+        try {
+            const handler = handlers[message.target] && handlers[message.target][message.method];
+            if (typeof handler !== 'function') {
+                throw new Error(`Unknown cluster call ${message.target}.${message.method}`);
+            }
+            reply.result = await handler(...message.args);
+        } catch (error) {
+            reply.error = error.message;
+        }
+        if (worker.isConnected()) {
+            worker.send(reply);
+        }
+    });
+}
+
+module.exports = {
+    isClusterWorker,
+    callPrimary,
+    serveWorker
+};
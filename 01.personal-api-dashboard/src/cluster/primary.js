@@ -0,0 +1,71 @@
+const cluster = require('cluster');
+const { serveWorker } = require('./ipc');
+const createStoreHost = require('./storeHost');
+const logger = require('../utils/logger');
+// Cluster primary
+// Forks the workers that run the app, hosts the cache and rate limit state
+// they share, restarts workers that crash and passes SIGTERM/SIGINT on so
+// every worker shuts down gracefully before the primary exits.
+// Each worker gets a fixed DASHBOARD_WORKER_INDEX that a replacement keeps;
+// background jobs (alerts, snapshots) only run in worker 0.
+const RESTART_DELAY_MS = 1000;
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000;
+
+function runPrimary({ workers }) {
+    const host = createStoreHost();
+    const indexes = new Map();
+    let shuttingDown = false;
+
+    function fork(index) {
+        const worker = cluster.fork({ DASHBOARD_WORKER_INDEX: String(index) });
+        indexes.set(worker.id, index);
+        serveWorker(worker, host);
+        return worker;
+    }
+
+    cluster.on('exit', (worker, code, signal) => {
+        const index = indexes.get(worker.id);
+        indexes.delete(worker.id);
+        if (shuttingDown) {
+            if (indexes.size === 0) {
+                logger.info('All workers stopped');
+                process.exit(0);
+            }
+            return;
+        }
+        logger.warn('Worker exited, starting a replacement', { workerIndex: index, code, signal });
+        setTimeout(() => fork(index), RESTART_DELAY_MS);
+    });
+
+    function shutdown(signal) {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        logger.info('Stopping workers', { signal, workers: indexes.size });
+        if (indexes.size === 0) {
+            process.exit(0);
+        }
+        for (const worker of Object.values(cluster.workers)) {
+            worker.process.kill('SIGTERM');
+        }
+        // Workers get their own shutdown timeout; this is the last resort
+        setTimeout(() => {
+            logger.error('Workers did not stop in time, killing them');
+            for (const worker of Object.values(cluster.workers)) {
+                worker.process.kill('SIGKILL');
+            }
+            process.exit(1);
+        }, SHUTDOWN_TIMEOUT_MS + 5000).unref();
+    }
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    for (let index = 0; index < workers; index++) {
+        fork(index);
+    }
+    logger.info('Cluster primary started', { pid: process.pid, workers });
+}
+
+module.exports = {
+    runPrimary
+};
@@ -0,0 +1,27 @@
+const createCacheMemoryStore = require('../cache/memoryStore');
+const createRateLimitMemoryStore = require('../rateLimit/memoryStore');
+const { getStrategy } = require('../rateLimit/strategies');
+// Shared state kept by the cluster primary
+// The same memory stores a single process uses, exposed as IPC handlers for
+// the cluster cache and rate limit stores in the workers.
+function createStoreHost() {
+    const cache = createCacheMemoryStore({
+        maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 500
+    });
+    const rateLimit = createRateLimitMemoryStore();
+
+    return {
+        cache: {
+            get: key => cache.get(key),
+            set: (key, value, ttlMs) => cache.set(key, value, ttlMs),
+            delete: key => cache.delete(key),
+            clear: () => cache.clear()
+        },
+        rateLimit: {
+            consume: (strategyName, key, options) => rateLimit.consume(getStrategy(strategyName), key, options),
+            reset: key => rateLimit.reset(key)
+        }
+    };
+}
+
+module.exports = createStoreHost;
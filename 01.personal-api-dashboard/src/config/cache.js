@@ -0,0 +1,31 @@
+const createMemoryStore = require('../cache/memoryStore');
+const createRedisStore = require('../cache/redisStore');
+const createClusterStore = require('../cache/clusterStore');
+const { isClusterWorker } = require('../cluster/ipc');
+const { getRedisClient } = require('./redis');
+const logger = require('../utils/logger');
+// Cache store selection
+// The in-memory store is used unless CACHE_STORE=redis is set, in which case
+// the shared Redis connection (see config/redis.js) is used. Cluster workers
+// default to the cluster store, which keeps one cache in the primary process;
+// CACHE_STORE=memory gives each worker its own cache instead.
+function createCacheStore() {
+    const storeType = process.env.CACHE_STORE || (isClusterWorker() ? 'cluster' : 'memory');
+    if (storeType === 'cluster' && isClusterWorker()) {
+        return createClusterStore();
+    }
+    if (storeType === 'redis') {
+        try {
+            const store = createRedisStore(getRedisClient());
+            logger.info('Using Redis cache store');
+            return store;
+        } catch (error) {
+            logger.warn('Redis cache initialization error, falling back to memory', { error: error.message });
+        }
+    }
+    return createMemoryStore({
+        maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 500
+    });
+}
+
+module.exports = createCacheStore();
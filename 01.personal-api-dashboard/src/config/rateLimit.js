@@ -0,0 +1,29 @@
+const createMemoryStore = require('../rateLimit/memoryStore');
+const createRedisStore = require('../rateLimit/redisStore');
+const createClusterStore = require('../rateLimit/clusterStore');
+const { isClusterWorker } = require('../cluster/ipc');
+const { getRedisClient } = require('./redis');
+const logger = require('../utils/logger');
+// Rate limit store selection
+// Limits are kept per process in memory unless RATE_LIMIT_STORE=redis is set,
+// in which case every process sharing the Redis server shares the limits.
+// Cluster workers default to the cluster store, which checks limits in the
+// primary process so they hold across workers.
+function createRateLimitStore() {
+    const storeType = process.env.RATE_LIMIT_STORE || (isClusterWorker() ? 'cluster' : 'memory');
+    if (storeType === 'cluster' && isClusterWorker()) {
+        return createClusterStore();
+    }
+    if (storeType === 'redis') {
+        try {
+            const store = createRedisStore(getRedisClient());
+            logger.info('Using Redis rate limit store');
+            return store;
+        } catch (error) {
+            logger.warn('Redis rate limit initialization error, falling back to memory', { error: error.message });
+        }
+    }
+    return createMemoryStore();
+}
+
+module.exports = createRateLimitStore();
@@ -0,0 +1,35 @@
+const logger = require('../utils/logger');
+// Shared Redis connection
+// Created on first use so the app runs without Redis unless a feature (cache
+// or rate limit store) is configured to use it. REDIS_URL defaults to
+// redis://localhost:6379 and may point at any Redis-compatible server.
+let client = null;
+
+function getRedisClient() {
+    if (client) return client;
+    const Redis = require('ioredis');
+    client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+        maxRetriesPerRequest: 2,
+        connectTimeout: 5000
+    });
+    client.on('error', (error) => {
+        logger.error('Redis connection error', { error: error.message });
+    });
+    client.on('connect', () => {
+        logger.info('Redis connected successfully');
+    });
+    return client;
+}
+
+// Close the connection, if one was opened, so the process can exit cleanly
+async function closeRedisClient() {
+    if (!client) return;
+    const closing = client;
+    client = null;
+    await closing.quit();
+}
+
+module.exports = {
+    getRedisClient,
+    closeRedisClient
+};
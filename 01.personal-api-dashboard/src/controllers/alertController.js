@@ -0,0 +1,119 @@
+const alertService = require('../services/alertService');
+const alertScheduler = require('../services/alertScheduler');
+// Send a consistent error response for alert operations
+function sendError(res, error) {
+    if (error.validationErrors) {
+        return res.status(400).json({
+            success: false,
+            error: error.message,
+            details: error.validationErrors,
+            timestamp: new Date().toISOString()
+        });
+    }
+    res.status(error.message === 'Alert rule not found' ? 404 : 500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+    });
+}
+// Alert history, newest first (?ruleId= and ?limit= up to 500)
+async function listAlerts(req, res) {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const alerts = await alertService.getHistory({ ruleId: req.query.ruleId, limit });
+        res.json({
+            success: true,
+            count: alerts.length,
+            data: alerts
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function listRules(req, res) {
+    try {
+        const rules = await alertService.listRules();
+        res.json({
+            success: true,
+            count: rules.length,
+            data: rules
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function getRule(req, res) {
+    try {
+        const rule = await alertService.getRule(req.params.id);
+        if (!rule) {
+            throw new Error('Alert rule not found');
+        }
+        res.json({
+            success: true,
+            data: { ...rule, state: await alertService.getRuleState(rule.id) }
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+// Create a rule
+// Body: { name, widget, options, condition, webhookUrl, cooldownMs, enabled }
+async function createRule(req, res) {
+    try {
+        const rule = await alertService.createRule(req.body || {});
+        res.status(201).json({
+            success: true,
+            data: rule
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function updateRule(req, res) {
+    try {
+        const rule = await alertService.updateRule(req.params.id, req.body || {});
+        res.json({
+            success: true,
+            data: rule
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function deleteRule(req, res) {
+    try {
+        await alertService.deleteRule(req.params.id);
+        res.json({
+            success: true,
+            message: `Alert rule ${req.params.id} deleted`
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+// Evaluate a rule right away instead of waiting for the scheduler
+async function evaluateRule(req, res) {
+    try {
+        const rule = await alertService.getRule(req.params.id);
+        if (!rule) {
+            throw new Error('Alert rule not found');
+        }
+        const alerts = await alertScheduler.evaluate(rule);
+        res.json({
+            success: true,
+            count: alerts.length,
+            data: alerts
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+module.exports = {
+    listAlerts,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    evaluateRule
+};
@@ -0,0 +1,119 @@
+const apiKeyService = require('../services/apiKeyService');
+const { getKeyQuotaUsage } = require('../middleware/rateLimiter');
+// Send a consistent error response for key operations
+function sendError(res, error) {
+    if (error.validationErrors) {
+        return res.status(400).json({
+            success: false,
+            error: error.message,
+            details: error.validationErrors,
+            timestamp: new Date().toISOString()
+        });
+    }
+    res.status(error.message === 'API key not found' ? 404 : 500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+    });
+}
+// Usage totals for a key plus how much of its current quota window is used
+async function buildUsage(id) {
+    const usage = await apiKeyService.getUsage(id);
+    if (!usage) {
+        throw new Error('API key not found');
+    }
+    const key = await apiKeyService.getKey(id);
+    return {
+        ...usage,
+        currentQuota: await getKeyQuotaUsage(key)
+    };
+}
+// Issue a new key
+// Body: { client, scopes: ["news:read", ...], quota: { requests, windowMs } }
+// The plain key is only ever returned in this response.
+async function createKey(req, res) {
+    try {
+        const key = await apiKeyService.createKey(req.body || {});
+        res.status(201).json({
+            success: true,
+            message: 'Store this key now, it will not be shown again',
+            data: key
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function listKeys(req, res) {
+    try {
+        const keys = await apiKeyService.listKeys();
+        res.json({
+            success: true,
+            count: keys.length,
+            data: keys
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function getKey(req, res) {
+    try {
+        const key = await apiKeyService.getKey(req.params.id);
+        if (!key) {
+            throw new Error('API key not found');
+        }
+        res.json({
+            success: true,
+            data: key
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+// Revoked keys stay listed (with revokedAt) so their usage remains visible
+async function revokeKey(req, res) {
+    try {
+        const key = await apiKeyService.revokeKey(req.params.id);
+        res.json({
+            success: true,
+            data: key
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function getKeyUsage(req, res) {
+    try {
+        res.json({
+            success: true,
+            data: await buildUsage(req.params.id)
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+// Usage for the key making the request
+async function getOwnUsage(req, res) {
+    try {
+        if (!req.apiKey) {
+            return res.status(400).json({
+                success: false,
+                error: 'API key authentication is disabled',
+                timestamp: new Date().toISOString()
+            });
+        }
+        res.json({
+            success: true,
+            data: await buildUsage(req.apiKey.id)
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+module.exports = {
+    createKey,
+    listKeys,
+    getKey,
+    revokeKey,
+    getKeyUsage,
+    getOwnUsage
+};
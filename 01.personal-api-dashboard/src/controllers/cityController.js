@@ -0,0 +1,22 @@
+const gazetteer = require('../services/gazetteerService');
+// City lookup for the weather widget
+// ?q= is the start of a city name; the matches can be passed to /weather as
+// ?city=<name>, or "<name>, <country>" when several cities share a name.
+function searchCities(req, res) {
+    const cities = gazetteer.searchCities(req.query.q, parseInt(req.query.limit) || 10);
+    res.json({
+        success: true,
+        count: cities.length,
+        data: cities.map(city => ({
+            name: city.name,
+            country: city.country,
+            latitude: city.latitude,
+            longitude: city.longitude,
+            timezone: city.timezone
+        }))
+    });
+}
+
+module.exports = {
+    searchCities
+};
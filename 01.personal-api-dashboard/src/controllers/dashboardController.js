@@ -1,30 +1,63 @@
 const apiService = require('../services/apiService');
+const profileService = require('../services/profileService');
+const streamService = require('../services/streamService');
+const providers = require('../providers');
+const { canRead } = require('../middleware/apiKeyAuth');
+const { sendValidationError } = require('../middleware/validate');
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.STREAM_HEARTBEAT_MS) || 15 * 1000;
+// Expose how a response was served through X-Cache (HIT, STALE or MISS) and Age
+function setCacheHeaders(res, cacheInfo) {
+    res.set('X-Cache', cacheInfo.status);
+    res.set('Age', String(cacheInfo.age));
+}
+// Combine per-widget cache info into one value for the whole dashboard
+// Any miss makes the dashboard a MISS, otherwise any stale widget makes it STALE
+function summarizeCache(widgetCache) {
+    const entries = Object.values(widgetCache);
+    if (entries.length === 0 || entries.some(entry => entry.status === 'MISS')) {
+        return { status: 'MISS', age: 0 };
+    }
+    return {
+        status: entries.some(entry => entry.status === 'STALE') ? 'STALE' : 'HIT',
+        age: Math.max(...entries.map(entry => entry.age))
+    };
+}
+function sendProfileNotFound(req, res) {
+    return res.status(404).json({
+        success: false,
+        error: `Profile ${req.query.profile} not found`,
+        timestamp: new Date().toISOString()
+    });
+}
 // Controler for the main dashboard endpoint
-// This aggregates data from al services
+// This aggregates data from al registered providers, or only the widgets
+// chosen in a saved profile when ?profile=<name> is given. Widgets the API
+// key has no read scope for are left out.
 async function getDashboard(req, res) {
     try {
-        const dashboardData = await apiService.getDashboardData();
-        res.json({
-            success: true,
-            data: dashboardData
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
+        let widgets = providers.listProviders().map(provider => provider.id);
+        let getOptions;
+        let profile = null;
+        if (req.query.profile) {
+            profile = await profileService.getProfile(req.query.profile);
+            if (!profile) {
+                return sendProfileNotFound(req, res);
+            }
+            widgets = profile.widgets;
+            getOptions = id => profileService.getWidgetOptions(profile, id);
+        }
+        const { data: dashboardData, cache } = await apiService.fetchDashboard({
+            widgets: widgets.filter(id => canRead(req, id)),
+            getOptions
         });
-    }
-}
-// Controler for weather data only
-async function getWeather(req, res) {
-    try {
-        // Alow users to specify custom coordinates via query parameters
-        const { latitude, longitude } = req.query;
-        const weatherData = await apiService.getWeatherData(latitude, longitude);
+        if (profile) {
+            dashboardData.profile = profile.name;
+            dashboardData.layout = { ...profile.layout, order: profile.widgets };
+        }
+        setCacheHeaders(res, summarizeCache(cache));
         res.json({
             success: true,
-            data: weatherData
+            data: dashboardData
         });
     } catch (error) {
         res.status(500).json({
@@ -34,67 +67,94 @@ async function getWeather(req, res) {
         });
     }
 }
-// Controler for news data only
-async function getNews(req, res) {
-    try {
-        // Alow users to specify how many stories they want
-        const limit = parseInt(req.query.limit) || 5;
-        // Validate the limit parameter
-        if (limit < 1 || limit > 20) {
-            return res.status(400).json({
+// Controler factory for a single widget
+// Query parameters are passed to the provider, which validates them
+// against its config schema (e.g. ?latitude= for weather, ?limit= for news).
+// With ?profile=<name> the profile's saved options are used as the base
+// and ?location=<name> picks one of its saved locations.
+function getWidget(providerId) {
+    return async (req, res) => {
+        try {
+            const { profile: profileName, location, ...query } = req.query;
+            let options = query;
+            if (profileName) {
+                const profile = await profileService.getProfile(profileName);
+                if (!profile) {
+                    return sendProfileNotFound(req, res);
+                }
+                options = {
+                    ...profileService.getWidgetOptions(profile, providerId, { location }),
+                    ...query
+                };
+            }
+            const { data: widgetData, cache } = await apiService.fetchWidget(providerId, options);
+            setCacheHeaders(res, cache);
+            res.json({
+                success: true,
+                data: widgetData
+            });
+        } catch (error) {
+            if (error.validationErrors) {
+                return sendValidationError(res, error.validationErrors);
+            }
+            res.status(500).json({
                 success: false,
-                error: 'Limit must be between 1 and 20',
+                error: error.message,
                 timestamp: new Date().toISOString()
             });
         }
-        const newsData = await apiService.getNewsData(limit);
-        res.json({
-            success: true,
-            data: newsData
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-}// Controler for quote data only
-async function getQuote(req, res) {
-    try {
-        const quoteData = await apiService.getQuoteData();
-        res.json({
-            success: true,
-            data: quoteData
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
+    };
 }
-// Controler for cryptocurrency data only
-async function getCrypto(req, res) {
-    try {
-        const cryptoData = await apiService.getCryptoData();
-        res.json({
-            success: true,
-            data: cryptoData
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
+// Write one Server-Sent Event to the response
+function writeEvent(res, { id, event, data }) {
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+// Controler for the live dashboard stream (Server-Sent Events)
+// Sends a "widget" event whenever a widget refreshes and a "heartbeat" event
+// every few seconds. Reconnecting clients send Last-Event-ID (or ?lastEventId=)
+// and receive the updates they missed. ?widgets=weather,news limits the stream.
+function streamDashboard(req, res) {
+    const widgetFilter = req.query.widgets ?
+        new Set(String(req.query.widgets).split(',').map(id => id.trim()).filter(Boolean)) : null;
+    const wanted = event => canRead(req, event.widget) &&
+        (!widgetFilter || widgetFilter.has(event.widget));
+    const send = event => {
+        if (wanted(event)) {
+            writeEvent(res, { id: event.id, event: 'widget', data: event.data });
+        }
+    };
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stop reverse proxies such as nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    streamService.getEventsSince(lastEventId !== undefined ? parseInt(lastEventId) : undefined)
+        .forEach(send);
+
+    // On shutdown the client is told to come back later (to another instance)
+    const unsubscribe = streamService.subscribe(send, () => {
+        writeEvent(res, { event: 'shutdown', data: { time: new Date().toISOString() } });
+        res.end();
+    });
+    const heartbeat = setInterval(() => {
+        writeEvent(res, { event: 'heartbeat', data: { time: new Date().toISOString() } });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
 }
 module.exports = {
     getDashboard,
-    getWeather,
-    getNews,
-    getQuote,
-    getCrypto
-};
\ No newline at end of file
+    streamDashboard,
+    getWidget
+};
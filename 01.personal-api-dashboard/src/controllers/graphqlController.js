@@ -0,0 +1,61 @@
+const { parse, validate, execute, specifiedRules } = require('graphql');
+const schema = require('../graphql/schema');
+const { queryLimitsRule } = require('../graphql/limits');
+// Controler for the GraphQL endpoint
+// Accepts POST { query, variables, operationName } or the same values as query
+// parameters on GET. Requests that don't parse or validate, or ask for more
+// than graphql/limits.js allows, get a 400; once a query runs the response is
+// 200 and per-field problems are listed in "errors".
+function readRequest(req) {
+    if (req.method === 'POST') {
+        return req.body || {};
+    }
+    let variables = req.query.variables;
+    if (typeof variables === 'string') {
+        try {
+            variables = JSON.parse(variables);
+        } catch (error) {
+            return { invalid: 'variables must be valid JSON' };
+        }
+    }
+    return { query: req.query.query, variables, operationName: req.query.operationName };
+}
+
+function sendErrors(res, status, errors) {
+    res.status(status).json({ errors });
+}
+
+async function handleQuery(req, res) {
+    const { query, variables, operationName, invalid } = readRequest(req);
+    if (invalid) {
+        return sendErrors(res, 400, [{ message: invalid }]);
+    }
+    if (typeof query !== 'string' || query.trim() === '') {
+        return sendErrors(res, 400, [{ message: 'A query string is required' }]);
+    }
+    let document;
+    try {
+        document = parse(query);
+    } catch (error) {
+        return sendErrors(res, 400, [error.toJSON()]);
+    }
+    const validationErrors = validate(schema, document, [...specifiedRules, queryLimitsRule]);
+    if (validationErrors.length > 0) {
+        return sendErrors(res, 400, validationErrors.map(error => error.toJSON()));
+    }
+    try {
+        const result = await execute({
+            schema,
+            document,
+            variableValues: variables,
+            operationName,
+            contextValue: req
+        });
+        res.json(result);
+    } catch (error) {
+        sendErrors(res, 500, [{ message: error.message }]);
+    }
+}
+module.exports = {
+    handleQuery
+};
@@ -0,0 +1,90 @@
+const profileService = require('../services/profileService');
+// Send a consistent error response for profile operations
+function sendError(res, error) {
+    if (error.validationErrors) {
+        return res.status(400).json({
+            success: false,
+            error: error.message,
+            details: error.validationErrors,
+            timestamp: new Date().toISOString()
+        });
+    }
+    const status = error.message === 'Profile not found' ? 404 :
+        error.message === 'Profile already exists' ? 409 : 500;
+    res.status(status).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+    });
+}
+// List every saved dashboard profile
+async function listProfiles(req, res) {
+    try {
+        const profiles = await profileService.listProfiles();
+        res.json({
+            success: true,
+            count: profiles.length,
+            data: profiles
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+// Get a single profile by name
+async function getProfile(req, res) {
+    try {
+        const profile = await profileService.getProfile(req.params.name);
+        if (!profile) {
+            throw new Error('Profile not found');
+        }
+        res.json({
+            success: true,
+            data: profile
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+// Create a new profile
+// Body: { name, widgets, locations: [{ name, latitude, longitude }], options, layout }
+async function createProfile(req, res) {
+    try {
+        const profile = await profileService.createProfile(req.body || {});
+        res.status(201).json({
+            success: true,
+            data: profile
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+// Update an existing profile; fields that are left out keep their values
+async function updateProfile(req, res) {
+    try {
+        const profile = await profileService.updateProfile(req.params.name, req.body || {});
+        res.json({
+            success: true,
+            data: profile
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function deleteProfile(req, res) {
+    try {
+        await profileService.deleteProfile(req.params.name);
+        res.json({
+            success: true,
+            message: `Profile ${req.params.name} deleted`
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+module.exports = {
+    listProfiles,
+    getProfile,
+    createProfile,
+    updateProfile,
+    deleteProfile
+};
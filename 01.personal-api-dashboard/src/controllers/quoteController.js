@@ -0,0 +1,148 @@
+const quoteLibrary = require('../services/quoteLibraryService');
+// Send a consistent error response for quote library operations
+function sendError(res, error) {
+    if (error.validationErrors) {
+        return res.status(400).json({
+            success: false,
+            error: error.message,
+            details: error.validationErrors,
+            timestamp: new Date().toISOString()
+        });
+    }
+    const status = error.message === 'Quote not found' ? 404 :
+        error.message === 'Quote already exists' ? 409 : 500;
+    res.status(status).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+    });
+}
+// List quotes in the local library
+// Filters: ?tag=, ?author= and ?search= (text), paged with ?limit= and ?offset=
+async function listQuotes(req, res) {
+    try {
+        const { tag, author, search } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { total, quotes } = await quoteLibrary.listQuotes({ tag, author, search, limit, offset });
+        res.json({
+            success: true,
+            count: quotes.length,
+            total,
+            data: quotes
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+// Tags used in the library with their quote counts
+async function listTags(req, res) {
+    try {
+        const tags = await quoteLibrary.listTags();
+        res.json({
+            success: true,
+            count: tags.length,
+            data: tags
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function getQuote(req, res) {
+    try {
+        const quote = await quoteLibrary.getQuote(req.params.id);
+        if (!quote) {
+            throw new Error('Quote not found');
+        }
+        res.json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+// Add one quote
+// Body: { content, author, tags }
+async function createQuote(req, res) {
+    try {
+        const quote = await quoteLibrary.addQuote(req.body || {});
+        res.status(201).json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function deleteQuote(req, res) {
+    try {
+        await quoteLibrary.deleteQuote(req.params.id);
+        res.json({
+            success: true,
+            message: `Quote ${req.params.id} deleted`
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+// Import quotes in bulk
+// Send CSV (Content-Type: text/csv, header row content,author,tags) or a JSON
+// array of { content, author, tags }. Rows with problems are reported back.
+async function importQuotes(req, res) {
+    try {
+        const format = req.is('text/csv') || req.is('text/plain') ? 'csv' : 'json';
+        const result = await quoteLibrary.importQuotes(req.body, format);
+        res.status(result.imported > 0 ? 201 : 200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function listFavourites(req, res) {
+    try {
+        const quotes = await quoteLibrary.getFavourites(req.params.viewer);
+        res.json({
+            success: true,
+            count: quotes.length,
+            data: quotes
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function addFavourite(req, res) {
+    try {
+        const quote = await quoteLibrary.addFavourite(req.params.viewer, req.params.id);
+        res.json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function removeFavourite(req, res) {
+    try {
+        await quoteLibrary.removeFavourite(req.params.viewer, req.params.id);
+        res.json({
+            success: true,
+            message: `Quote ${req.params.id} removed from ${req.params.viewer}'s favourites`
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+module.exports = {
+    listQuotes,
+    listTags,
+    getQuote,
+    createQuote,
+    deleteQuote,
+    importQuotes,
+    listFavourites,
+    addFavourite,
+    removeFavourite
+};
@@ -0,0 +1,101 @@
+const snapshotService = require('../services/snapshotService');
+const { sendValidationError } = require('../middleware/validate');
+// Send a consistent error response for snapshot operations
+function sendError(res, error) {
+    res.status(error.message === 'Snapshot not found' ? 404 : 500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+    });
+}
+// ISO date or milliseconds since the epoch
+function parseTime(value) {
+    if (value === undefined) return undefined;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+// List snapshots, newest first
+// ?from= and ?to= (ISO date or ms) limit the time range, ?limit= the count
+async function listSnapshots(req, res) {
+    try {
+        const from = parseTime(req.query.from);
+        const to = parseTime(req.query.to);
+        const errors = [];
+        if (from === null) errors.push({ field: 'from', message: 'from must be an ISO date or a timestamp in ms' });
+        if (to === null) errors.push({ field: 'to', message: 'to must be an ISO date or a timestamp in ms' });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        const snapshots = await snapshotService.listSnapshots({
+            from,
+            to,
+            limit: parseInt(req.query.limit) || 100
+        });
+        res.json({
+            success: true,
+            count: snapshots.length,
+            data: snapshots
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+// Take a snapshot now
+async function createSnapshot(req, res) {
+    try {
+        const snapshot = await snapshotService.takeSnapshot();
+        res.status(201).json({
+            success: true,
+            data: snapshot
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+async function getSnapshot(req, res) {
+    try {
+        const snapshot = await snapshotService.getSnapshot(req.params.id);
+        if (!snapshot) {
+            throw new Error('Snapshot not found');
+        }
+        res.json({
+            success: true,
+            data: snapshot
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+// Compare two snapshots
+// ?from= and ?to= take a snapshot id, "latest" or a time (the last snapshot
+// at or before it), e.g. ?from=2026-10-18T09:00:00Z for "since yesterday".
+// to defaults to the latest snapshot.
+async function diffSnapshots(req, res) {
+    try {
+        const fromRef = req.query.from;
+        const toRef = req.query.to || 'latest';
+        const [from, to] = await Promise.all([
+            snapshotService.findSnapshot(fromRef),
+            snapshotService.findSnapshot(toRef)
+        ]);
+        if (!from || !to) {
+            return res.status(404).json({
+                success: false,
+                error: `No snapshot found for ${!from ? `from=${fromRef}` : `to=${toRef}`}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        res.json({
+            success: true,
+            data: snapshotService.diffSnapshots(from, to)
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+module.exports = {
+    listSnapshots,
+    createSnapshot,
+    getSnapshot,
+    diffSnapshots
+};
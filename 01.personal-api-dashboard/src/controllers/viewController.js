@@ -0,0 +1,105 @@
+const apiService = require('../services/apiService');
+const profileService = require('../services/profileService');
+const viewLinkService = require('../services/viewLinkService');
+const providers = require('../providers');
+const { canRead } = require('../middleware/apiKeyAuth');
+const { THEMES, escapeHtml, renderDashboardPage } = require('../views/dashboardView');
+const DEFAULT_REFRESH_SECONDS = parseInt(process.env.VIEW_REFRESH_SECONDS) || 60;
+const MIN_REFRESH_SECONDS = 10;
+
+// ?refresh=<seconds>, 0 turns auto refresh off
+function readRefresh(raw) {
+    if (raw === undefined) return DEFAULT_REFRESH_SECONDS;
+    const seconds = parseInt(raw);
+    if (!Number.isInteger(seconds) || seconds <= 0) return 0;
+    return Math.max(seconds, MIN_REFRESH_SECONDS);
+}
+
+function sendErrorPage(res, status, message) {
+    res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>Dashboard error</title></head>
+<body><h1>Dashboard unavailable</h1><p>${escapeHtml(message)}</p></body></html>`);
+}
+
+// Controler for the HTML dashboard
+// Query parameters: ?theme=auto|light|dark, ?refresh=<seconds> and
+// ?profile=<name> to show a saved profile with its widget order and columns.
+// Widgets that fail are still shown, as an error card.
+async function renderDashboard(req, res) {
+    try {
+        const theme = THEMES.includes(req.query.theme) ? req.query.theme : 'auto';
+        const refreshSeconds = readRefresh(req.query.refresh);
+        let widgets = providers.listProviders().map(provider => provider.id);
+        let getOptions;
+        let profile = null;
+        if (req.query.profile) {
+            profile = await profileService.getProfile(req.query.profile);
+            if (!profile) {
+                return sendErrorPage(res, 404, `Profile ${req.query.profile} not found`);
+            }
+            widgets = profile.widgets;
+            getOptions = id => profileService.getWidgetOptions(profile, id);
+        }
+        widgets = widgets.filter(id => canRead(req, id));
+        const { data: dashboard } = await apiService.fetchDashboard({ widgets, getOptions });
+        const links = {
+            theme: name => `${req.path}?${new URLSearchParams({ ...req.query, theme: name })}`
+        };
+        res.set('Cache-Control', 'no-store');
+        // The URL may hold a view link token; don't pass it on to linked sites
+        res.set('Referrer-Policy', 'no-referrer');
+        res.type('html').send(renderDashboardPage({
+            dashboard,
+            widgets,
+            theme,
+            refreshSeconds,
+            title: profile ? `${profile.name} dashboard` : 'Personal Dashboard',
+            columns: profile && profile.layout ? profile.layout.columns : null,
+            links
+        }));
+    } catch (error) {
+        sendErrorPage(res, 500, error.message);
+    }
+}
+// Create a link that opens the HTML dashboard in a browser with the caller's key
+// Body: { expiresInSeconds } (default one day, at most 30 days). Any query
+// parameters the view takes, such as profile or theme, can be added to the URL.
+function createViewLink(req, res) {
+    const { expiresInSeconds = viewLinkService.DEFAULT_TTL_SECONDS } = req.body || {};
+    if (!Number.isInteger(expiresInSeconds) || expiresInSeconds < 60 ||
+        expiresInSeconds > viewLinkService.MAX_TTL_SECONDS) {
+        return res.status(400).json({
+            success: false,
+            error: `expiresInSeconds must be an integer from 60 to ${viewLinkService.MAX_TTL_SECONDS}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+    if (!req.apiKey) {
+        return res.status(400).json({
+            success: false,
+            error: 'View links need an API key (authentication is disabled)',
+            timestamp: new Date().toISOString()
+        });
+    }
+    const link = viewLinkService.createToken(req.apiKey, expiresInSeconds);
+    if (!link) {
+        return res.status(503).json({
+            success: false,
+            error: 'View links disabled',
+            message: 'Set VIEW_LINK_SECRET to enable view links',
+            timestamp: new Date().toISOString()
+        });
+    }
+    res.status(201).json({
+        success: true,
+        data: {
+            url: `${req.protocol}://${req.get('host')}/view?${new URLSearchParams({ token: link.token })}`,
+            expiresAt: link.expiresAt
+        }
+    });
+}
+
+module.exports = {
+    renderDashboard,
+    createViewLink
+};
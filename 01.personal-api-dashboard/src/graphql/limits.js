@@ -0,0 +1,66 @@
+const { GraphQLError, Kind } = require('graphql');
+// Validation rule that limits how much work one GraphQL query can ask for
+// Every widget field is a provider fetch, and aliases let a query ask for the
+// same widget many times, so a query is refused when it has too many widget
+// fields, aliases, selections (fragments counted each time they are spread)
+// or levels of nesting. The limits leave room for a standard introspection query.
+const LIMITS = {
+    widgets: 10,
+    aliases: 20,
+    selections: 300,
+    depth: 15
+};
+
+// Walk an operation, expanding fragments, and total up what it selects
+// Stops as soon as a limit is passed, so huge queries cost little to reject.
+function measure(context, selectionSet, totals, depth, spreading = new Set()) {
+    for (const selection of selectionSet.selections) {
+        if (overLimit(totals)) return;
+        totals.selections++;
+        if (selection.kind === Kind.FIELD) {
+            totals.depth = Math.max(totals.depth, depth + 1);
+            if (selection.alias) totals.aliases++;
+            if (depth === 0 && !selection.name.value.startsWith('__')) totals.widgets++;
+            if (selection.selectionSet) {
+                measure(context, selection.selectionSet, totals, depth + 1, spreading);
+            }
+        } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+            measure(context, selection.selectionSet, totals, depth, spreading);
+        } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+            const name = selection.name.value;
+            const fragment = context.getFragment(name);
+            // Unknown and cyclic fragments are reported by the standard rules
+            if (fragment && !spreading.has(name)) {
+                spreading.add(name);
+                measure(context, fragment.selectionSet, totals, depth, spreading);
+                spreading.delete(name);
+            }
+        }
+    }
+}
+
+function overLimit(totals) {
+    return Object.keys(LIMITS).some(name => totals[name] > LIMITS[name]);
+}
+
+function queryLimitsRule(context) {
+    return {
+        OperationDefinition(node) {
+            const totals = { widgets: 0, aliases: 0, selections: 0, depth: 0 };
+            measure(context, node.selectionSet, totals, 0);
+            Object.keys(LIMITS)
+                .filter(name => totals[name] > LIMITS[name])
+                .forEach(name => {
+                    context.reportError(new GraphQLError(
+                        `Query exceeds the limit of ${LIMITS[name]} ${name === 'depth' ? 'levels of nesting' : name}`,
+                        { nodes: node, extensions: { code: 'QUERY_TOO_COMPLEX' } }
+                    ));
+                });
+        }
+    };
+}
+
+module.exports = {
+    LIMITS,
+    queryLimitsRule
+};
@@ -0,0 +1,281 @@
+const {
+    GraphQLSchema,
+    GraphQLObjectType,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLString,
+    GraphQLInt,
+    GraphQLFloat,
+    GraphQLBoolean,
+    GraphQLError
+} = require('graphql');
+const apiService = require('../services/apiService');
+const { canRead } = require('../middleware/apiKeyAuth');
+const { charge } = require('../middleware/rateLimiter');
+// GraphQL schema for the dashboard
+// Every widget is a field on Query, so a client asks for just the widgets and
+// fields it renders. Providers are only called for the fields in the query.
+const list = type => new GraphQLList(new GraphQLNonNull(type));
+
+// Fields every widget shares: when it was fetched and whether it is a fallback
+const widgetFields = {
+    lastUpdated: { type: GraphQLString },
+    stale: {
+        type: new GraphQLNonNull(GraphQLBoolean),
+        resolve: data => Boolean(data.stale)
+    },
+    staleReason: { type: GraphQLString }
+};
+
+const LocationType = new GraphQLObjectType({
+    name: 'Location',
+    fields: {
+        name: { type: GraphQLString },
+        country: { type: GraphQLString },
+        latitude: { type: GraphQLFloat },
+        longitude: { type: GraphQLFloat }
+    }
+});
+
+const WeatherUnitsType = new GraphQLObjectType({
+    name: 'WeatherUnits',
+    fields: {
+        system: { type: GraphQLString },
+        temperature: { type: GraphQLString },
+        windSpeed: { type: GraphQLString },
+        precipitation: { type: GraphQLString }
+    }
+});
+
+const HourlyForecastType = new GraphQLObjectType({
+    name: 'HourlyForecast',
+    fields: {
+        time: { type: GraphQLString },
+        temperature: { type: GraphQLFloat },
+        weatherCode: { type: GraphQLInt },
+        condition: { type: GraphQLString },
+        icon: { type: GraphQLString },
+        windSpeed: { type: GraphQLFloat },
+        precipitationProbability: { type: GraphQLInt }
+    }
+});
+
+const DailyForecastType = new GraphQLObjectType({
+    name: 'DailyForecast',
+    fields: {
+        date: { type: GraphQLString },
+        temperatureMax: { type: GraphQLFloat },
+        temperatureMin: { type: GraphQLFloat },
+        weatherCode: { type: GraphQLInt },
+        condition: { type: GraphQLString },
+        icon: { type: GraphQLString },
+        precipitationSum: { type: GraphQLFloat },
+        precipitationProbability: { type: GraphQLInt },
+        windSpeedMax: { type: GraphQLFloat }
+    }
+});
+
+const WeatherType = new GraphQLObjectType({
+    name: 'Weather',
+    fields: {
+        location: { type: LocationType },
+        units: { type: WeatherUnitsType },
+        temperature: { type: GraphQLFloat },
+        weatherCode: { type: GraphQLInt },
+        condition: { type: GraphQLString },
+        icon: { type: GraphQLString },
+        windSpeed: { type: GraphQLFloat },
+        isDay: { type: GraphQLBoolean },
+        timezone: { type: GraphQLString },
+        hourly: { type: list(HourlyForecastType) },
+        daily: { type: list(DailyForecastType) },
+        ...widgetFields
+    }
+});
+
+const CommentType = new GraphQLObjectType({
+    name: 'Comment',
+    fields: {
+        id: { type: new GraphQLNonNull(GraphQLInt) },
+        author: { type: GraphQLString },
+        text: { type: GraphQLString },
+        time: { type: GraphQLString }
+    }
+});
+
+const StoryType = new GraphQLObjectType({
+    name: 'Story',
+    fields: {
+        id: { type: new GraphQLNonNull(GraphQLInt) },
+        type: { type: GraphQLString },
+        title: { type: GraphQLString },
+        url: { type: GraphQLString },
+        discussionUrl: { type: GraphQLString },
+        score: { type: GraphQLInt },
+        author: { type: GraphQLString },
+        commentCount: { type: GraphQLInt },
+        time: { type: GraphQLString },
+        isNew: { type: GraphQLBoolean },
+        comments: { type: list(CommentType) }
+    }
+});
+
+const NewsType = new GraphQLObjectType({
+    name: 'News',
+    fields: {
+        feed: { type: GraphQLString },
+        stories: { type: list(StoryType) },
+        totalCount: { type: GraphQLInt },
+        newCount: { type: GraphQLInt },
+        viewer: { type: GraphQLString },
+        ...widgetFields
+    }
+});
+
+const QuoteType = new GraphQLObjectType({
+    name: 'Quote',
+    fields: {
+        id: { type: GraphQLString },
+        content: { type: GraphQLString },
+        author: { type: GraphQLString },
+        tags: { type: list(GraphQLString) },
+        source: { type: GraphQLString, description: 'remote or local' },
+        fallback: {
+            type: new GraphQLNonNull(GraphQLBoolean),
+            description: 'True when the remote API failed and the local library was used',
+            resolve: data => Boolean(data.fallback)
+        },
+        date: { type: GraphQLString, description: 'Day of the quote of the day (YYYY-MM-DD)' },
+        isFavourite: { type: GraphQLBoolean },
+        ...widgetFields
+    }
+});
+
+// GraphQL names can't start with a digit, so the 1h/24h/7d windows are a list
+const PriceChangeType = new GraphQLObjectType({
+    name: 'PriceChange',
+    fields: {
+        window: { type: new GraphQLNonNull(GraphQLString) },
+        change: { type: GraphQLFloat },
+        min: { type: GraphQLFloat },
+        max: { type: GraphQLFloat },
+        since: { type: GraphQLString }
+    }
+});
+
+const CryptoRateType = new GraphQLObjectType({
+    name: 'CryptoRate',
+    fields: {
+        symbol: { type: new GraphQLNonNull(GraphQLString) },
+        rate: { type: GraphQLFloat },
+        price: { type: GraphQLFloat },
+        currency: { type: GraphQLString },
+        history: {
+            type: list(PriceChangeType),
+            resolve: rate => Object.entries(rate.history || {})
+                .map(([window, stats]) => ({ window, ...stats }))
+        }
+    }
+});
+
+const CryptoType = new GraphQLObjectType({
+    name: 'Crypto',
+    fields: {
+        baseCurrency: { type: GraphQLString },
+        rates: {
+            type: list(CryptoRateType),
+            resolve: data => Object.entries(data.rates || {})
+                .map(([symbol, rate]) => ({ symbol, ...rate }))
+        },
+        missing: { type: list(GraphQLString) },
+        ...widgetFields
+    }
+});
+
+// Resolver for a widget field: checks the key's scope, counts the widget
+// against the key's quota (on top of the request itself), then fetches
+// through the same cache and provider pipeline as the REST routes
+function widgetResolver(providerId) {
+    return async (source, args, req) => {
+        if (!canRead(req, providerId)) {
+            throw new GraphQLError(`This field requires the ${providerId}:read scope`, {
+                extensions: { code: 'FORBIDDEN' }
+            });
+        }
+        if (!(await charge(req, 1))) {
+            throw new GraphQLError('Quota exceeded for this API key', {
+                extensions: { code: 'RATE_LIMITED' }
+            });
+        }
+        const options = Object.fromEntries(
+            Object.entries(args).filter(([, value]) => value !== undefined && value !== null)
+        );
+        try {
+            const { data } = await apiService.fetchWidget(providerId, options);
+            return data;
+        } catch (error) {
+            if (error.validationErrors) {
+                throw new GraphQLError(error.message, {
+                    extensions: { code: 'BAD_USER_INPUT', details: error.validationErrors }
+                });
+            }
+            throw error;
+        }
+    };
+}
+
+const QueryType = new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+        weather: {
+            type: WeatherType,
+            description: 'Current weather, hourly and 7-day forecast',
+            args: {
+                city: { type: GraphQLString, description: 'City name, optionally with a country code' },
+                latitude: { type: GraphQLFloat },
+                longitude: { type: GraphQLFloat },
+                units: { type: GraphQLString, description: 'metric or imperial' },
+                mode: { type: GraphQLString, description: 'current, hourly or forecast' }
+            },
+            resolve: widgetResolver('weather')
+        },
+        news: {
+            type: NewsType,
+            description: 'Hacker News stories',
+            args: {
+                feed: { type: GraphQLString, description: 'top, new, best, ask, show or job' },
+                limit: { type: GraphQLInt },
+                comments: { type: GraphQLInt, description: 'Top comments to preview per story' },
+                include: { type: list(GraphQLString) },
+                exclude: { type: list(GraphQLString) },
+                minScore: { type: GraphQLInt },
+                viewer: { type: GraphQLString },
+                onlyNew: { type: GraphQLBoolean }
+            },
+            resolve: widgetResolver('news')
+        },
+        quote: {
+            type: QuoteType,
+            description: 'Random quote or quote of the day',
+            args: {
+                tag: { type: GraphQLString },
+                mode: { type: GraphQLString, description: 'random or daily' },
+                source: { type: GraphQLString, description: 'auto, remote or local' },
+                viewer: { type: GraphQLString },
+                timezone: { type: GraphQLString, description: 'IANA time zone for the quote of the day' }
+            },
+            resolve: widgetResolver('quote')
+        },
+        crypto: {
+            type: CryptoType,
+            description: 'Cryptocurrency watchlist with price history',
+            args: {
+                symbols: { type: list(GraphQLString) },
+                base: { type: GraphQLString }
+            },
+            resolve: widgetResolver('crypto')
+        }
+    }
+});
+
+module.exports = new GraphQLSchema({ query: QueryType });
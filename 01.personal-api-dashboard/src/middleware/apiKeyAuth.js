@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const apiKeyService = require('../services/apiKeyService');
+const viewLinkService = require('../services/viewLinkService');
+// API key authentication
+// Clients send their key in the X-API-Key header (or as a Bearer token).
+// Routes opened in a browser can also take a signed ?token= view link.
+// Set AUTH_DISABLED=true to turn checks off for local development.
+function authDisabled() {
+    return process.env.AUTH_DISABLED === 'true';
+}
+
+function readKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+    const authorization = req.get('Authorization') || '';
+    return authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+}
+
+function sendAuthError(res, status, error, message) {
+    return res.status(status).json({
+        success: false,
+        error,
+        message,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Require a valid key, and the given scope when one is passed
+// The key is attached as req.apiKey and each request is counted against it.
+// With { viewLink: true } a ?token= from a view link stands in for the key.
+function requireApiKey(scope, { viewLink = false } = {}) {
+    return async (req, res, next) => {
+        if (authDisabled()) return next();
+        try {
+            const plainKey = readKey(req);
+            let apiKey;
+            if (plainKey) {
+                apiKey = await apiKeyService.verifyKey(plainKey);
+                if (!apiKey) {
+                    return sendAuthError(res, 401, 'Invalid API key', 'The API key is unknown or has been revoked');
+                }
+            } else if (viewLink && req.query.token) {
+                apiKey = await viewLinkService.verifyToken(req.query.token);
+                if (!apiKey) {
+                    return sendAuthError(res, 401, 'Invalid view link', 'The link has expired or its key has been revoked');
+                }
+            } else {
+                return sendAuthError(res, 401, 'API key required', 'Send your key in the X-API-Key header');
+            }
+            if (scope && !apiKeyService.hasScope(apiKey, scope)) {
+                return sendAuthError(res, 403, 'Insufficient scope', `This endpoint requires the ${scope} scope`);
+            }
+            req.apiKey = apiKey;
+            res.on('finish', () => {
+                apiKeyService.recordUsage(apiKey.id, scope, { rejected: res.statusCode === 429 });
+            });
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// Whether the current request may read a widget (always true when auth is off)
+function canRead(req, widgetId) {
+    return !req.apiKey || apiKeyService.hasScope(req.apiKey, `${widgetId}:read`);
+}
+
+// Admin endpoints use a single shared key from ADMIN_API_KEY
+function requireAdmin(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return sendAuthError(res, 503, 'Admin API disabled', 'Set ADMIN_API_KEY to enable key management');
+    }
+    const provided = req.get('X-Admin-Key') || '';
+    const expected = Buffer.from(adminKey);
+    const actual = Buffer.from(provided);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return sendAuthError(res, 401, 'Invalid admin key', 'Send the admin key in the X-Admin-Key header');
+    }
+    next();
+}
+
+module.exports = {
+    requireApiKey,
+    requireAdmin,
+    canRead
+};
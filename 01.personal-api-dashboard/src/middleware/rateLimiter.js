@@ -1,41 +1,127 @@
-// Simple in-memory rate limiter
-// In a production application, you'd use Redis or a similar store
-const requestCounts = new Map();
-
-function rateLimiter(maxRequests = 100, windowMs = 15 * 60 * 1000) {
-    return (req, res, next) => {
-        const clientId = req.ip || 'unknown';
-        const currentTime = Date.now();
-
-        // Clean up old entries
-        for (const [id, data] of requestCounts.entries()) {
-            if (currentTime - data.firstRequest > windowMs) {
-                requestCounts.delete(id);
-            }
-        }
+const defaultStore = require('../config/rateLimit');
+const { getStrategy } = require('../rateLimit/strategies');
+const logger = require('../utils/logger');
+// Rate limiting middleware
+// Strategies: "fixed-window" (default), "sliding-log" and "token-bucket".
+// Requests made with an API key are counted per key (and, for the quota
+// limiter, limited by that key's quota); anonymous requests fall back to the
+// client IP. Responses carry the standard RateLimit-Limit/Remaining/Reset
+// headers, plus Retry-After when a request is rejected.
+const limiters = new Map();
 
-        // Check current client's request count
-        const clientData = requestCounts.get(clientId);
+// Which counter a request belongs to, and the limit that applies to it
+function resolveClient(req, { limit, windowMs, useKeyQuota }) {
+    if (req.apiKey) {
+        return {
+            clientId: `key:${req.apiKey.id}`,
+            limit: useKeyQuota ? req.apiKey.quota.requests : limit,
+            windowMs: useKeyQuota ? req.apiKey.quota.windowMs : windowMs
+        };
+    }
+    return { clientId: `ip:${req.ip || 'unknown'}`, limit, windowMs };
+}
 
-        if (!clientData) {
-            requestCounts.set(clientId, {
-                count: 1,
-                firstRequest: currentTime
-            });
+// When several limiters apply to one route, report the tightest one
+function setHeaders(res, result) {
+    const existing = res.get('RateLimit-Remaining');
+    if (existing !== undefined && Number(existing) < result.remaining) {
+        return;
+    }
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+}
+
+// Options:
+// - name: identifies the limiter; each name has its own counters
+// - strategy, limit, windowMs: how requests are counted
+// - useKeyQuota: use the API key's own quota instead of limit/windowMs
+// - store: where counters live (memory by default, see config/rateLimit.js)
+// rateLimiter(maxRequests, windowMs) is still accepted for simple cases.
+function rateLimiter(options = {}, legacyWindowMs) {
+    if (typeof options === 'number') {
+        options = { limit: options, windowMs: legacyWindowMs };
+    }
+    const settings = {
+        name: 'default',
+        strategy: 'fixed-window',
+        limit: 100,
+        windowMs: 15 * 60 * 1000,
+        useKeyQuota: false,
+        store: defaultStore,
+        ...options
+    };
+    Object.keys(settings).forEach(name => {
+        if (settings[name] === undefined) delete settings[name];
+    });
+    const strategy = getStrategy(settings.strategy || 'fixed-window');
+
+    function consume(req, cost) {
+        const client = resolveClient(req, settings);
+        return settings.store.consume(strategy, `${settings.name}:${client.clientId}`, {
+            limit: client.limit,
+            windowMs: client.windowMs,
+            cost
+        });
+    }
+
+    const middleware = async (req, res, next) => {
+        let result;
+        try {
+            result = await consume(req, 1);
+        } catch (error) {
+            // Fail open: a broken limit store should not take the API down
+            logger.error('Rate limiter error', { limiter: settings.name, error: error.message });
             return next();
         }
 
-        if (clientData.count >= maxRequests) {
+        setHeaders(res, result);
+        if (!result.allowed) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
             return res.status(429).json({
                 error: 'Too many requests',
                 message: 'Rate limit exceeded. Please try again later.',
                 timestamp: new Date().toISOString()
             });
         }
-
-        clientData.count++;
         next();
     };
+
+    // Current state for a request-like object ({ apiKey } or { ip }) without counting it
+    middleware.peek = client => consume(client, 0);
+    middleware.consume = consume;
+    middleware.settings = settings;
+    limiters.set(settings.name, middleware);
+    return middleware;
+}
+
+// Quota usage of an API key as seen by a named limiter
+async function getKeyQuotaUsage(apiKey, limiterName = 'quota') {
+    const limiter = limiters.get(limiterName);
+    if (!limiter) return null;
+    const result = await limiter.peek({ apiKey });
+    return {
+        strategy: limiter.settings.strategy,
+        limit: result.limit,
+        remaining: result.remaining,
+        resetsInSeconds: Math.ceil(result.resetMs / 1000)
+    };
+}
+
+// Count extra work done for a request that was already let through, e.g.
+// each widget a GraphQL query resolves. Resolves to true when it fits in the
+// limit; like the middleware it fails open if the store is broken.
+async function charge(req, cost, limiterName = 'quota') {
+    const limiter = limiters.get(limiterName);
+    if (!limiter) return true;
+    try {
+        return (await limiter.consume(req, cost)).allowed;
+    } catch (error) {
+        logger.error('Rate limiter error', { limiter: limiterName, error: error.message });
+        return true;
+    }
 }
 
 module.exports = rateLimiter;
+module.exports.getKeyQuotaUsage = getKeyQuotaUsage;
+module.exports.charge = charge;
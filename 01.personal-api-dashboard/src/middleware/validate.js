@@ -0,0 +1,29 @@
+const { validateInput } = require('../validation/schema');
+// Request validation
+// Every invalid field is reported in one 400 response:
+// { success: false, error, details: [{ field, message }], timestamp }
+function sendValidationError(res, errors) {
+    return res.status(400).json({
+        success: false,
+        error: 'Invalid request parameters',
+        details: errors,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Check req.query against a schema (or a function returning one)
+// Handlers keep reading req.query; this only rejects bad input early.
+function validateQuery(schema) {
+    return (req, res, next) => {
+        const { errors } = validateInput(typeof schema === 'function' ? schema() : schema, req.query);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    validateQuery,
+    sendValidationError
+};
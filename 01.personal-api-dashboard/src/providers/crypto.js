@@ -0,0 +1,116 @@
+const { createHttpClient } = require('../services/httpClient');
+const logger = require('../utils/logger');
+const cryptoHistory = require('../services/cryptoHistoryService');
+// Cryptocurrency provider
+// Fetches exchange rates from Coinbase for a watchlist of symbols against a
+// base currency. Every fetched price is recorded locally so the response can
+// include 1h/24h/7d change and min/max from that history.
+const config = {
+    baseUrl: 'https://api.coinbase.com/v2/exchange-rates',
+    currency: 'USD'
+};
+// Upstream client with this provider's timeout, retry and circuit breaker settings
+const http = createHttpClient('crypto', { timeout: 4000, retries: 2 });
+
+async function fetchCrypto({ symbols, base }) {
+    const baseCurrency = base.toUpperCase();
+    let rates;
+    try {
+        const response = await http.get(config.baseUrl, {
+            params: { currency: baseCurrency }
+        });
+        rates = response.data.data.rates;
+    } catch (error) {
+        logger.error('Error fetching crypto data', { provider: 'crypto', error: error.message });
+        throw new Error('Failed to fetch cryptocurrency data', { cause: error });
+    }
+
+    // Coinbase returns how much of each currency one unit of the base buys,
+    // so the price of one coin in the base currency is the inverse
+    const cryptoData = {};
+    const prices = {};
+    const missing = [];
+    symbols.map(symbol => symbol.toUpperCase()).forEach(crypto => {
+        const rate = Number(rates[crypto]);
+        if (!rates[crypto] || !(rate > 0)) {
+            missing.push(crypto);
+            return;
+        }
+        prices[crypto] = Number((1 / rate).toPrecision(10));
+        cryptoData[crypto] = {
+            rate: rates[crypto],
+            price: prices[crypto],
+            currency: baseCurrency
+        };
+    });
+
+    // History problems should not hide the live rates
+    try {
+        const stats = await cryptoHistory.getStats(baseCurrency, prices);
+        Object.keys(cryptoData).forEach(crypto => {
+            cryptoData[crypto].history = stats[crypto];
+        });
+        await cryptoHistory.recordPrices(baseCurrency, prices);
+    } catch (error) {
+        logger.error('Error updating crypto history', { provider: 'crypto', error: error.message });
+    }
+
+    return {
+        rates: cryptoData,
+        baseCurrency,
+        missing,
+        lastUpdated: new Date().toISOString()
+    };
+}
+
+// Price changes per symbol between two snapshots
+function diffCrypto(before, after) {
+    const beforeRates = before.rates || {};
+    const afterRates = after.rates || {};
+    const changes = {};
+    const rates = {};
+    Object.entries(afterRates).forEach(([symbol, rate]) => {
+        const previous = beforeRates[symbol];
+        if (!previous || previous.price === rate.price) return;
+        rates[symbol] = {
+            from: previous.price,
+            to: rate.price,
+            change: Number((rate.price - previous.price).toPrecision(10)),
+            changePercent: previous.price ?
+                Number((((rate.price - previous.price) / previous.price) * 100).toFixed(2)) : null
+        };
+    });
+    if (Object.keys(rates).length > 0) changes.rates = rates;
+    const added = Object.keys(afterRates).filter(symbol => !beforeRates[symbol]);
+    const removed = Object.keys(beforeRates).filter(symbol => !afterRates[symbol]);
+    if (added.length > 0) changes.added = added;
+    if (removed.length > 0) changes.removed = removed;
+    if (before.baseCurrency !== after.baseCurrency) {
+        changes.baseCurrency = { from: before.baseCurrency, to: after.baseCurrency };
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+module.exports = {
+    id: 'crypto',
+    description: 'Cryptocurrency watchlist with price history',
+    ttl: 60 * 1000,
+    configSchema: {
+        symbols: {
+            type: 'list',
+            default: ['BTC', 'ETH', 'LTC', 'XRP'],
+            pattern: /^[a-z0-9]{2,10}$/i,
+            maxItems: 25,
+            description: 'Comma-separated list of crypto symbols'
+        },
+        base: {
+            type: 'string',
+            default: config.currency,
+            pattern: /^[a-z]{3,5}$/i,
+            description: 'Base currency the prices are quoted in'
+        }
+    },
+    diff: diffCrypto,
+    fetch: fetchCrypto,
+    config
+};
@@ -0,0 +1,31 @@
+const path = require('path');
+const registry = require('./registry');
+const logger = require('../utils/logger');
+// Built-in widget providers, in the order they appear on the dashboard
+const builtInProviders = [
+    require('./weather'),
+    require('./news'),
+    require('./quote'),
+    require('./crypto')
+];
+
+builtInProviders.forEach(provider => registry.registerProvider(provider));
+
+// Additional providers (e.g. internal feeds) can be loaded without touching
+// this file by listing their module paths in DASHBOARD_PROVIDERS, separated
+// by commas. Relative paths are resolved from the project root.
+function loadExternalProviders(list = process.env.DASHBOARD_PROVIDERS) {
+    if (!list) return;
+    list.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .forEach(entry => {
+            const modulePath = path.isAbsolute(entry) ? entry : path.resolve(process.cwd(), entry);
+            registry.registerProvider(require(modulePath));
+            logger.info('Registered dashboard provider', { module: entry });
+        });
+}
+
+loadExternalProviders();
+
+module.exports = registry;
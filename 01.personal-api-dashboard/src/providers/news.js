@@ -0,0 +1,176 @@
+const { createHttpClient } = require('../services/httpClient');
+const logger = require('../utils/logger');
+const newsSeen = require('../services/newsSeenService');
+// News provider
+// Fetches stories from one of the Hacker News feeds, optionally filtered by
+// keywords and score, with a preview of the top comments of each story.
+// Passing a viewer id flags stories that viewer has not been shown before.
+const config = {
+    baseUrl: 'https://hacker-news.firebaseio.com/v0',
+    feedEndpoints: {
+        top: '/topstories.json',
+        new: '/newstories.json',
+        best: '/beststories.json',
+        ask: '/askstories.json',
+        show: '/showstories.json',
+        job: '/jobstories.json'
+    },
+    itemEndpoint: '/item',
+    itemPageUrl: 'https://news.ycombinator.com/item?id=',
+    // Filters can skip stories, so look further down the feed, but not forever
+    maxScanned: 100,
+    commentPreviewLength: 280
+};
+// Upstream client with this provider's timeout, retry and circuit breaker settings
+const http = createHttpClient('news', { timeout: 4000, retries: 1, failureThreshold: 10 });
+
+async function fetchItem(id) {
+    const response = await http.get(`${config.baseUrl}${config.itemEndpoint}/${id}.json`);
+    return response.data;
+}
+
+// Comment text is HTML; keep a short plain-text preview
+function toPlainText(html) {
+    const text = String(html || '')
+        .replace(/<p>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&#x27;/g, "'")
+        .replace(/&#x2F;/g, '/')
+        .replace(/&quot;/g, '"')
+        .replace(/&gt;/g, '>')
+        .replace(/&lt;/g, '<')
+        .replace(/&amp;/g, '&')
+        .trim();
+    return text.length > config.commentPreviewLength ?
+        `${text.slice(0, config.commentPreviewLength - 1)}…` : text;
+}
+
+async function fetchCommentPreviews(story, count) {
+    const kidIds = (story.kids || []).slice(0, count);
+    const kids = await Promise.all(kidIds.map(fetchItem));
+    return kids
+        .filter(comment => comment && !comment.deleted && !comment.dead)
+        .map(comment => ({
+            id: comment.id,
+            author: comment.by,
+            text: toPlainText(comment.text),
+            time: new Date(comment.time * 1000).toISOString()
+        }));
+}
+
+// Keyword and score filters; keywords match the title case-insensitively
+function matchesFilters(story, { include, exclude, minScore }) {
+    if (!story || story.deleted || story.dead) return false;
+    const title = String(story.title || '').toLowerCase();
+    if (include.length > 0 && !include.some(keyword => title.includes(keyword.toLowerCase()))) {
+        return false;
+    }
+    if (exclude.some(keyword => title.includes(keyword.toLowerCase()))) {
+        return false;
+    }
+    return (story.score || 0) >= minScore;
+}
+
+async function fetchNews({ feed, limit, comments, include, exclude, minScore }) {
+    try {
+        // First, get the list of story IDs for the feed
+        const feedResponse = await http.get(config.baseUrl + config.feedEndpoints[feed]);
+        const candidateIds = feedResponse.data.slice(0, config.maxScanned);
+        const hasFilters = include.length > 0 || exclude.length > 0 || minScore > 0;
+        const batchSize = hasFilters ? Math.max(limit * 2, 10) : limit;
+
+        // Fetch details for each story, a batch at a time, until enough match
+        // We use Promise.all to make multiple requests concurrently
+        // **Note:** Don't worry if Promise.all and concurrent requests are new concepts!
+        // Just observe how we handle multiple API calls efficiently. We'll explore
+        // Promise handling, concurrent programming, and asynchronous patterns thoroughly in later chapters.
+        const matched = [];
+        let scanned = 0;
+        while (matched.length < limit && scanned < candidateIds.length) {
+            const batch = candidateIds.slice(scanned, scanned + batchSize);
+            scanned += batch.length;
+            const items = await Promise.all(batch.map(fetchItem));
+            matched.push(...items.filter(item => matchesFilters(item, { include, exclude, minScore })));
+        }
+
+        const selected = matched.slice(0, limit);
+        const previews = comments > 0 ?
+            await Promise.all(selected.map(story => fetchCommentPreviews(story, comments))) : [];
+
+        // Transform the raw responses into a cleaner format
+        const stories = selected.map((story, index) => ({
+            id: story.id,
+            type: story.type,
+            title: story.title,
+            url: story.url || `${config.itemPageUrl}${story.id}`,
+            discussionUrl: `${config.itemPageUrl}${story.id}`,
+            score: story.score,
+            author: story.by,
+            commentCount: story.descendants || 0,
+            time: new Date(story.time * 1000).toISOString(),
+            ...(comments > 0 ? { comments: previews[index] } : {})
+        }));
+        return {
+            feed,
+            stories,
+            totalCount: stories.length,
+            scanned,
+            lastUpdated: new Date().toISOString()
+        };
+    } catch (error) {
+        logger.error('Error fetching news data', { provider: 'news', error: error.message });
+        throw new Error('Failed to fetch news data', { cause: error });
+    }
+}
+
+// Runs on every request (after the cache) to flag what a viewer has not seen
+async function markNewStories(data, { viewer, onlyNew }) {
+    if (!viewer || !Array.isArray(data.stories)) {
+        return data;
+    }
+    const unseen = await newsSeen.markSeen(viewer, data.stories.map(story => story.id));
+    const stories = data.stories
+        .map(story => ({ ...story, isNew: unseen.has(story.id) }))
+        .filter(story => !onlyNew || story.isNew);
+    return {
+        ...data,
+        stories,
+        totalCount: stories.length,
+        newCount: unseen.size,
+        viewer
+    };
+}
+
+// Stories that appeared or dropped off between two snapshots
+function diffNews(before, after) {
+    const beforeIds = new Set((before.stories || []).map(story => story.id));
+    const afterIds = new Set((after.stories || []).map(story => story.id));
+    const newStories = (after.stories || [])
+        .filter(story => !beforeIds.has(story.id))
+        .map(({ id, title, url, score }) => ({ id, title, url, score }));
+    const removedStories = Array.from(beforeIds).filter(id => !afterIds.has(id));
+    if (newStories.length === 0 && removedStories.length === 0) {
+        return null;
+    }
+    return { newStories, removedStories };
+}
+
+module.exports = {
+    id: 'news',
+    description: 'Hacker News stories with filters and comment previews',
+    ttl: 5 * 60 * 1000,
+    configSchema: {
+        feed: { type: 'string', default: 'top', enum: Object.keys(config.feedEndpoints), description: 'Which Hacker News feed to read' },
+        limit: { type: 'integer', default: 5, min: 1, max: 20, description: 'Number of stories to return' },
+        comments: { type: 'integer', default: 0, min: 0, max: 5, description: 'Number of top comments to preview per story' },
+        include: { type: 'list', default: [], maxItems: 10, description: 'Only stories whose title contains one of these keywords' },
+        exclude: { type: 'list', default: [], maxItems: 10, description: 'Skip stories whose title contains any of these keywords' },
+        minScore: { type: 'integer', default: 0, min: 0, description: 'Minimum story score' },
+        viewer: { type: 'string', pattern: /^[a-z0-9_-]{1,50}$/i, perRequest: true, description: 'Viewer id used to flag stories not seen before' },
+        onlyNew: { type: 'boolean', default: false, perRequest: true, description: 'Only return stories the viewer has not seen (needs viewer)' }
+    },
+    transform: markNewStories,
+    diff: diffNews,
+    fetch: fetchNews,
+    config
+};
@@ -0,0 +1,111 @@
+const { createHttpClient } = require('../services/httpClient');
+const logger = require('../utils/logger');
+const quoteLibrary = require('../services/quoteLibraryService');
+// Quote provider
+// Fetches a random inspirational quote, or the viewer's quote of the day from
+// the local quote library, which is also the fallback when the API is down
+const config = {
+    baseUrl: 'https://api.quotable.io/random'
+};
+// Upstream client with this provider's timeout, retry and circuit breaker settings
+const http = createHttpClient('quote', { timeout: 3000, retries: 1 });
+
+function fromLibrary(quote, extra = {}) {
+    return {
+        id: quote.id,
+        content: quote.content,
+        author: quote.author,
+        tags: quote.tags,
+        source: 'local',
+        ...extra,
+        lastUpdated: new Date().toISOString()
+    };
+}
+
+async function fetchRemoteQuote(tag) {
+    const response = await http.get(config.baseUrl, { params: tag ? { tags: tag } : undefined });
+    return {
+        content: response.data.content,
+        author: response.data.author,
+        tags: response.data.tags,
+        source: 'remote',
+        lastUpdated: new Date().toISOString()
+    };
+}
+
+// Random quote from the remote API, falling back to the local library
+// The quote of the day only depends on the viewer's date, so it is picked per
+// request in the transform step and nothing is fetched for it here.
+async function fetchQuote({ tag, mode, source }) {
+    if (mode === 'daily') {
+        return { mode, lastUpdated: new Date().toISOString() };
+    }
+    if (source !== 'local') {
+        try {
+            return await fetchRemoteQuote(tag);
+        } catch (error) {
+            logger.warn('Remote quote unavailable, using local library', { provider: 'quote', error: error.message });
+            if (source === 'remote') {
+                throw new Error('Failed to fetch quote data', { cause: error });
+            }
+        }
+    }
+    const quote = await quoteLibrary.randomQuote({ tag });
+    if (!quote) {
+        throw new Error(tag ? `No quotes found with tag ${tag}` : 'No quotes in the local library');
+    }
+    return fromLibrary(quote, source === 'local' ? {} : { fallback: true });
+}
+
+// Pick the quote of the day and flag the viewer's favourites
+async function personalize(data, { tag, mode, viewer, timezone }) {
+    let result = data;
+    if (mode === 'daily') {
+        const daily = await quoteLibrary.dailyQuote({ tag, viewer, timezone });
+        if (!daily) {
+            throw new Error(tag ? `No quotes found with tag ${tag}` : 'No quotes in the local library');
+        }
+        result = fromLibrary(daily.quote, { mode, date: daily.date });
+    }
+    if (viewer && result.id) {
+        result = { ...result, isFavourite: await quoteLibrary.isFavourite(viewer, result.id) };
+    }
+    return result;
+}
+
+function diffQuote(before, after) {
+    if (before.content === after.content && before.author === after.author) {
+        return null;
+    }
+    return {
+        quote: {
+            from: { content: before.content, author: before.author },
+            to: { content: after.content, author: after.author }
+        }
+    };
+}
+
+function validateConfig({ timezone }) {
+    if (timezone && !quoteLibrary.isValidTimezone(timezone)) {
+        return [{ field: 'timezone', message: `Unknown timezone: ${timezone}` }];
+    }
+    return [];
+}
+
+module.exports = {
+    id: 'quote',
+    description: 'Quote from the remote API or the local library, or a quote of the day',
+    ttl: 60 * 60 * 1000,
+    configSchema: {
+        tag: { type: 'string', pattern: quoteLibrary.TAG_PATTERN, description: 'Only quotes with this tag (e.g. wisdom)' },
+        mode: { type: 'string', default: 'random', enum: ['random', 'daily'], description: 'random, or daily for a quote that changes once a day' },
+        source: { type: 'string', default: 'auto', enum: ['auto', 'remote', 'local'], description: 'auto uses the remote API and falls back to the local library' },
+        viewer: { type: 'string', pattern: quoteLibrary.VIEWER_PATTERN, perRequest: true, description: 'Viewer id for the quote of the day and favourites' },
+        timezone: { type: 'string', default: 'UTC', perRequest: true, description: 'IANA time zone the quote of the day follows (e.g. Europe/Paris)' }
+    },
+    validateConfig,
+    transform: personalize,
+    diff: diffQuote,
+    fetch: fetchQuote,
+    config
+};
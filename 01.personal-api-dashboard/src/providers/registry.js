@@ -0,0 +1,123 @@
+// Widget provider registry
+// Every dashboard widget is a module that describes itself: an id, a fetch
+// function, a config schema for its options and a TTL for its data.
+// The dashboard, the single-widget routes and the endpoint listing are all
+// driven by whatever is registered here.
+const { validateInput, describeFields } = require('../validation/schema');
+const providers = new Map();
+
+// Check that a provider module has everything the dashboard relies on
+function validateProvider(provider) {
+    if (!provider || typeof provider !== 'object') {
+        throw new Error('Provider must be an object');
+    }
+    if (typeof provider.id !== 'string' || !/^[a-z][a-z0-9-]*$/.test(provider.id)) {
+        throw new Error('Provider id must be a lowercase string (letters, digits and dashes)');
+    }
+    if (typeof provider.fetch !== 'function') {
+        throw new Error(`Provider "${provider.id}" must have a fetch function`);
+    }
+    if (provider.ttl !== undefined && (typeof provider.ttl !== 'number' || provider.ttl < 0)) {
+        throw new Error(`Provider "${provider.id}" ttl must be a non-negative number of milliseconds`);
+    }
+    if (provider.transform !== undefined && typeof provider.transform !== 'function') {
+        throw new Error(`Provider "${provider.id}" transform must be a function`);
+    }
+    if (provider.diff !== undefined && typeof provider.diff !== 'function') {
+        throw new Error(`Provider "${provider.id}" diff must be a function`);
+    }
+    if (provider.staleTtl !== undefined && (typeof provider.staleTtl !== 'number' || provider.staleTtl < 0)) {
+        throw new Error(`Provider "${provider.id}" staleTtl must be a non-negative number of milliseconds`);
+    }
+    if (provider.configSchema !== undefined &&
+        (typeof provider.configSchema !== 'object' || Array.isArray(provider.configSchema))) {
+        throw new Error(`Provider "${provider.id}" configSchema must be an object`);
+    }
+}
+
+// Add a provider to the registry
+// ttl is how long fetched data is considered fresh; staleTtl is how much
+// longer it may still be served while a refresh happens (defaults to ttl)
+function registerProvider(provider) {
+    validateProvider(provider);
+    if (providers.has(provider.id)) {
+        throw new Error(`Provider "${provider.id}" is already registered`);
+    }
+    const entry = Object.freeze({
+        description: '',
+        configSchema: {},
+        ttl: 0,
+        ...provider,
+        staleTtl: provider.staleTtl !== undefined ? provider.staleTtl : (provider.ttl || 0)
+    });
+    providers.set(entry.id, entry);
+    return entry;
+}
+
+// Remove a provider from the registry
+function unregisterProvider(id) {
+    return providers.delete(id);
+}
+
+function getProvider(id) {
+    return providers.get(id) || null;
+}
+
+// Providers are listed in registration order
+function listProviders() {
+    return Array.from(providers.values());
+}
+
+// Build a provider's config from raw input using its config schema
+// Missing values fall back to the schema defaults; unknown keys are ignored.
+// Returns { config, errors } so callers can decide how to report problems.
+function resolveConfig(provider, input = {}) {
+    const { values: config, errors } = validateInput(provider.configSchema, input);
+
+    // Providers can check rules that span several options or need lookups
+    if (errors.length === 0 && typeof provider.validateConfig === 'function') {
+        errors.push(...(provider.validateConfig(config) || []));
+    }
+
+    return { config, errors };
+}
+
+// Separate options that shape the upstream data (passed to fetch and part of
+// the cache key) from per-request options marked { perRequest: true }, which
+// only the provider's transform step sees
+function splitConfig(provider, config) {
+    const fetchConfig = {};
+    const requestConfig = {};
+    for (const [name, value] of Object.entries(config)) {
+        const field = provider.configSchema[name];
+        if (field && field.perRequest) {
+            requestConfig[name] = value;
+        } else {
+            fetchConfig[name] = value;
+        }
+    }
+    return { fetchConfig, requestConfig };
+}
+
+// A key that is the same for equal configs regardless of key order
+// e.g. "news:feed=\"top\"&limit=5"
+function configKey(providerId, config) {
+    const parts = Object.keys(config).sort().map(name => `${name}=${JSON.stringify(config[name])}`);
+    return `${providerId}:${parts.join('&')}`;
+}
+
+// Plain JSON description of a provider's options (for endpoint listings)
+function describeSchema(provider) {
+    return describeFields(provider.configSchema);
+}
+
+module.exports = {
+    registerProvider,
+    unregisterProvider,
+    getProvider,
+    listProviders,
+    resolveConfig,
+    splitConfig,
+    configKey,
+    describeSchema
+};
@@ -0,0 +1,163 @@
+const { createHttpClient } = require('../services/httpClient');
+const logger = require('../utils/logger');
+const gazetteer = require('../services/gazetteerService');
+const { describeWeatherCode } = require('../utils/weatherCodes');
+// Weather provider
+// Fetches weather from Open-Meteo for coordinates or a city from the bundled
+// gazetteer. Modes: "current" conditions only, "hourly" for the next 24 hours
+// or "forecast" for the next 7 days. Units can be metric or imperial.
+const config = {
+    baseUrl: 'https://api.open-meteo.com/v1/forecast',
+    current: 'temperature_2m,weather_code,wind_speed_10m,is_day',
+    hourly: 'temperature_2m,weather_code,wind_speed_10m,precipitation_probability,is_day',
+    daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max,wind_speed_10m_max',
+    forecastHours: 24,
+    forecastDays: 7,
+    imperialUnits: {
+        temperature_unit: 'fahrenheit',
+        wind_speed_unit: 'mph',
+        precipitation_unit: 'inch'
+    }
+};
+// Upstream client with this provider's timeout, retry and circuit breaker settings
+const http = createHttpClient('weather', { timeout: 4000, retries: 2 });
+
+// Work out where to fetch weather for: a named city wins over coordinates
+function resolveLocation({ city, latitude, longitude }) {
+    if (city) {
+        const match = gazetteer.findCity(city);
+        return {
+            name: match.name,
+            country: match.country,
+            latitude: match.latitude,
+            longitude: match.longitude,
+            timezone: match.timezone
+        };
+    }
+    return { name: null, country: null, latitude, longitude, timezone: 'auto' };
+}
+
+// Turn Open-Meteo's column arrays ({ time: [...], temperature_2m: [...] })
+// into one object per time step
+function toRows(block, mapRow) {
+    return block.time.map((time, i) => mapRow(name => block[name][i], time));
+}
+
+async function fetchWeather({ city, latitude, longitude, units, mode }) {
+    const location = resolveLocation({ city, latitude, longitude });
+    try {
+        const params = {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            current: config.current,
+            timezone: location.timezone,
+            ...(units === 'imperial' ? config.imperialUnits : {})
+        };
+        if (mode === 'hourly') {
+            params.hourly = config.hourly;
+            params.forecast_hours = config.forecastHours;
+        }
+        if (mode === 'forecast') {
+            params.daily = config.daily;
+            params.forecast_days = config.forecastDays;
+        }
+        const response = await http.get(config.baseUrl, { params });
+        // Transform the raw API response into a more user-friendly format
+        const weatherData = response.data;
+        const current = weatherData.current;
+        const result = {
+            location: {
+                name: location.name,
+                country: location.country,
+                latitude: weatherData.latitude,
+                longitude: weatherData.longitude
+            },
+            units: {
+                system: units,
+                temperature: weatherData.current_units.temperature_2m,
+                windSpeed: weatherData.current_units.wind_speed_10m
+            },
+            temperature: current.temperature_2m,
+            weatherCode: current.weather_code,
+            ...describeWeatherCode(current.weather_code, current.is_day),
+            windSpeed: current.wind_speed_10m,
+            isDay: current.is_day === 1,
+            timezone: weatherData.timezone,
+            lastUpdated: new Date().toISOString()
+        };
+        if (weatherData.hourly) {
+            result.hourly = toRows(weatherData.hourly, (value, time) => ({
+                time,
+                temperature: value('temperature_2m'),
+                weatherCode: value('weather_code'),
+                ...describeWeatherCode(value('weather_code'), value('is_day')),
+                windSpeed: value('wind_speed_10m'),
+                precipitationProbability: value('precipitation_probability')
+            }));
+        }
+        if (weatherData.daily) {
+            result.units.precipitation = weatherData.daily_units.precipitation_sum;
+            result.daily = toRows(weatherData.daily, (value, date) => ({
+                date,
+                temperatureMax: value('temperature_2m_max'),
+                temperatureMin: value('temperature_2m_min'),
+                weatherCode: value('weather_code'),
+                // Daily summaries always use the daytime icon
+                ...describeWeatherCode(value('weather_code'), 1),
+                precipitationSum: value('precipitation_sum'),
+                precipitationProbability: value('precipitation_probability_max'),
+                windSpeedMax: value('wind_speed_10m_max')
+            }));
+        }
+        return result;
+    } catch (error) {
+        logger.error('Error fetching weather data', { provider: 'weather', error: error.message });
+        throw new Error('Failed to fetch weather data', { cause: error });
+    }
+}
+
+// A city has to be in the gazetteer to be used
+function validateConfig({ city }) {
+    if (city && !gazetteer.findCity(city)) {
+        return [{ field: 'city', message: `Unknown city: ${city}` }];
+    }
+    return [];
+}
+
+function delta(before, after) {
+    return typeof before === 'number' && typeof after === 'number' ?
+        Number((after - before).toFixed(2)) : null;
+}
+
+// What changed between two snapshots of the widget (null when nothing did)
+function diffWeather(before, after) {
+    const changes = {};
+    if (before.temperature !== after.temperature) {
+        changes.temperature = { from: before.temperature, to: after.temperature, delta: delta(before.temperature, after.temperature) };
+    }
+    if (before.windSpeed !== after.windSpeed) {
+        changes.windSpeed = { from: before.windSpeed, to: after.windSpeed, delta: delta(before.windSpeed, after.windSpeed) };
+    }
+    if (before.condition !== after.condition) {
+        changes.condition = { from: before.condition, to: after.condition };
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+module.exports = {
+    id: 'weather',
+    description: 'Current weather, hourly and 7-day forecast',
+    ttl: 10 * 60 * 1000,
+    // Using coordinates for New York City as default
+    configSchema: {
+        city: { type: 'string', description: 'City name, optionally with a country code (e.g. "London, GB")' },
+        latitude: { type: 'number', default: 40.7128, min: -90, max: 90, description: 'Latitude of the location' },
+        longitude: { type: 'number', default: -74.0060, min: -180, max: 180, description: 'Longitude of the location' },
+        units: { type: 'string', default: 'metric', enum: ['metric', 'imperial'], description: 'Unit system' },
+        mode: { type: 'string', default: 'current', enum: ['current', 'hourly', 'forecast'], description: 'current, hourly (next 24h) or forecast (next 7 days)' }
+    },
+    validateConfig,
+    diff: diffWeather,
+    fetch: fetchWeather,
+    config
+};
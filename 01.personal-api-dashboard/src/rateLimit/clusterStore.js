@@ -0,0 +1,20 @@
+const { callPrimary } = require('../cluster/ipc');
+// Cluster rate limit store
+// Used by cluster workers: limits are checked by a memory store in the
+// primary process, so a client hitting several workers shares one limit.
+// The primary runs each consume on its own, which keeps it atomic.
+function createClusterStore() {
+    return {
+        name: 'cluster',
+
+        async consume(strategy, key, options) {
+            return callPrimary('rateLimit', 'consume', [strategy.name, key, options]);
+        },
+
+        async reset(key) {
+            await callPrimary('rateLimit', 'reset', [key]);
+        }
+    };
+}
+
+module.exports = createClusterStore;
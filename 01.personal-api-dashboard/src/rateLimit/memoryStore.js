@@ -0,0 +1,36 @@
+// In-memory rate limit store
+// State lives in a Map in this process. Expired entries are dropped when
+// they are next touched, and a background sweep clears out idle clients, so
+// a request only ever touches its own entry.
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+    const entries = new Map();
+
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries.entries()) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }, sweepIntervalMs);
+    sweeper.unref();
+
+    return {
+        name: 'memory',
+
+        async consume(strategy, key, options) {
+            const now = Date.now();
+            const entry = entries.get(key);
+            const state = entry && entry.expiresAt > now ? entry.state : null;
+            const { state: nextState, ttlMs, result } = strategy.apply(state, options, now);
+            if (options.cost > 0) {
+                entries.set(key, { state: nextState, expiresAt: now + ttlMs });
+            }
+            return result;
+        },
+
+        async reset(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+module.exports = createMemoryStore;
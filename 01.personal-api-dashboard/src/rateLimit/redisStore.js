@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+// Redis-compatible rate limit store
+// Each strategy runs as a Lua script so checking and updating a limit is a
+// single atomic step, even with many app processes sharing the server.
+function createRedisStore(client, { keyPrefix = 'dashboard:ratelimit:' } = {}) {
+    return {
+        name: 'redis',
+
+        async consume(strategy, key, { limit, windowMs, cost }) {
+            // The nonce keeps sliding-log entries from different requests in
+            // the same millisecond apart
+            const nonce = crypto.randomBytes(4).toString('hex');
+            const reply = await client.eval(
+                strategy.redisScript, 1, keyPrefix + key,
+                limit, windowMs, cost, nonce
+            );
+            return strategy.fromRedis(reply, { limit, windowMs, cost });
+        },
+
+        async reset(key) {
+            await client.del(keyPrefix + key);
+        }
+    };
+}
+
+module.exports = createRedisStore;
@@ -0,0 +1,218 @@
+// Rate limiting strategies
+// Each strategy has two equivalent implementations:
+// - apply(): a pure function over a small state object, used by the memory store
+// - redisScript/fromRedis(): a Lua script that runs atomically inside Redis,
+//   so limits hold across several processes sharing one server
+// Both produce { allowed, limit, remaining, resetMs, retryAfterMs } where
+// resetMs is how long until the limit fully resets and retryAfterMs how long
+// a rejected client should wait. A cost of 0 only peeks at the state.
+
+// Fixed window: count requests per window that starts with the first request
+const fixedWindow = {
+    name: 'fixed-window',
+
+    apply(state, { limit, windowMs, cost }, now) {
+        const current = state && now < state.windowStart + windowMs ?
+            state : { count: 0, windowStart: now };
+        const allowed = current.count + cost <= limit;
+        const count = allowed ? current.count + cost : current.count;
+        const resetMs = current.windowStart + windowMs - now;
+        return {
+            state: { count, windowStart: current.windowStart },
+            ttlMs: resetMs,
+            result: {
+                allowed,
+                limit,
+                remaining: Math.max(0, limit - count),
+                resetMs,
+                retryAfterMs: allowed ? 0 : resetMs
+            }
+        };
+    },
+
+    redisScript: `
+        local limit = tonumber(ARGV[1])
+        local window = tonumber(ARGV[2])
+        local cost = tonumber(ARGV[3])
+        local count = tonumber(redis.call('GET', KEYS[1]) or '0')
+        local ttl = redis.call('PTTL', KEYS[1])
+        if ttl < 0 then
+            -- Missing key, or one left without an expiry: start a new window
+            redis.call('DEL', KEYS[1])
+            count = 0
+            ttl = window
+        end
+        local allowed = 0
+        if count + cost <= limit then
+            allowed = 1
+            if cost > 0 then
+                count = redis.call('INCRBY', KEYS[1], cost)
+                if count == cost then
+                    redis.call('PEXPIRE', KEYS[1], window)
+                end
+            end
+        end
+        return { allowed, count, ttl }
+    `,
+
+    fromRedis([allowed, count, ttl], { limit }) {
+        return {
+            allowed: allowed === 1,
+            limit,
+            remaining: Math.max(0, limit - count),
+            resetMs: ttl,
+            retryAfterMs: allowed === 1 ? 0 : ttl
+        };
+    }
+};
+
+// Sliding log: keep the time of every request in the last window
+// Exact, at the cost of memory proportional to the limit
+const slidingLog = {
+    name: 'sliding-log',
+
+    apply(state, { limit, windowMs, cost }, now) {
+        const log = (state ? state.log : []).filter(time => time > now - windowMs);
+        const allowed = log.length + cost <= limit;
+        if (allowed) {
+            for (let i = 0; i < cost; i++) log.push(now);
+        }
+        // A slot frees up when the oldest logged request leaves the window
+        const oldest = log.length > 0 ? log[0] : now;
+        const resetMs = log.length > 0 ? log[log.length - 1] + windowMs - now : 0;
+        return {
+            state: { log },
+            ttlMs: Math.max(resetMs, 1),
+            result: {
+                allowed,
+                limit,
+                remaining: Math.max(0, limit - log.length),
+                resetMs,
+                retryAfterMs: allowed ? 0 : oldest + windowMs - now
+            }
+        };
+    },
+
+    redisScript: `
+        local limit = tonumber(ARGV[1])
+        local window = tonumber(ARGV[2])
+        local cost = tonumber(ARGV[3])
+        local time = redis.call('TIME')
+        local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+        redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+        local count = redis.call('ZCARD', KEYS[1])
+        local allowed = 0
+        if count + cost <= limit then
+            allowed = 1
+            for i = 1, cost do
+                redis.call('ZADD', KEYS[1], now, now .. ':' .. ARGV[4] .. ':' .. i)
+            end
+            count = count + cost
+            if cost > 0 then
+                redis.call('PEXPIRE', KEYS[1], window)
+            end
+        end
+        local retry = 0
+        local reset = 0
+        if count > 0 then
+            local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+            local newest = redis.call('ZRANGE', KEYS[1], -1, -1, 'WITHSCORES')
+            reset = tonumber(newest[2]) + window - now
+            if allowed == 0 then
+                retry = tonumber(oldest[2]) + window - now
+            end
+        end
+        return { allowed, count, reset, retry }
+    `,
+
+    fromRedis([allowed, count, resetMs, retryAfterMs], { limit }) {
+        return {
+            allowed: allowed === 1,
+            limit,
+            remaining: Math.max(0, limit - count),
+            resetMs,
+            retryAfterMs
+        };
+    }
+};
+
+// Token bucket: the bucket holds up to `limit` tokens and refills evenly so it
+// is full again after windowMs; each request takes one token. Allows short
+// bursts while keeping the long-run rate.
+function tokenBucketResult(tokens, { limit, windowMs, cost }, allowed) {
+    const ratePerMs = limit / windowMs;
+    return {
+        allowed,
+        limit,
+        remaining: Math.floor(tokens),
+        resetMs: Math.ceil((limit - tokens) / ratePerMs),
+        retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / ratePerMs)
+    };
+}
+
+const tokenBucket = {
+    name: 'token-bucket',
+
+    apply(state, options, now) {
+        const { limit, windowMs, cost } = options;
+        const ratePerMs = limit / windowMs;
+        const previous = state || { tokens: limit, updatedAt: now };
+        const refilled = Math.min(limit, previous.tokens + (now - previous.updatedAt) * ratePerMs);
+        const allowed = refilled >= cost;
+        const tokens = allowed ? refilled - cost : refilled;
+        return {
+            state: { tokens, updatedAt: now },
+            ttlMs: windowMs,
+            result: tokenBucketResult(tokens, options, allowed)
+        };
+    },
+
+    redisScript: `
+        local limit = tonumber(ARGV[1])
+        local window = tonumber(ARGV[2])
+        local cost = tonumber(ARGV[3])
+        local time = redis.call('TIME')
+        local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+        local data = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+        local tokens = tonumber(data[1])
+        local updated = tonumber(data[2])
+        if tokens == nil then
+            tokens = limit
+            updated = now
+        end
+        tokens = math.min(limit, tokens + (now - updated) * (limit / window))
+        local allowed = 0
+        if tokens >= cost then
+            allowed = 1
+            tokens = tokens - cost
+        end
+        if cost > 0 then
+            redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+            redis.call('PEXPIRE', KEYS[1], window)
+        end
+        return { allowed, tostring(tokens) }
+    `,
+
+    fromRedis([allowed, tokens], options) {
+        return tokenBucketResult(Number(tokens), options, allowed === 1);
+    }
+};
+
+const strategies = {
+    [fixedWindow.name]: fixedWindow,
+    [slidingLog.name]: slidingLog,
+    [tokenBucket.name]: tokenBucket
+};
+
+function getStrategy(name) {
+    const strategy = strategies[name];
+    if (!strategy) {
+        throw new Error(`Unknown rate limit strategy: ${name} (use ${Object.keys(strategies).join(', ')})`);
+    }
+    return strategy;
+}
+
+module.exports = {
+    getStrategy,
+    strategies
+};
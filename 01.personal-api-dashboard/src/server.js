@@ -0,0 +1,113 @@
+const cluster = require('cluster');
+const os = require('os');
+const { createApp } = require('./app');
+const alertScheduler = require('./services/alertScheduler');
+const snapshotScheduler = require('./services/snapshotScheduler');
+const streamService = require('./services/streamService');
+const httpClient = require('./services/httpClient');
+const apiKeyService = require('./services/apiKeyService');
+const { closeRedisClient } = require('./config/redis');
+const { isClusterWorker } = require('./cluster/ipc');
+const { runPrimary } = require('./cluster/primary');
+const logger = require('./utils/logger');
+// Server entry point
+// Starts the HTTP server and background jobs, and shuts both down cleanly on
+// SIGTERM/SIGINT. With CLUSTER_WORKERS=<n> (or "auto" for one per CPU) the
+// app runs in several worker processes behind one port.
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000;
+
+// Start listening; returns { app, server, shutdown }
+// runJobs controls the alert and snapshot schedulers, which should only run
+// in one process.
+function startServer({ port = process.env.PORT || 3000, runJobs = true } = {}) {
+    const app = createApp();
+    const server = app.listen(port, () => {
+        console.log(`Server is running on port ${port}`);
+        console.log(`Visit http://localhost:${port} to see your dashboard`);
+    });
+
+    // Alert checks and dashboard snapshots run in the background unless
+    // ALERTS_DISABLED=true or SNAPSHOTS_DISABLED=true
+    if (runJobs && process.env.ALERTS_DISABLED !== 'true') {
+        alertScheduler.start();
+    }
+    if (runJobs && process.env.SNAPSHOTS_DISABLED !== 'true') {
+        snapshotScheduler.start();
+    }
+
+    let shutdownPromise = null;
+
+    // Stop taking new work, let running requests and upstream fetches finish
+    // (up to SHUTDOWN_TIMEOUT_MS), then save pending state and close
+    // connections. Resolves to the exit code: 0 when everything drained.
+    function shutdown(signal) {
+        if (shutdownPromise) return shutdownPromise;
+        shutdownPromise = (async () => {
+            logger.info('Shutting down', { signal, upstreamInFlight: httpClient.getInFlightCount() });
+            const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+            app.locals.shuttingDown = true;
+            alertScheduler.stop();
+            snapshotScheduler.stop();
+
+            const closed = new Promise(resolve => server.close(resolve));
+            server.closeIdleConnections();
+            // Live streams never finish on their own
+            streamService.closeAll();
+
+            let timer;
+            const requestsDone = await Promise.race([
+                closed.then(() => true),
+                new Promise(resolve => {
+                    timer = setTimeout(() => resolve(false), SHUTDOWN_TIMEOUT_MS);
+                })
+            ]);
+            clearTimeout(timer);
+            const upstreamLeft = await httpClient.drain(Math.max(0, deadline - Date.now()));
+            if (!requestsDone) {
+                server.closeAllConnections();
+            }
+
+            await apiKeyService.flushUsage();
+            await closeRedisClient().catch(error => {
+                logger.warn('Error closing Redis connection', { error: error.message });
+            });
+            const clean = requestsDone && upstreamLeft === 0;
+            logger.info('Shutdown complete', { clean, upstreamLeft });
+            return clean ? 0 : 1;
+        })();
+        return shutdownPromise;
+    }
+
+    return { app, server, shutdown };
+}
+
+// CLUSTER_WORKERS: a number of workers, or "auto" for one per CPU
+function clusterWorkerCount() {
+    const setting = process.env.CLUSTER_WORKERS;
+    if (setting === 'auto') {
+        return os.availableParallelism();
+    }
+    return parseInt(setting) || 1;
+}
+
+function main() {
+    if (cluster.isPrimary && clusterWorkerCount() > 1) {
+        runPrimary({ workers: clusterWorkerCount() });
+        return;
+    }
+    const runJobs = !isClusterWorker() || process.env.DASHBOARD_WORKER_INDEX === '0';
+    const { shutdown } = startServer({ runJobs });
+    ['SIGTERM', 'SIGINT'].forEach(signal => {
+        process.on(signal, () => {
+            shutdown(signal).then(code => process.exit(code));
+        });
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    startServer
+};
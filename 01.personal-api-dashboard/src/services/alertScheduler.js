@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const apiService = require('./apiService');
+const alertService = require('./alertService');
+const { createHttpClient } = require('./httpClient');
+const logger = require('../utils/logger');
+const { checkPublicUrl, publicLookup } = require('../utils/publicAddress');
+// Background alert evaluation
+// Every ALERT_INTERVAL_MS (default one minute) each enabled rule's widget is
+// fetched through the normal apiService path (so the cache is shared with
+// the dashboard), the rule is evaluated and any alerts are stored and sent
+// to the rule's webhook, or ALERT_WEBHOOK_URL when the rule has none.
+// Each webhook host has its own circuit breaker, so one dead endpoint does
+// not hold back the others. They are kept out of /health, which is about the
+// dashboard's providers. Rule webhooks may only reach public addresses;
+// ALERT_WEBHOOK_URL is set by the operator and may point anywhere.
+const INTERVAL_MS = parseInt(process.env.ALERT_INTERVAL_MS) || 60 * 1000;
+const webhookClients = new Map();
+
+function webhookClient(url) {
+    const { host } = new URL(url);
+    if (!webhookClients.has(host)) {
+        webhookClients.set(host, createHttpClient(`alert-webhook:${host}`, { timeout: 5000, retries: 2, register: false }));
+    }
+    return webhookClients.get(host);
+}
+
+let timer = null;
+let running = false;
+
+async function deliver(rule, alert) {
+    const url = rule.webhookUrl || process.env.ALERT_WEBHOOK_URL;
+    if (!url) {
+        return { status: 'skipped', reason: 'No webhook configured' };
+    }
+    // Rules saved before addresses were checked may still hold a private one
+    const problem = rule.webhookUrl ? checkPublicUrl(url) : null;
+    if (problem) {
+        return { status: 'failed', error: `Webhook URL ${problem}`, at: new Date().toISOString() };
+    }
+    try {
+        const response = await webhookClient(url).request({
+            method: 'post',
+            url,
+            data: { alert },
+            headers: { 'Content-Type': 'application/json' },
+            // A redirect could lead anywhere, so rule webhooks don't follow them
+            ...(rule.webhookUrl ? { lookup: publicLookup, maxRedirects: 0 } : {})
+        });
+        return { status: 'delivered', httpStatus: response.status, at: new Date().toISOString() };
+    } catch (error) {
+        logger.error('Alert webhook delivery failed', { ruleId: rule.id, alertId: alert.id, error: error.message });
+        return { status: 'failed', error: error.message, at: new Date().toISOString() };
+    }
+}
+
+// Evaluate one rule; returns the alerts it raised
+async function evaluate(rule) {
+    const data = await apiService.getWidgetData(rule.widget, rule.options);
+    const previousState = await alertService.getRuleState(rule.id);
+    const { triggers, state } = alertService.evaluateRule(rule, data, previousState);
+    const alerts = triggers.map(trigger => ({
+        id: crypto.randomBytes(6).toString('hex'),
+        ruleId: rule.id,
+        ruleName: rule.name,
+        widget: rule.widget,
+        message: trigger.message,
+        value: trigger.value,
+        triggeredAt: new Date().toISOString(),
+        delivery: { status: 'pending' }
+    }));
+    await alertService.saveEvaluation(rule, state, alerts);
+    for (const alert of alerts) {
+        logger.info('Alert triggered', { ruleId: rule.id, alertId: alert.id, message: alert.message });
+        const delivery = await deliver(rule, alert);
+        alert.delivery = delivery;
+        await alertService.updateDelivery(alert.id, delivery);
+    }
+    return alerts;
+}
+
+// One pass over every enabled rule; a failing rule does not stop the others
+async function runOnce() {
+    if (running) return [];
+    running = true;
+    try {
+        const rules = (await alertService.listRules()).filter(rule => rule.enabled);
+        const results = await Promise.allSettled(rules.map(evaluate));
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                logger.warn('Alert rule evaluation failed', {
+                    ruleId: rules[index].id,
+                    error: result.reason.message
+                });
+            }
+        });
+        return results.flatMap(result => (result.status === 'fulfilled' ? result.value : []));
+    } finally {
+        running = false;
+    }
+}
+
+function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+        runOnce().catch(error => logger.error('Alert scheduler error', { error: error.message }));
+    }, INTERVAL_MS);
+    timer.unref();
+    logger.info('Alert scheduler started', { intervalMs: INTERVAL_MS });
+}
+
+function stop() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    start,
+    stop,
+    runOnce,
+    evaluate
+};
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const createJsonStore = require('../store/jsonStore');
+const providers = require('../providers');
+const { checkPublicUrl } = require('../utils/publicAddress');
+// Alert rules and alert history
+// A rule watches one widget (with optional provider options) and fires when
+// its condition is met:
+// - threshold: a value in the widget data compared with a number, e.g.
+//   { type: 'threshold', path: 'rates.BTC.price', operator: '>', value: 100000 }
+//   It fires when the comparison becomes true, not on every check while it stays true.
+// - match: items of a list in the widget data that meet every clause, e.g.
+//   { type: 'match', path: 'stories', where: [
+//       { field: 'title', operator: 'contains', value: 'rust' },
+//       { field: 'score', operator: '>', value: 300 } ] }
+//   Each matching item fires once (items are told apart by their id).
+// Rules, per-rule state and history live in data/alerts.json.
+const store = createJsonStore('alerts.json', { rules: {}, state: {}, history: [] }, { maps: ['rules', 'state'] });
+
+const MAX_HISTORY = 500;
+const MAX_SEEN_ITEMS = 500;
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    contains: (a, b) => String(a).toLowerCase().includes(String(b).toLowerCase())
+};
+
+function validationError(errors) {
+    const error = new Error(errors.map(e => e.message).join(', '));
+    error.validationErrors = errors;
+    return error;
+}
+
+// Read a dotted path such as "rates.BTC.price" from an object
+function getPath(data, path) {
+    return String(path).split('.').reduce((value, key) =>
+        (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+function validateClause(clause, field, errors, { numeric }) {
+    if (!clause || typeof clause !== 'object') {
+        errors.push({ field, message: `${field} must be an object` });
+        return;
+    }
+    if (!OPERATORS[clause.operator]) {
+        errors.push({ field: `${field}.operator`, message: `${field}.operator must be one of: ${Object.keys(OPERATORS).join(', ')}` });
+    }
+    if (clause.value === undefined) {
+        errors.push({ field: `${field}.value`, message: `${field}.value is required` });
+    } else if (numeric && ['>', '>=', '<', '<='].includes(clause.operator) && typeof clause.value !== 'number') {
+        errors.push({ field: `${field}.value`, message: `${field}.value must be a number for ${clause.operator}` });
+    }
+}
+
+function validateCondition(condition, errors) {
+    if (!condition || !['threshold', 'match'].includes(condition.type)) {
+        errors.push({ field: 'condition.type', message: 'condition.type must be threshold or match' });
+        return;
+    }
+    if (typeof condition.path !== 'string' || !condition.path) {
+        errors.push({ field: 'condition.path', message: 'condition.path is required (e.g. "temperature")' });
+    }
+    if (condition.type === 'threshold') {
+        validateClause(condition, 'condition', errors, { numeric: true });
+        return;
+    }
+    if (!Array.isArray(condition.where) || condition.where.length === 0) {
+        errors.push({ field: 'condition.where', message: 'condition.where must be a non-empty list of clauses' });
+        return;
+    }
+    condition.where.forEach((clause, index) => {
+        const field = `condition.where[${index}]`;
+        if (!clause || typeof clause.field !== 'string') {
+            errors.push({ field: `${field}.field`, message: `${field}.field is required` });
+        }
+        validateClause(clause, field, errors, { numeric: true });
+    });
+}
+
+function validateRule(input) {
+    const errors = [];
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+        errors.push({ field: 'name', message: 'name is required' });
+    }
+    const provider = providers.getProvider(input.widget);
+    if (!provider) {
+        errors.push({ field: 'widget', message: `Unknown widget: ${input.widget}` });
+    } else {
+        const { errors: optionErrors } = providers.resolveConfig(provider, input.options || {});
+        optionErrors.forEach(e => errors.push({ field: `options.${e.field}`, message: e.message }));
+    }
+    validateCondition(input.condition, errors);
+    if (input.webhookUrl !== undefined && input.webhookUrl !== null) {
+        const problem = checkPublicUrl(input.webhookUrl);
+        if (problem) {
+            errors.push({ field: 'webhookUrl', message: `webhookUrl ${problem}` });
+        }
+    }
+    if (input.cooldownMs !== undefined && (!Number.isInteger(input.cooldownMs) || input.cooldownMs < 0)) {
+        errors.push({ field: 'cooldownMs', message: 'cooldownMs must be a non-negative integer' });
+    }
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    return {
+        name: input.name.trim(),
+        widget: input.widget,
+        options: input.options || {},
+        condition: input.condition,
+        webhookUrl: input.webhookUrl || null,
+        cooldownMs: input.cooldownMs !== undefined ? input.cooldownMs : 0,
+        enabled: input.enabled !== false
+    };
+}
+
+async function listRules() {
+    const data = await store.read();
+    return Object.values(data.rules);
+}
+
+async function getRule(id) {
+    const data = await store.read();
+    return data.rules[id] || null;
+}
+
+async function createRule(input) {
+    const rule = validateRule(input);
+    return store.update(data => {
+        const id = crypto.randomBytes(6).toString('hex');
+        const now = new Date().toISOString();
+        data.rules[id] = { id, ...rule, createdAt: now, updatedAt: now };
+        return data.rules[id];
+    });
+}
+
+// Fields that are not provided keep their current values
+async function updateRule(id, changes) {
+    const existing = await getRule(id);
+    if (!existing) {
+        throw new Error('Alert rule not found');
+    }
+    const rule = validateRule({ ...existing, ...changes });
+    return store.update(data => {
+        if (!data.rules[id]) {
+            throw new Error('Alert rule not found');
+        }
+        data.rules[id] = { ...data.rules[id], ...rule, updatedAt: new Date().toISOString() };
+        // A changed condition starts from a clean slate
+        delete data.state[id];
+        return data.rules[id];
+    });
+}
+
+async function deleteRule(id) {
+    return store.update(data => {
+        if (!data.rules[id]) {
+            throw new Error('Alert rule not found');
+        }
+        delete data.rules[id];
+        delete data.state[id];
+    });
+}
+
+// Work out which alerts a rule raises for the latest widget data
+// Returns the triggers and the rule's next state; nothing is saved here.
+function evaluateRule(rule, widgetData, previousState = {}, now = Date.now()) {
+    const { condition } = rule;
+    const triggers = [];
+    const state = { ...previousState };
+
+    if (condition.type === 'threshold') {
+        const value = getPath(widgetData, condition.path);
+        const met = typeof value === 'number' && OPERATORS[condition.operator](value, condition.value);
+        if (met && !previousState.active) {
+            triggers.push({
+                message: `${rule.name}: ${condition.path} is ${value} (${condition.operator} ${condition.value})`,
+                value
+            });
+        }
+        state.active = met;
+        state.lastValue = value === undefined ? null : value;
+    } else {
+        const items = getPath(widgetData, condition.path);
+        const seen = new Set(previousState.seenItems || []);
+        (Array.isArray(items) ? items : []).forEach(item => {
+            const itemId = item && item.id !== undefined ? String(item.id) : JSON.stringify(item);
+            const matches = condition.where.every(clause =>
+                OPERATORS[clause.operator](getPath(item, clause.field), clause.value));
+            if (matches && !seen.has(itemId)) {
+                seen.add(itemId);
+                triggers.push({
+                    message: `${rule.name}: ${item.title || itemId}`,
+                    value: item
+                });
+            }
+        });
+        state.seenItems = Array.from(seen).slice(-MAX_SEEN_ITEMS);
+    }
+
+    if (triggers.length === 0) {
+        return { triggers, state };
+    }
+    // Within the cooldown nothing fires and the state is left as it was,
+    // so the same alerts can still fire once the cooldown is over
+    const inCooldown = previousState.lastTriggeredAt &&
+        now - Date.parse(previousState.lastTriggeredAt) < rule.cooldownMs;
+    if (inCooldown) {
+        return { triggers: [], state: { ...previousState, lastValue: state.lastValue } };
+    }
+    state.lastTriggeredAt = new Date(now).toISOString();
+    return { triggers, state };
+}
+
+async function getRuleState(id) {
+    const data = await store.read();
+    return data.state[id] || {};
+}
+
+// Save a rule's new state together with any alerts it raised
+async function saveEvaluation(rule, state, alerts) {
+    return store.update(data => {
+        if (!data.rules[rule.id]) return;
+        data.state[rule.id] = state;
+        data.rules[rule.id].lastEvaluatedAt = new Date().toISOString();
+        data.history.push(...alerts);
+        if (data.history.length > MAX_HISTORY) {
+            data.history.splice(0, data.history.length - MAX_HISTORY);
+        }
+    });
+}
+
+// Record how delivering an alert went
+async function updateDelivery(alertId, delivery) {
+    return store.update(data => {
+        const alert = data.history.find(entry => entry.id === alertId);
+        if (alert) alert.delivery = delivery;
+    });
+}
+
+// Alert history, newest first
+async function getHistory({ ruleId, limit = 50 } = {}) {
+    const data = await store.read();
+    return data.history
+        .filter(alert => !ruleId || alert.ruleId === ruleId)
+        .slice(-limit)
+        .reverse();
+}
+
+module.exports = {
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    evaluateRule,
+    getRuleState,
+    saveEvaluation,
+    updateDelivery,
+    getHistory
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const createJsonStore = require('../store/jsonStore');
+const logger = require('../utils/logger');
+// API keys for dashboard clients
+// Keys are issued through the admin endpoints. Only a SHA-256 hash of each
+// key is stored (in data/api-keys.json); the plain key is shown once when it
+// is created. Every key has a client name, a list of scopes such as
+// "news:read" and a request quota per time window.
+const store = createJsonStore('api-keys.json', { keys: {} }, { maps: ['keys'] });
+
+const DEFAULT_QUOTA = {
+    requests: parseInt(process.env.DEFAULT_KEY_QUOTA) || 1000,
+    windowMs: parseInt(process.env.DEFAULT_KEY_QUOTA_WINDOW_MS) || 60 * 60 * 1000
+};
+// Usage counters are kept in memory and written to disk at most this often
+const USAGE_FLUSH_MS = 5 * 1000;
+const SCOPE_PATTERN = /^(\*|[a-z][a-z0-9-]*:(read|write|\*))$/;
+
+// Key id by hash, filled in as keys are used
+// It is only a shortcut: a hash it doesn't know is looked up in the store,
+// which is re-read when another worker has changed the file, so keys created
+// by any worker work everywhere. Keys are never deleted, only revoked.
+const hashIndex = new Map();
+const pendingUsage = new Map();
+let flushTimer = null;
+
+function hashKey(plainKey) {
+    return crypto.createHash('sha256').update(plainKey).digest('hex');
+}
+
+// Stored record for a key hash, or null when there is none
+async function findByHash(hash) {
+    const data = await store.read();
+    const indexed = data.keys[hashIndex.get(hash)];
+    if (indexed && indexed.hash === hash) return indexed;
+    const record = Object.values(data.keys).find(key => key.hash === hash);
+    if (!record) return null;
+    hashIndex.set(hash, record.id);
+    return record;
+}
+
+// Public view of a stored key (never includes the hash)
+function toPublic(key) {
+    const { hash, ...rest } = key;
+    return rest;
+}
+
+function validationError(errors) {
+    const error = new Error(errors.map(e => e.message).join(', '));
+    error.validationErrors = errors;
+    return error;
+}
+
+function validateKeyInput({ client, scopes, quota }) {
+    const errors = [];
+    if (typeof client !== 'string' || !client.trim() || client.length > 100) {
+        errors.push({ field: 'client', message: 'client must be a name of 1-100 characters' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 ||
+        scopes.some(scope => typeof scope !== 'string' || !SCOPE_PATTERN.test(scope))) {
+        errors.push({ field: 'scopes', message: 'scopes must be a non-empty list like ["news:read", "dashboard:read"] or ["*"]' });
+    }
+    if (quota !== undefined) {
+        if (!quota || !Number.isInteger(quota.requests) || quota.requests < 1) {
+            errors.push({ field: 'quota.requests', message: 'quota.requests must be a positive integer' });
+        }
+        if (quota && quota.windowMs !== undefined && (!Number.isInteger(quota.windowMs) || quota.windowMs < 1000)) {
+            errors.push({ field: 'quota.windowMs', message: 'quota.windowMs must be an integer of at least 1000' });
+        }
+    }
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+}
+
+// Issue a new key; the returned object holds the plain key under "key"
+async function createKey({ client, scopes, quota }) {
+    validateKeyInput({ client, scopes, quota });
+    const id = crypto.randomBytes(6).toString('hex');
+    const plainKey = `pad_${id}_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+        id,
+        client: client.trim(),
+        scopes: Array.from(new Set(scopes)),
+        quota: { ...DEFAULT_QUOTA, ...(quota || {}) },
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+        hash: hashKey(plainKey),
+        usage: { total: 0, rejected: 0, byScope: {}, lastUsedAt: null }
+    };
+    await store.update(data => {
+        data.keys[id] = record;
+    });
+    hashIndex.set(record.hash, id);
+    return { ...toPublic(record), key: plainKey };
+}
+
+async function listKeys() {
+    const data = await store.read();
+    return Object.values(data.keys).map(toPublic);
+}
+
+async function getKey(id) {
+    const data = await store.read();
+    return data.keys[id] ? toPublic(data.keys[id]) : null;
+}
+
+async function revokeKey(id) {
+    return store.update(data => {
+        if (!data.keys[id]) {
+            throw new Error('API key not found');
+        }
+        data.keys[id].revokedAt = data.keys[id].revokedAt || new Date().toISOString();
+        return toPublic(data.keys[id]);
+    });
+}
+
+// Look up the key record for a plain key, or null when unknown or revoked
+// Revocation is checked on the stored record, so it applies in every worker.
+async function verifyKey(plainKey) {
+    if (typeof plainKey !== 'string' || !plainKey.startsWith('pad_')) return null;
+    const record = await findByHash(hashKey(plainKey));
+    return record && !record.revokedAt ? toPublic(record) : null;
+}
+
+// "*" grants everything and "news:*" grants every news action
+function hasScope(key, scope) {
+    const [resource] = scope.split(':');
+    return key.scopes.some(granted =>
+        granted === '*' || granted === scope || granted === `${resource}:*`);
+}
+
+function flushUsage() {
+    flushTimer = null;
+    if (pendingUsage.size === 0) return Promise.resolve();
+    const batch = new Map(pendingUsage);
+    pendingUsage.clear();
+    return store.update(data => {
+        for (const [id, delta] of batch.entries()) {
+            const key = data.keys[id];
+            if (!key) continue;
+            key.usage.total += delta.total;
+            key.usage.rejected += delta.rejected;
+            for (const [scope, count] of Object.entries(delta.byScope)) {
+                key.usage.byScope[scope] = (key.usage.byScope[scope] || 0) + count;
+            }
+            key.usage.lastUsedAt = delta.lastUsedAt;
+        }
+    }).catch(error => {
+        logger.error('Error saving API key usage', { error: error.message });
+    });
+}
+
+// Count one request for a key; rejected requests (over quota) are counted separately
+function recordUsage(id, scope, { rejected = false } = {}) {
+    const delta = pendingUsage.get(id) || { total: 0, rejected: 0, byScope: {}, lastUsedAt: null };
+    if (rejected) {
+        delta.rejected++;
+    } else {
+        delta.total++;
+        if (scope) delta.byScope[scope] = (delta.byScope[scope] || 0) + 1;
+    }
+    delta.lastUsedAt = new Date().toISOString();
+    pendingUsage.set(id, delta);
+    if (!flushTimer) {
+        flushTimer = setTimeout(flushUsage, USAGE_FLUSH_MS);
+        flushTimer.unref();
+    }
+}
+
+// Stored usage plus anything not yet written to disk
+async function getUsage(id) {
+    const key = await getKey(id);
+    if (!key) return null;
+    const pending = pendingUsage.get(id);
+    const usage = {
+        total: key.usage.total,
+        rejected: key.usage.rejected,
+        byScope: { ...key.usage.byScope },
+        lastUsedAt: key.usage.lastUsedAt
+    };
+    if (pending) {
+        usage.total += pending.total;
+        usage.rejected += pending.rejected;
+        for (const [scope, count] of Object.entries(pending.byScope)) {
+            usage.byScope[scope] = (usage.byScope[scope] || 0) + count;
+        }
+        usage.lastUsedAt = pending.lastUsedAt;
+    }
+    return { id: key.id, client: key.client, quota: key.quota, usage };
+}
+
+module.exports = {
+    createKey,
+    listKeys,
+    getKey,
+    revokeKey,
+    verifyKey,
+    hasScope,
+    recordUsage,
+    getUsage,
+    flushUsage
+};
@@ -1,177 +1,140 @@
-const axios = require('axios');
-// Configuration for external APIs
-const API_CONFIG = {
-    weather: {
-        baseUrl: 'https://api.open-meteo.com/v1/forecast',
-        // Using coordinates for New York City as default
-        // In a real application, you'd want to make this configurable
-        defaultParams: {
-            latitude: 40.7128,
-            longitude: -74.0060,
-            current: 'temperature_2m,weather_code,wind_speed_10m',
-            timezone: 'America/New_York'
+const providers = require('../providers');
+const cacheService = require('./cacheService');
+const { isCircuitOpen } = require('./circuitBreaker');
+const fixtureService = require('./fixtureService');
+const metrics = require('./metricsService');
+const logger = require('../utils/logger');
+// Fetch data for a single registered widget, going through the cache
+// Raw options (for example query parameters) are checked against the
+// provider's config schema before the provider is called.
+// Returns { data, cache } where cache describes how the data was served.
+// With { force: true } the cache is bypassed and refreshed from upstream.
+async function fetchWidget(id, options = {}, { force = false } = {}) {
+    const provider = providers.getProvider(id);
+    if (!provider) {
+        throw new Error(`Unknown widget: ${id}`);
+    }
+    const { config, errors } = providers.resolveConfig(provider, options);
+    if (errors.length > 0) {
+        const error = new Error(errors.map(e => e.message).join(', '));
+        error.validationErrors = errors;
+        throw error;
+    }
+    // Per-request options (e.g. a viewer id) are kept out of the upstream
+    // fetch and the cache key, and only used by the provider's transform
+    const { fetchConfig, requestConfig } = providers.splitConfig(provider, config);
+    const key = providers.configKey(id, fetchConfig);
+    let data;
+    let cache;
+    try {
+        const result = await cacheService.getOrFetch(
+            key,
+            // In record/replay mode fixtures sit between the cache and the provider
+            async () => {
+                try {
+                    const value = await fixtureService.run(provider, fetchConfig);
+                    metrics.recordProviderSuccess(id);
+                    return value;
+                } catch (error) {
+                    metrics.recordProviderFailure(id, error);
+                    throw error;
+                }
+            },
+            { ttl: provider.ttl, staleTtl: provider.staleTtl, force }
+        );
+        data = result.value;
+        cache = { status: result.status, age: result.age };
+        metrics.observeCache(id, result.status);
+    } catch (error) {
+        // While the provider's circuit is open, fall back to the last good value
+        const lastGood = isCircuitOpen(error) ? await cacheService.getLastGood(key) : null;
+        if (!lastGood) {
+            throw error;
         }
-    },
-    news: {
-        baseUrl: 'https://hacker-news.firebaseio.com/v0',
-        topStoriesEndpoint: '/topstories.json',
-        itemEndpoint: '/item'
-    },
-    quote: {
-        baseUrl: 'https://api.quotable.io/random'
-    },
-    crypto: {
-        baseUrl: 'https://api.coinbase.com/v2/exchange-rates',
-        currency: 'USD'
+        data = { ...lastGood.value, stale: true, staleReason: 'Provider unavailable (circuit open)' };
+        cache = { status: 'STALE', age: lastGood.age };
+        metrics.observeCache(id, 'STALE');
     }
-};
+    if (typeof provider.transform === 'function') {
+        data = await provider.transform(data, { ...fetchConfig, ...requestConfig });
+    }
+    return { data, cache };
+}
+// Fetch only the data for a single widget
+async function getWidgetData(id, options = {}) {
+    const { data } = await fetchWidget(id, options);
+    return data;
+}
 // Weather service
 // This function fetches current weather data for a given location
 async function getWeatherData(latitude, longitude) {
-    try {
-        const params = {
-            ...API_CONFIG.weather.defaultParams,
-            latitude: latitude || API_CONFIG.weather.defaultParams.latitude,
-            longitude: longitude || API_CONFIG.weather.defaultParams.longitude
-        };
-        const response = await axios.get(API_CONFIG.weather.baseUrl, { params });
-        // Transform the raw API response into a more user-friendly format
-        const weatherData = response.data;
-        return {
-            temperature: weatherData.current.temperature_2m,
-            weatherCode: weatherData.current.weather_code,
-            windSpeed: weatherData.current.wind_speed_10m,
-            timezone: weatherData.timezone,
-            lastUpdated: new Date().toISOString()
-        };
-    } catch (error) {
-        console.error('Error fetching weather data:', error.message);
-        throw new Error('Failed to fetch weather data');
-    }
+    return getWidgetData('weather', { latitude, longitude });
 }
 // News service
 // This function fetches top stories from Hacker News
 async function getNewsData(limit = 5) {
-    try {
-        // First, get the list of top story IDs
-        const topStoriesResponse = await axios.get(
-            API_CONFIG.news.baseUrl + API_CONFIG.news.topStoriesEndpoint
-        );
-        // Get the first 'limit' number of story IDs
-        const topStoryIds = topStoriesResponse.data.slice(0, limit);
-        // Fetch details for each story
-        // We use Promise.al to make multiple requests concurrently
-        // **Note:** Don't worry if Promise.al and concurrent requests are new concepts!
-        // Just observe how we handle multiple API cals efficiently. We'l expl ore
-        // Promise handling, concurrent programming, and asynchronous patterns thoroughly in later chapters.
-        const storyPromises = topStoryIds.map(id =>
-            axios.get(`${API_CONFIG.news.baseUrl}${API_CONFIG.news.itemEndpoint}/${id}.json`));
-        const storyResponses = await Promise.all(storyPromises);
-        // Transform the raw responses into a cleaner format
-        const stories = storyResponses.map(response => ({
-            id: response.data.id,
-            title: response.data.title,
-            url: response.data.url,
-            score: response.data.score,
-            author: response.data.by,
-            time: new Date(response.data.time * 1000).toISOString()
-        }));
-        return {
-            stories,
-            totalCount: stories.length,
-            lastUpdated: new Date().toISOString()
-        };
-    } catch (error) {
-        console.error('Error fetching news data:', error.message);
-        throw new Error('Failed to fetch news data');
-    }
+    return getWidgetData('news', { limit });
 }
 // Quote service
 // This function fetches a random inspirational quote
 async function getQuoteData() {
-    try {
-        const response = await axios.get(API_CONFIG.quote.baseUrl);
-        return {
-            content: response.data.content,
-            author: response.data.author,
-            tags: response.data.tags,
-            lastUpdated: new Date().toISOString()
-        };
-    } catch (error) {
-        console.error('Error fetching quote data:', error.message);
-        throw new Error('Failed to fetch quote data');
-    }
+    return getWidgetData('quote');
 }
 // Cryptocurrency service
-// This function fetches current cryptocurrency exchange rates
-async function getCryptoData() {
-    try {
-        const response = await axios.get(API_CONFIG.crypto.baseUrl);
-        // Extract rates for popular cryptocurrencies
-        const rates = response.data.data.rates;
-        const popularCryptos = ['BTC', 'ETH', 'LTC', 'XRP'];
-        const cryptoData = popularCryptos.reduce((acc, crypto) => {
-            if (rates[crypto]) {
-                acc[crypto] = {
-                    rate: rates[crypto],
-                    currency: API_CONFIG.crypto.currency
-                };
-            }
-        }, {});
-        return acc;
-        return {
-            rates: cryptoData,
-            baseCurrency: API_CONFIG.crypto.currency,
-            lastUpdated: new Date().toISOString()
-        };
-    } catch (error) {
-        console.error('Error fetching crypto data:', error.message);
-        throw new Error('Failed to fetch cryptocurrency data');
-    }
+// This function fetches cryptocurrency prices and their recent history
+async function getCryptoData(symbols, base) {
+    return getWidgetData('crypto', { symbols, base });
 }
-// Master dashboard function
-// This function aggregates data from al services
-async function getDashboardData() {
+// Aggregate data from registered providers
+// By default every provider is included with its default options; a profile
+// can narrow this down with a list of widget ids and per-widget options.
+// Returns { data, cache } where cache holds the cache status of each widget
+async function fetchDashboard({ widgets, getOptions = () => ({}) } = {}) {
     try {
-        // Use Promise.alSettled to fetch al data concurrently
-        // This ensures that if one service fails, the others stil work
-        // **Note:** Promise.alSettled might be a new concept if you're coming from
+        const registered = widgets ?
+            widgets.map(id => providers.getProvider(id)).filter(Boolean) :
+            providers.listProviders();
+        // Use Promise.allSettled to fetch all data concurrently
+        // This ensures that if one provider fails, the others still work
+        // **Note:** Promise.allSettled might be a new concept if you're coming from
         // basic JavaScript. Don't worry about the details right now—just observe
-        // how we handle multiple operations that might fail independently. We'l
+        // how we handle multiple operations that might fail independently. We'll
         // explore advanced Promise handling and error resilience patterns in later chapters.
-        const [weatherResult, newsResult, quoteResult, cryptoResult] = await
-            Promise.allSettled([
-                getWeatherData(),
-                getNewsData(),
-                getQuoteData(),
-                getCryptoData()
-            ]);
+        const results = await Promise.allSettled(
+            registered.map(async provider => fetchWidget(provider.id, getOptions(provider.id)))
+        );
         // Process results, handling both successful and failed requests
-        const dashboard = {
-            weather: weatherResult.status === 'fulfilled' ? weatherResult.value :
-                { error: weatherResult.reason.message },
-            news: newsResult.status === 'fulfilled' ? newsResult.value : {
-                error:
-                    newsResult.reason.message
-            },
-            quote: quoteResult.status === 'fulfilled' ? quoteResult.value : {
-                error: quoteResult.reason.message
-            },
-            crypto: cryptoResult.status === 'fulfilled' ? cryptoResult.value : {
-                error: cryptoResult.reason.message
-            },
-            generatedAt: new Date().toISOString()
-        };
-        return dashboard;
+        const dashboard = {};
+        const cache = {};
+        registered.forEach((provider, index) => {
+            const result = results[index];
+            if (result.status === 'fulfilled') {
+                dashboard[provider.id] = result.value.data;
+                cache[provider.id] = result.value.cache;
+            } else {
+                dashboard[provider.id] = { error: result.reason.message };
+            }
+        });
+        dashboard.generatedAt = new Date().toISOString();
+        return { data: dashboard, cache };
     } catch (error) {
-        console.error('Error generating dashboard data:', error.message);
+        logger.error('Error generating dashboard data', { error: error.message });
         throw new Error('Failed to generate dashboard data');
     }
 }
+// Master dashboard function
+// This function aggregates data from every registered provider
+async function getDashboardData() {
+    const { data } = await fetchDashboard();
+    return data;
+}
 module.exports = {
+    fetchWidget,
+    fetchDashboard,
+    getWidgetData,
     getWeatherData,
     getNewsData,
     getQuoteData,
     getCryptoData,
     getDashboardData
-};
\ No newline at end of file
+};
@@ -0,0 +1,106 @@
+const store = require('../config/cache');
+const logger = require('../utils/logger');
+// Response cache for provider data
+// - Fresh entries (younger than the provider TTL) are served as HIT
+// - Entries past their TTL but inside the stale window are served as STALE
+//   while a background refresh fetches a new value (stale-while-revalidate)
+// - Concurrent misses for the same key share a single upstream request
+// - The last successful value is kept longer so it can stand in while a
+//   provider's circuit breaker is open
+const pendingFetches = new Map();
+const LAST_GOOD_TTL = parseInt(process.env.CACHE_LAST_GOOD_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// Store lookups should never take the dashboard down, so errors become misses
+async function readEntry(key) {
+    try {
+        return await store.get(key);
+    } catch (error) {
+        logger.warn('Cache read failed', { key, error: error.message });
+        return null;
+    }
+}
+
+async function writeEntry(key, entry, ttlMs) {
+    try {
+        await store.set(key, entry, ttlMs);
+    } catch (error) {
+        logger.warn('Cache write failed', { key, error: error.message });
+    }
+}
+
+// Run the fetcher once per key at a time and store its result
+function refresh(key, fetcher, { ttl, staleTtl }) {
+    if (pendingFetches.has(key)) {
+        return pendingFetches.get(key);
+    }
+    const promise = (async () => {
+        try {
+            const value = await fetcher();
+            const entry = { value, storedAt: Date.now() };
+            await writeEntry(key, entry, ttl + staleTtl);
+            await writeEntry(`lastgood:${key}`, entry, LAST_GOOD_TTL);
+            return entry;
+        } finally {
+            pendingFetches.delete(key);
+        }
+    })();
+    pendingFetches.set(key, promise);
+    return promise;
+}
+
+// Get a value from the cache, fetching it when missing or expired
+// Returns { value, status, age } where status is HIT, STALE or MISS and
+// age is the number of whole seconds since the value was fetched.
+// Pass force: true to skip the cached value and fetch a new one right away.
+async function getOrFetch(key, fetcher, { ttl = 0, staleTtl = 0, force = false } = {}) {
+    if (force && ttl > 0) {
+        const fresh = await refresh(key, fetcher, { ttl, staleTtl });
+        return { value: fresh.value, status: 'MISS', age: 0 };
+    }
+    if (ttl <= 0) {
+        const value = await fetcher();
+        return { value, status: 'MISS', age: 0 };
+    }
+
+    const entry = await readEntry(key);
+    if (entry) {
+        const ageMs = Date.now() - entry.storedAt;
+        if (ageMs < ttl) {
+            return { value: entry.value, status: 'HIT', age: Math.floor(ageMs / 1000) };
+        }
+        if (ageMs < ttl + staleTtl) {
+            // Serve the stale value now and refresh it in the background
+            refresh(key, fetcher, { ttl, staleTtl }).catch(error => {
+                logger.warn('Background refresh failed', { key, error: error.message });
+            });
+            return { value: entry.value, status: 'STALE', age: Math.floor(ageMs / 1000) };
+        }
+    }
+
+    const fresh = await refresh(key, fetcher, { ttl, staleTtl });
+    return { value: fresh.value, status: 'MISS', age: 0 };
+}
+
+// Last successful value for a key, or null if there is none
+// Returns { value, age } with age in whole seconds
+async function getLastGood(key) {
+    const entry = await readEntry(`lastgood:${key}`);
+    if (!entry) return null;
+    return { value: entry.value, age: Math.floor((Date.now() - entry.storedAt) / 1000) };
+}
+
+async function invalidate(key) {
+    await store.delete(key);
+}
+
+async function clear() {
+    await store.clear();
+}
+
+module.exports = {
+    getOrFetch,
+    getLastGood,
+    invalidate,
+    clear,
+    storeName: store.name
+};
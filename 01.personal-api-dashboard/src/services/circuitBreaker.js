@@ -0,0 +1,122 @@
+const logger = require('../utils/logger');
+// Circuit breaker for upstream providers
+// closed:    requests flow normally; consecutive failures are counted
+// open:      requests fail fast without calling the upstream
+// half-open: after resetTimeout one trial request is let through; success
+//            closes the circuit again, failure re-opens it
+const breakers = new Map();
+
+function circuitOpenError(name) {
+    const error = new Error(`Circuit for ${name} is open`);
+    error.code = 'CIRCUIT_OPEN';
+    return error;
+}
+
+// Breakers are listed by getBreakerStates (and so in /health) unless
+// created with { register: false }
+function createCircuitBreaker(name, { failureThreshold = 5, resetTimeout = 30 * 1000, register = true } = {}) {
+    const state = {
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        lastFailureAt: null,
+        lastSuccessAt: null,
+        lastError: null
+    };
+    let trialInFlight = false;
+
+    function open(error) {
+        state.state = 'open';
+        state.openedAt = Date.now();
+        state.lastError = error.message;
+        logger.warn('Circuit opened', { circuit: name, error: error.message });
+    }
+
+    // Run fn through the breaker
+    // isFailure decides which errors count against the upstream (defaults to all)
+    async function execute(fn, isFailure = () => true) {
+        if (state.state === 'open') {
+            if (Date.now() - state.openedAt < resetTimeout) {
+                throw circuitOpenError(name);
+            }
+            state.state = 'half-open';
+        }
+        if (state.state === 'half-open') {
+            if (trialInFlight) {
+                throw circuitOpenError(name);
+            }
+            trialInFlight = true;
+        }
+
+        const isTrial = state.state === 'half-open';
+        try {
+            const result = await fn();
+            state.state = 'closed';
+            state.failures = 0;
+            state.openedAt = null;
+            state.lastSuccessAt = Date.now();
+            return result;
+        } catch (error) {
+            if (isFailure(error)) {
+                state.failures++;
+                state.lastFailureAt = Date.now();
+                state.lastError = error.message;
+                if (isTrial || state.failures >= failureThreshold) {
+                    open(error);
+                }
+            } else if (isTrial) {
+                // The upstream answered, so it is reachable again
+                state.state = 'closed';
+                state.failures = 0;
+            }
+            throw error;
+        } finally {
+            if (isTrial) trialInFlight = false;
+        }
+    }
+
+    // Snapshot for /health
+    function getState() {
+        const isOpen = state.state === 'open';
+        return {
+            state: isOpen && Date.now() - state.openedAt >= resetTimeout ? 'half-open' : state.state,
+            failures: state.failures,
+            openedAt: state.openedAt ? new Date(state.openedAt).toISOString() : null,
+            retryAt: isOpen ? new Date(state.openedAt + resetTimeout).toISOString() : null,
+            lastFailureAt: state.lastFailureAt ? new Date(state.lastFailureAt).toISOString() : null,
+            lastSuccessAt: state.lastSuccessAt ? new Date(state.lastSuccessAt).toISOString() : null,
+            lastError: state.lastError
+        };
+    }
+
+    const breaker = { name, execute, getState };
+    if (register) {
+        breakers.set(name, breaker);
+    }
+    return breaker;
+}
+
+// Current state of every breaker, keyed by name
+function getBreakerStates() {
+    const states = {};
+    for (const [name, breaker] of breakers.entries()) {
+        states[name] = breaker.getState();
+    }
+    return states;
+}
+
+// Check an error, or any error it wraps, for an open circuit
+function isCircuitOpen(error) {
+    let current = error;
+    while (current) {
+        if (current.code === 'CIRCUIT_OPEN') return true;
+        current = current.cause;
+    }
+    return false;
+}
+
+module.exports = {
+    createCircuitBreaker,
+    getBreakerStates,
+    isCircuitOpen
+};
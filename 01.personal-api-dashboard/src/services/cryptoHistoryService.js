@@ -0,0 +1,83 @@
+const createJsonStore = require('../store/jsonStore');
+// Crypto rate history
+// Every rate fetched from Coinbase is recorded as a [timestamp, price] point
+// per symbol/base pair (e.g. BTC-USD) in data/crypto-history.json. The
+// history is used to work out 1h/24h/7d change and min/max for the watchlist.
+const store = createJsonStore('crypto-history.json', { series: {} });
+
+const HOUR = 60 * 60 * 1000;
+const WINDOWS = {
+    '1h': HOUR,
+    '24h': 24 * HOUR,
+    '7d': 7 * 24 * HOUR
+};
+// Keep a little more than the longest window so 7d change has a reference point
+const RETENTION_MS = 8 * 24 * HOUR;
+// Points closer together than this are skipped to keep the file small
+const MIN_INTERVAL_MS = parseInt(process.env.CRYPTO_HISTORY_INTERVAL_MS) || 60 * 1000;
+
+function seriesKey(symbol, base) {
+    return `${symbol}-${base}`;
+}
+
+// Record the latest prices, e.g. recordPrices('USD', { BTC: 65000.12 })
+async function recordPrices(base, prices, timestamp = Date.now()) {
+    return store.update(data => {
+        for (const [symbol, price] of Object.entries(prices)) {
+            const key = seriesKey(symbol, base);
+            const points = (data.series[key] || []).filter(([time]) => timestamp - time <= RETENTION_MS);
+            const last = points[points.length - 1];
+            if (!last || timestamp - last[0] >= MIN_INTERVAL_MS) {
+                points.push([timestamp, price]);
+            }
+            data.series[key] = points;
+        }
+    });
+}
+
+// Change and min/max for one window of a series
+// The reference point is the oldest point still inside the window, so the
+// change covers as much of the window as the recorded history allows.
+function windowStats(points, currentPrice, windowMs, now) {
+    const inWindow = points.filter(([time]) => now - time <= windowMs);
+    const prices = inWindow.map(([, price]) => price).concat(currentPrice);
+    const reference = inWindow[0];
+    const hasReference = reference && reference[1] > 0 && now - reference[0] > 0;
+    return {
+        change: hasReference ?
+            Number((((currentPrice - reference[1]) / reference[1]) * 100).toFixed(4)) : null,
+        min: Math.min(...prices),
+        max: Math.max(...prices),
+        since: hasReference ? new Date(reference[0]).toISOString() : null
+    };
+}
+
+// Stats for every window for the given symbols
+async function getStats(base, currentPrices, now = Date.now()) {
+    const data = await store.read();
+    const stats = {};
+    for (const [symbol, price] of Object.entries(currentPrices)) {
+        const points = data.series[seriesKey(symbol, base)] || [];
+        stats[symbol] = {};
+        for (const [name, windowMs] of Object.entries(WINDOWS)) {
+            stats[symbol][name] = windowStats(points, price, windowMs, now);
+        }
+    }
+    return stats;
+}
+
+// Raw points for one pair, oldest first
+async function getHistory(symbol, base, sinceMs = WINDOWS['7d']) {
+    const data = await store.read();
+    const now = Date.now();
+    return (data.series[seriesKey(symbol, base)] || [])
+        .filter(([time]) => now - time <= sinceMs)
+        .map(([time, price]) => ({ time: new Date(time).toISOString(), price }));
+}
+
+module.exports = {
+    recordPrices,
+    getStats,
+    getHistory,
+    WINDOWS
+};
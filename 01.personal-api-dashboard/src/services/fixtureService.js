@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const crypto = require('crypto');
+const providers = require('../providers');
+const { createHttpClient, getHttpClient } = require('./httpClient');
+const logger = require('../utils/logger');
+// Provider record/replay for offline development and tests
+// PROVIDER_MODE=live   (default) providers call their upstream APIs
+// PROVIDER_MODE=record providers call upstream and every result is saved to
+//                      fixtures/<provider>/<hash>.json
+// PROVIDER_MODE=replay results come from those fixture files instead; when
+//                      there is no fixture for the exact options, the most
+//                      recently recorded one for that provider is used
+// Replayed results go through the provider's HTTP client, so its timeout,
+// retries, circuit breaker and upstream metrics apply as they do live.
+// Fixtures are local data and are not committed (fixtures/ is gitignored).
+// In replay mode failures and latency can be injected to exercise the
+// partial-failure paths of the dashboard:
+// REPLAY_LATENCY_MS=200 or 100-500   delay before each result
+// REPLAY_FAILURE_RATE=0.25            chance that a call fails
+// REPLAY_FAIL_PROVIDERS=news,quote    providers that always fail
+// REPLAY_SEED=42                      makes the random parts repeatable
+const FIXTURE_DIR = process.env.FIXTURE_DIR || path.join(__dirname, '../../fixtures');
+const MODES = ['live', 'record', 'replay'];
+
+let settings = null;
+let random = Math.random;
+
+// Small seeded generator (mulberry32) so injected failures are repeatable
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function parseLatency(value) {
+    if (!value) return { min: 0, max: 0 };
+    const [min, max] = String(value).split('-').map(Number);
+    return { min: min || 0, max: Number.isFinite(max) ? max : (min || 0) };
+}
+
+// Change settings at runtime (tests use this); anything left out keeps its value
+// e.g. configure({ mode: 'replay', failProviders: ['news'], latencyMs: '50-150', seed: 1 })
+function configure(options = {}) {
+    const { latencyMs, seed, ...rest } = options;
+    const next = { ...getSettings(), ...rest };
+    if (!MODES.includes(next.mode)) {
+        throw new Error(`Unknown provider mode: ${next.mode} (use ${MODES.join(', ')})`);
+    }
+    if (latencyMs !== undefined) {
+        next.latency = parseLatency(latencyMs);
+    }
+    if (seed !== undefined) {
+        random = seed === null ? Math.random : seededRandom(Number(seed));
+    }
+    settings = next;
+    return settings;
+}
+
+function getSettings() {
+    if (!settings) {
+        settings = {
+            mode: process.env.PROVIDER_MODE || 'live',
+            latency: parseLatency(process.env.REPLAY_LATENCY_MS),
+            failureRate: Number(process.env.REPLAY_FAILURE_RATE) || 0,
+            failProviders: (process.env.REPLAY_FAIL_PROVIDERS || '').split(',').map(id => id.trim()).filter(Boolean)
+        };
+        if (!MODES.includes(settings.mode)) {
+            throw new Error(`Unknown PROVIDER_MODE: ${settings.mode} (use ${MODES.join(', ')})`);
+        }
+        if (process.env.REPLAY_SEED) {
+            random = seededRandom(Number(process.env.REPLAY_SEED));
+        }
+    }
+    return settings;
+}
+
+function fixturePath(providerId, config) {
+    const hash = crypto.createHash('sha1')
+        .update(providers.configKey(providerId, config))
+        .digest('hex')
+        .slice(0, 16);
+    return path.join(FIXTURE_DIR, providerId, `${hash}.json`);
+}
+
+async function saveFixture(providerId, config, data) {
+    const filePath = fixturePath(providerId, config);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const fixture = { provider: providerId, config, recordedAt: new Date().toISOString(), data };
+    await fs.promises.writeFile(filePath, JSON.stringify(fixture, null, 2));
+}
+
+async function readJson(filePath) {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+}
+
+// Exact fixture for these options, else the newest one for the provider
+async function loadFixture(providerId, config) {
+    try {
+        return await readJson(fixturePath(providerId, config));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    const dir = path.join(FIXTURE_DIR, providerId);
+    let files = [];
+    try {
+        files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    const fixtures = await Promise.all(files.map(file => readJson(path.join(dir, file))));
+    fixtures.sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+    return fixtures[0] || null;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Client to replay through: the provider's own one, or a default one for
+// providers that make their requests some other way
+function replayClient(providerId) {
+    return getHttpClient(providerId) || createHttpClient(providerId);
+}
+
+// Error for a replayed call, shaped like an axios error so the client can
+// tell a failure worth retrying (no response) from one that is not
+function replayError(message, status) {
+    const error = new Error(message);
+    if (status) {
+        error.response = { status };
+    }
+    return error;
+}
+
+// Axios adapter that answers with the fixture instead of calling upstream
+// Injected latency counts against the client's timeout like a slow upstream.
+function fixtureAdapter(provider, config, current) {
+    return async (request) => {
+        const { min, max } = current.latency;
+        const delay = max > 0 ? min + Math.floor(random() * (max - min + 1)) : 0;
+        if (request.timeout && delay >= request.timeout) {
+            await sleep(request.timeout);
+            throw replayError(`timeout of ${request.timeout}ms exceeded`);
+        }
+        if (delay > 0) {
+            await sleep(delay);
+        }
+        if (current.failProviders.includes(provider.id) || random() < current.failureRate) {
+            throw replayError(`Failed to fetch ${provider.id} data (injected failure)`);
+        }
+        const fixture = await loadFixture(provider.id, config);
+        if (!fixture) {
+            throw replayError(`No fixture recorded for ${provider.id}`, 404);
+        }
+        return { data: fixture.data, status: 200, statusText: 'OK', headers: {}, config: request, request: {} };
+    };
+}
+
+async function replay(provider, config, current) {
+    const response = await replayClient(provider.id).request({
+        method: 'get',
+        url: pathToFileURL(fixturePath(provider.id, config)).href,
+        adapter: fixtureAdapter(provider, config, current)
+    });
+    return response.data;
+}
+
+// Get a provider's data according to the current mode
+async function run(provider, config) {
+    const current = getSettings();
+    if (current.mode === 'replay') {
+        return replay(provider, config, current);
+    }
+    const data = await provider.fetch(config);
+    if (current.mode === 'record') {
+        try {
+            await saveFixture(provider.id, config, data);
+        } catch (error) {
+            logger.error('Error recording fixture', { provider: provider.id, error: error.message });
+        }
+    }
+    return data;
+}
+
+module.exports = {
+    run,
+    configure,
+    getSettings,
+    FIXTURE_DIR
+};
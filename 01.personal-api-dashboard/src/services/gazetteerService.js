@@ -0,0 +1,47 @@
+const cities = require('../data/cities.json');
+// City lookup from the bundled gazetteer (src/data/cities.json)
+// Names are matched case- and accent-insensitively. A country code can be
+// added to pick between cities with the same name ("London, CA"); otherwise
+// the most populous match wins.
+function normalize(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim()
+        .toLowerCase();
+}
+
+const index = new Map();
+cities.forEach(city => {
+    const key = normalize(city.name);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(city);
+});
+index.forEach(matches => matches.sort((a, b) => b.population - a.population));
+
+// Resolve "Paris" or "Paris, FR" to a city, or null when it is not known
+function findCity(query) {
+    if (!query) return null;
+    const [namePart, countryPart] = String(query).split(',');
+    const matches = index.get(normalize(namePart)) || [];
+    if (countryPart) {
+        const country = countryPart.trim().toUpperCase();
+        return matches.find(city => city.country === country) || null;
+    }
+    return matches[0] || null;
+}
+
+// Cities whose name starts with the given text, most populous first
+function searchCities(prefix, limit = 10) {
+    const needle = normalize(prefix);
+    if (!needle) return [];
+    return cities
+        .filter(city => normalize(city.name).startsWith(needle))
+        .sort((a, b) => b.population - a.population)
+        .slice(0, limit);
+}
+
+module.exports = {
+    findCity,
+    searchCities
+};
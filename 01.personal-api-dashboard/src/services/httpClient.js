@@ -0,0 +1,141 @@
+const axios = require('axios');
+const { createCircuitBreaker } = require('./circuitBreaker');
+const metrics = require('./metricsService');
+const logger = require('../utils/logger');
+const { getContext } = require('../utils/requestContext');
+// Shared HTTP client for upstream providers
+// Each provider gets its own client with a request timeout, retries with
+// exponential backoff and full jitter, and a circuit breaker so a provider
+// that is down fails fast instead of slowing down the whole dashboard.
+const DEFAULTS = {
+    timeout: 5000,
+    retries: 2,
+    retryDelay: 200,
+    maxRetryDelay: 2000,
+    failureThreshold: 5,
+    resetTimeout: 30 * 1000,
+    // false keeps the client out of /health and getHttpClient
+    register: true
+};
+
+// Upstream requests still running, so shutdown can wait for them
+const inFlight = new Set();
+
+// Every client created, by name
+const clients = new Map();
+
+// Network errors, timeouts, rate limiting and server errors are worth retrying;
+// other client errors (e.g. 404) will not get better by asking again
+function isRetryable(error) {
+    if (!error.response) return true;
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+}
+
+// Random delay between 0 and the exponential backoff for this attempt
+function backoffDelay(attempt, { retryDelay, maxRetryDelay }) {
+    const ceiling = Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createHttpClient(name, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const breaker = createCircuitBreaker(name, {
+        failureThreshold: settings.failureThreshold,
+        resetTimeout: settings.resetTimeout,
+        register: settings.register
+    });
+
+    // One upstream call, timed and logged, carrying the current request id
+    async function attemptRequest(config, attempt) {
+        const { requestId } = getContext();
+        const headers = requestId ? { 'X-Request-ID': requestId, ...config.headers } : config.headers;
+        const start = Date.now();
+        try {
+            const response = await axios.request({ timeout: settings.timeout, ...config, headers });
+            metrics.observeUpstream(name, Date.now() - start);
+            return response;
+        } catch (error) {
+            const durationMs = Date.now() - start;
+            metrics.observeUpstream(name, durationMs, error);
+            logger.warn('Upstream request failed', {
+                provider: name,
+                url: config.url,
+                attempt: attempt + 1,
+                durationMs,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    async function requestWithRetry(config) {
+        let attempt = 0;
+        while (true) {
+            try {
+                return await attemptRequest(config, attempt);
+            } catch (error) {
+                if (attempt >= settings.retries || !isRetryable(error)) {
+                    throw error;
+                }
+                await sleep(backoffDelay(attempt, settings));
+                attempt++;
+            }
+        }
+    }
+
+    function request(config) {
+        const pending = breaker.execute(() => requestWithRetry(config), isRetryable);
+        const tracked = pending.catch(() => {}).finally(() => inFlight.delete(tracked));
+        inFlight.add(tracked);
+        return pending;
+    }
+
+    function get(url, config = {}) {
+        return request({ ...config, method: 'get', url });
+    }
+
+    const client = { name, get, request, breaker, settings };
+    if (settings.register) {
+        clients.set(name, client);
+    }
+    return client;
+}
+
+function getHttpClient(name) {
+    return clients.get(name) || null;
+}
+
+// Wait until every upstream request has finished, or timeoutMs has passed
+// Resolves to the number of requests still running when it gave up.
+async function drain(timeoutMs) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, timeoutMs);
+    });
+    while (inFlight.size > 0) {
+        const finished = await Promise.race([
+            Promise.all(inFlight).then(() => true),
+            timeout.then(() => false)
+        ]);
+        if (!finished) break;
+    }
+    clearTimeout(timer);
+    return inFlight.size;
+}
+
+function getInFlightCount() {
+    return inFlight.size;
+}
+
+module.exports = {
+    createHttpClient,
+    getHttpClient,
+    isRetryable,
+    drain,
+    getInFlightCount
+};
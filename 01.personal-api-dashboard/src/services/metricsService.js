@@ -0,0 +1,129 @@
+const client = require('prom-client');
+const { getBreakerStates } = require('./circuitBreaker');
+// Prometheus metrics for the dashboard, served at /metrics
+// Also keeps the last success/failure of each provider for /health.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+    name: 'dashboard_http_requests_total',
+    help: 'HTTP requests handled, by route and status',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+    name: 'dashboard_http_request_duration_seconds',
+    help: 'HTTP request latency, by route',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+});
+
+const upstreamDuration = new client.Histogram({
+    name: 'dashboard_upstream_request_duration_seconds',
+    help: 'Latency of each upstream HTTP call made by a provider',
+    labelNames: ['provider', 'outcome'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8],
+    registers: [register]
+});
+
+const upstreamErrors = new client.Counter({
+    name: 'dashboard_upstream_errors_total',
+    help: 'Failed upstream HTTP calls, by provider and reason',
+    labelNames: ['provider', 'reason'],
+    registers: [register]
+});
+
+const providerErrors = new client.Counter({
+    name: 'dashboard_provider_errors_total',
+    help: 'Provider fetches that failed after retries',
+    labelNames: ['provider'],
+    registers: [register]
+});
+
+const cacheRequests = new client.Counter({
+    name: 'dashboard_cache_requests_total',
+    help: 'Widget cache lookups, by provider and result (HIT, STALE or MISS)',
+    labelNames: ['provider', 'status'],
+    registers: [register]
+});
+
+// Breaker state is read when metrics are scraped: 0 closed, 1 half-open, 2 open
+const BREAKER_STATE_VALUES = { closed: 0, 'half-open': 1, open: 2 };
+new client.Gauge({
+    name: 'dashboard_circuit_breaker_state',
+    help: 'Circuit breaker state per provider (0 closed, 1 half-open, 2 open)',
+    labelNames: ['provider'],
+    registers: [register],
+    collect() {
+        for (const [provider, state] of Object.entries(getBreakerStates())) {
+            this.set({ provider }, BREAKER_STATE_VALUES[state.state]);
+        }
+    }
+});
+
+const providerHealth = new Map();
+
+function observeRequest({ method, route, status, durationMs }) {
+    const labels = { method, route, status: String(status) };
+    httpRequests.inc(labels);
+    httpDuration.observe(labels, durationMs / 1000);
+}
+
+// Short reason label for an axios error
+function upstreamErrorReason(error) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+    if (error.response) return `http_${error.response.status}`;
+    return 'network';
+}
+
+function observeUpstream(provider, durationMs, error) {
+    upstreamDuration.observe({ provider, outcome: error ? 'error' : 'success' }, durationMs / 1000);
+    if (error) {
+        upstreamErrors.inc({ provider, reason: upstreamErrorReason(error) });
+    }
+}
+
+function observeCache(provider, status) {
+    cacheRequests.inc({ provider, status });
+}
+
+function recordProviderSuccess(provider) {
+    const health = providerHealth.get(provider) || {};
+    providerHealth.set(provider, { ...health, lastSuccessAt: new Date().toISOString() });
+}
+
+function recordProviderFailure(provider, error) {
+    providerErrors.inc({ provider });
+    const health = providerHealth.get(provider) || {};
+    providerHealth.set(provider, {
+        ...health,
+        lastFailureAt: new Date().toISOString(),
+        lastError: error.message
+    });
+}
+
+// Last success/failure per provider, for /health
+function getProviderHealth(providerIds) {
+    const health = {};
+    providerIds.forEach(id => {
+        health[id] = {
+            lastSuccessAt: null,
+            lastFailureAt: null,
+            lastError: null,
+            ...(providerHealth.get(id) || {})
+        };
+    });
+    return health;
+}
+
+module.exports = {
+    register,
+    observeRequest,
+    observeUpstream,
+    observeCache,
+    recordProviderSuccess,
+    recordProviderFailure,
+    getProviderHealth
+};
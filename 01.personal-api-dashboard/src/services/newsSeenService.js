@@ -0,0 +1,24 @@
+const createJsonStore = require('../store/jsonStore');
+// Stories each viewer has already been shown
+// A viewer is any id a client picks (e.g. "wall-screen"). The ids of stories
+// sent to it are remembered in data/news-seen.json so later calls can flag
+// which stories are new since the last view.
+const store = createJsonStore('news-seen.json', { viewers: {} }, { maps: ['viewers'] });
+// Only the most recent ids are kept per viewer
+const MAX_SEEN_PER_VIEWER = 1000;
+
+// Record that a viewer has seen these story ids
+// Returns the set of ids the viewer had not seen before this call
+async function markSeen(viewer, storyIds) {
+    return store.update(data => {
+        const seen = data.viewers[viewer] || [];
+        const seenSet = new Set(seen);
+        const unseen = new Set(storyIds.filter(id => !seenSet.has(id)));
+        data.viewers[viewer] = seen.concat(Array.from(unseen)).slice(-MAX_SEEN_PER_VIEWER);
+        return unseen;
+    });
+}
+
+module.exports = {
+    markSeen
+};
@@ -0,0 +1,191 @@
+const createJsonStore = require('../store/jsonStore');
+const providers = require('../providers');
+// Dashboard profiles
+// A profile stores one person's dashboard setup: saved locations, which
+// widgets to show (in order), per-widget options such as the news limit or
+// crypto symbols, and a simple layout. Profiles are kept in data/profiles.json.
+const store = createJsonStore('profiles.json', { profiles: {} }, { maps: ['profiles'] });
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/i;
+
+function validationError(errors) {
+    const error = new Error(errors.map(e => e.message).join(', '));
+    error.validationErrors = errors;
+    return error;
+}
+
+function validateLocations(locations, errors) {
+    if (!Array.isArray(locations)) {
+        errors.push({ field: 'locations', message: 'locations must be an array' });
+        return [];
+    }
+    return locations.map((location, index) => {
+        const field = `locations[${index}]`;
+        const latitude = Number(location && location.latitude);
+        const longitude = Number(location && location.longitude);
+        if (!location || typeof location.name !== 'string' || !location.name.trim()) {
+            errors.push({ field: `${field}.name`, message: `${field}.name is required` });
+        }
+        if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+            errors.push({ field: `${field}.latitude`, message: `${field}.latitude must be between -90 and 90` });
+        }
+        if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+            errors.push({ field: `${field}.longitude`, message: `${field}.longitude must be between -180 and 180` });
+        }
+        return {
+            name: location && typeof location.name === 'string' ? location.name.trim() : '',
+            latitude,
+            longitude
+        };
+    });
+}
+
+function validateWidgets(widgets, errors) {
+    if (!Array.isArray(widgets) || widgets.length === 0) {
+        errors.push({ field: 'widgets', message: 'widgets must be a non-empty array of widget ids' });
+        return [];
+    }
+    widgets.forEach(id => {
+        if (!providers.getProvider(id)) {
+            errors.push({ field: 'widgets', message: `Unknown widget: ${id}` });
+        }
+    });
+    return Array.from(new Set(widgets));
+}
+
+// Widget options are checked against each provider's config schema
+function validateOptions(options, errors) {
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+        errors.push({ field: 'options', message: 'options must be an object keyed by widget id' });
+        return {};
+    }
+    const validated = {};
+    for (const [id, widgetOptions] of Object.entries(options)) {
+        const provider = providers.getProvider(id);
+        if (!provider) {
+            errors.push({ field: `options.${id}`, message: `Unknown widget: ${id}` });
+            continue;
+        }
+        const { config, errors: optionErrors } = providers.resolveConfig(provider, widgetOptions || {});
+        optionErrors.forEach(e => errors.push({ field: `options.${id}.${e.field}`, message: e.message }));
+        // Only keep what was explicitly set so schema defaults can change later
+        validated[id] = {};
+        Object.keys(widgetOptions || {}).forEach(name => {
+            if (config[name] !== undefined) validated[id][name] = config[name];
+        });
+    }
+    return validated;
+}
+
+function validateLayout(layout, widgets, errors) {
+    const columns = layout && layout.columns !== undefined ? Number(layout.columns) : 2;
+    if (!Number.isInteger(columns) || columns < 1 || columns > 4) {
+        errors.push({ field: 'layout.columns', message: 'layout.columns must be an integer between 1 and 4' });
+    }
+    const collapsed = (layout && layout.collapsed) || [];
+    if (!Array.isArray(collapsed) || collapsed.some(id => !widgets.includes(id))) {
+        errors.push({ field: 'layout.collapsed', message: 'layout.collapsed must only list widgets in the profile' });
+    }
+    return { columns, collapsed: Array.isArray(collapsed) ? collapsed : [] };
+}
+
+// Check a full profile and return the normalized version that gets stored
+function validateProfile(input) {
+    const errors = [];
+    if (typeof input.name !== 'string' || !NAME_PATTERN.test(input.name)) {
+        errors.push({ field: 'name', message: 'name must be 1-50 letters, digits, dashes or underscores' });
+    }
+    const widgets = validateWidgets(input.widgets || providers.listProviders().map(p => p.id), errors);
+    const profile = {
+        name: input.name,
+        widgets,
+        locations: validateLocations(input.locations || [], errors),
+        options: validateOptions(input.options || {}, errors),
+        layout: validateLayout(input.layout, widgets, errors)
+    };
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    return profile;
+}
+
+async function listProfiles() {
+    const data = await store.read();
+    return Object.values(data.profiles);
+}
+
+async function getProfile(name) {
+    const data = await store.read();
+    return data.profiles[name] || null;
+}
+
+async function createProfile(input) {
+    const profile = validateProfile(input);
+    return store.update(data => {
+        if (data.profiles[profile.name]) {
+            throw new Error('Profile already exists');
+        }
+        const now = new Date().toISOString();
+        data.profiles[profile.name] = { ...profile, createdAt: now, updatedAt: now };
+        return data.profiles[profile.name];
+    });
+}
+
+// Fields that are not provided keep their current values
+async function updateProfile(name, changes) {
+    const existing = await getProfile(name);
+    if (!existing) {
+        throw new Error('Profile not found');
+    }
+    const profile = validateProfile({ ...existing, ...changes, name });
+    return store.update(data => {
+        if (!data.profiles[name]) {
+            throw new Error('Profile not found');
+        }
+        data.profiles[name] = {
+            ...profile,
+            createdAt: data.profiles[name].createdAt,
+            updatedAt: new Date().toISOString()
+        };
+        return data.profiles[name];
+    });
+}
+
+async function deleteProfile(name) {
+    return store.update(data => {
+        if (!data.profiles[name]) {
+            throw new Error('Profile not found');
+        }
+        delete data.profiles[name];
+    });
+}
+
+// Options to pass to a widget provider for this profile
+// Widgets that take coordinates use the saved location picked by name,
+// or the first saved location when none is given.
+function getWidgetOptions(profile, widgetId, { location } = {}) {
+    const options = { ...(profile.options[widgetId] || {}) };
+    const provider = providers.getProvider(widgetId);
+    const usesCoordinates = provider &&
+        provider.configSchema.latitude && provider.configSchema.longitude;
+    if (usesCoordinates && profile.locations.length > 0) {
+        const saved = location ?
+            profile.locations.find(l => l.name.toLowerCase() === String(location).toLowerCase()) :
+            profile.locations[0];
+        if (!saved) {
+            throw validationError([{ field: 'location', message: `Unknown location: ${location}` }]);
+        }
+        options.latitude = saved.latitude;
+        options.longitude = saved.longitude;
+    }
+    return options;
+}
+
+module.exports = {
+    listProfiles,
+    getProfile,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    getWidgetOptions
+};
@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const createJsonStore = require('../store/jsonStore');
+const seedQuotes = require('../data/quotes.json');
+// Local quote library
+// Quotes live in data/quotes.json, starting from the built-in set in
+// src/data/quotes.json. More can be added one by one or imported from CSV or
+// JSON. The quote widget uses the library for the quote of the day and as a
+// fallback when the remote quote API is unreachable. Viewers (any id a client
+// picks, as for news) can keep a list of favourite quotes.
+const TAG_PATTERN = /^[a-z0-9][a-z0-9-]{0,29}$/i;
+const VIEWER_PATTERN = /^[a-z0-9_-]{1,50}$/i;
+const MAX_CONTENT_LENGTH = 1000;
+const MAX_TAGS = 10;
+const MAX_IMPORT_ROWS = 5000;
+
+// Ids come from the text so the same quote always gets the same id
+function quoteId(content, author) {
+    return crypto.createHash('sha1')
+        .update(`${content.toLowerCase()}|${author.toLowerCase()}`)
+        .digest('hex')
+        .slice(0, 12);
+}
+
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[;|,]/);
+    return Array.from(new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)));
+}
+
+function validationError(errors) {
+    const error = new Error(errors.map(e => e.message).join(', '));
+    error.validationErrors = errors;
+    return error;
+}
+
+// Check one quote from user input, returns { quote, errors }
+function normalizeQuote(input, prefix = '') {
+    const errors = [];
+    if (!input || typeof input !== 'object') {
+        return { quote: null, errors: [{ field: prefix || 'quote', message: 'quote must be an object' }] };
+    }
+    const content = typeof input.content === 'string' ? input.content.trim() : '';
+    const author = typeof input.author === 'string' && input.author.trim() ? input.author.trim() : 'Unknown';
+    const tags = normalizeTags(input.tags);
+    if (!content) {
+        errors.push({ field: `${prefix}content`, message: 'content is required' });
+    } else if (content.length > MAX_CONTENT_LENGTH) {
+        errors.push({ field: `${prefix}content`, message: `content can be at most ${MAX_CONTENT_LENGTH} characters` });
+    }
+    if (tags.length > MAX_TAGS) {
+        errors.push({ field: `${prefix}tags`, message: `tags can have at most ${MAX_TAGS} items` });
+    }
+    const invalidTags = tags.filter(tag => !TAG_PATTERN.test(tag));
+    if (invalidTags.length > 0) {
+        errors.push({ field: `${prefix}tags`, message: `tags has invalid value: ${invalidTags.join(', ')}` });
+    }
+    if (errors.length > 0) {
+        return { quote: null, errors };
+    }
+    return { quote: { id: quoteId(content, author), content, author, tags }, errors };
+}
+
+function seedLibrary() {
+    const quotes = {};
+    seedQuotes.forEach(input => {
+        const { quote } = normalizeQuote(input);
+        quotes[quote.id] = { ...quote, source: 'built-in' };
+    });
+    return { quotes, favourites: {} };
+}
+
+const store = createJsonStore('quotes.json', seedLibrary(), { maps: ['quotes', 'favourites'] });
+
+// Split CSV text into rows of fields (RFC 4180 quoting: "a, ""b""")
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// CSV needs a header row with a content column; author and tags are optional
+// and tags inside a cell are separated by ; or |
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(String(text).replace(/^\uFEFF/, ''));
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    if (!columns.includes('content')) {
+        throw validationError([{ field: 'file', message: 'CSV needs a header row with a content column' }]);
+    }
+    return rows.map(fields => Object.fromEntries(columns.map((name, i) => [name, fields[i]])));
+}
+
+// Quotes whose tags, author and text match the filters
+function filterQuotes(quotes, { tag, author, search } = {}) {
+    const authorText = author ? author.toLowerCase() : null;
+    const searchText = search ? search.toLowerCase() : null;
+    return quotes.filter(quote =>
+        (!tag || quote.tags.includes(tag.toLowerCase())) &&
+        (!authorText || quote.author.toLowerCase().includes(authorText)) &&
+        (!searchText || quote.content.toLowerCase().includes(searchText)));
+}
+
+// Quotes in a stable order, used for paging and for the quote of the day
+async function allQuotes() {
+    const data = await store.read();
+    return Object.values(data.quotes).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+async function listQuotes({ tag, author, search, limit = 50, offset = 0 } = {}) {
+    const matches = filterQuotes(await allQuotes(), { tag, author, search });
+    return {
+        total: matches.length,
+        quotes: matches.slice(offset, offset + limit)
+    };
+}
+
+// Every tag with the number of quotes using it, most used first
+async function listTags() {
+    const counts = new Map();
+    (await allQuotes()).forEach(quote => {
+        quote.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return Array.from(counts, ([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+async function getQuote(id) {
+    const data = await store.read();
+    return data.quotes[id] || null;
+}
+
+async function addQuote(input) {
+    const { quote, errors } = normalizeQuote(input);
+    if (errors.length > 0) {
+        throw validationError(errors);
+    }
+    return store.update(data => {
+        if (data.quotes[quote.id]) {
+            throw new Error('Quote already exists');
+        }
+        data.quotes[quote.id] = { ...quote, source: 'manual', createdAt: new Date().toISOString() };
+        return data.quotes[quote.id];
+    });
+}
+
+async function deleteQuote(id) {
+    return store.update(data => {
+        if (!data.quotes[id]) {
+            throw new Error('Quote not found');
+        }
+        delete data.quotes[id];
+        Object.keys(data.favourites).forEach(viewer => {
+            data.favourites[viewer] = data.favourites[viewer].filter(favouriteId => favouriteId !== id);
+        });
+    });
+}
+
+// Import quotes from a CSV string or a JSON array (or { quotes: [...] })
+// Valid rows are added and quotes already in the library are skipped; rows
+// with problems are listed in the result rather than failing the import.
+async function importQuotes(input, format) {
+    let rows;
+    if (format === 'csv') {
+        rows = parseCsv(input);
+    } else {
+        rows = Array.isArray(input) ? input : input && input.quotes;
+        if (!Array.isArray(rows)) {
+            throw validationError([{ field: 'quotes', message: 'Send a JSON array of quotes or { "quotes": [...] }' }]);
+        }
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw validationError([{ field: 'quotes', message: `Can import at most ${MAX_IMPORT_ROWS} quotes at once` }]);
+    }
+    const errors = [];
+    const valid = [];
+    rows.forEach((row, index) => {
+        const { quote, errors: rowErrors } = normalizeQuote(row, `quotes[${index}].`);
+        if (quote) {
+            valid.push(quote);
+        } else {
+            errors.push(...rowErrors);
+        }
+    });
+    return store.update(data => {
+        const now = new Date().toISOString();
+        let imported = 0;
+        valid.forEach(quote => {
+            if (!data.quotes[quote.id]) {
+                data.quotes[quote.id] = { ...quote, source: 'import', createdAt: now };
+                imported++;
+            }
+        });
+        return {
+            imported,
+            duplicates: valid.length - imported,
+            rejected: rows.length - valid.length,
+            errors
+        };
+    });
+}
+
+async function randomQuote({ tag } = {}) {
+    const matches = filterQuotes(await allQuotes(), { tag });
+    return matches.length > 0 ? matches[Math.floor(Math.random() * matches.length)] : null;
+}
+
+// Calendar date (YYYY-MM-DD) in a time zone
+function localDate(timezone, now = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone || 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(now);
+}
+
+function isValidTimezone(timezone) {
+    try {
+        localDate(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The quote of the day is picked by hashing the viewer's local date, so it
+// is the same all day for that viewer and changes at their midnight
+async function dailyQuote({ tag, viewer, timezone, now } = {}) {
+    const matches = filterQuotes(await allQuotes(), { tag });
+    if (matches.length === 0) {
+        return null;
+    }
+    const date = localDate(timezone, now);
+    const hash = crypto.createHash('sha1').update(`${date}|${viewer || ''}|${tag || ''}`).digest();
+    return { quote: matches[hash.readUInt32BE(0) % matches.length], date };
+}
+
+async function getFavourites(viewer) {
+    const data = await store.read();
+    return (data.favourites[viewer] || []).map(id => data.quotes[id]).filter(Boolean);
+}
+
+async function isFavourite(viewer, id) {
+    const data = await store.read();
+    return (data.favourites[viewer] || []).includes(id);
+}
+
+async function addFavourite(viewer, id) {
+    if (!VIEWER_PATTERN.test(viewer)) {
+        throw validationError([{ field: 'viewer', message: 'viewer must be 1-50 letters, digits, - or _' }]);
+    }
+    return store.update(data => {
+        if (!data.quotes[id]) {
+            throw new Error('Quote not found');
+        }
+        const favourites = data.favourites[viewer] || [];
+        if (!favourites.includes(id)) {
+            data.favourites[viewer] = favourites.concat(id);
+        }
+        return data.quotes[id];
+    });
+}
+
+async function removeFavourite(viewer, id) {
+    return store.update(data => {
+        const favourites = data.favourites[viewer] || [];
+        if (!favourites.includes(id)) {
+            throw new Error('Quote not found');
+        }
+        data.favourites[viewer] = favourites.filter(favouriteId => favouriteId !== id);
+        if (data.favourites[viewer].length === 0) {
+            delete data.favourites[viewer];
+        }
+    });
+}
+
+module.exports = {
+    TAG_PATTERN,
+    VIEWER_PATTERN,
+    listQuotes,
+    listTags,
+    getQuote,
+    addQuote,
+    deleteQuote,
+    importQuotes,
+    randomQuote,
+    dailyQuote,
+    localDate,
+    isValidTimezone,
+    getFavourites,
+    isFavourite,
+    addFavourite,
+    removeFavourite
+};
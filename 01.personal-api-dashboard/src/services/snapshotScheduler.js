@@ -0,0 +1,36 @@
+const snapshotService = require('./snapshotService');
+const logger = require('../utils/logger');
+// Periodic dashboard snapshots
+// A snapshot is taken every SNAPSHOT_INTERVAL_MS (default one hour).
+const INTERVAL_MS = parseInt(process.env.SNAPSHOT_INTERVAL_MS) || 60 * 60 * 1000;
+let timer = null;
+let running = false;
+// Take one snapshot unless the previous one is still being taken
+async function runOnce() {
+    if (running) return null;
+    running = true;
+    try {
+        return await snapshotService.takeSnapshot();
+    } finally {
+        running = false;
+    }
+}
+function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+        runOnce().catch(error => logger.error('Snapshot scheduler error', { error: error.message }));
+    }, INTERVAL_MS);
+    timer.unref();
+    logger.info('Snapshot scheduler started', { intervalMs: INTERVAL_MS });
+}
+function stop() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+module.exports = {
+    start,
+    stop,
+    runOnce
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const apiService = require('./apiService');
+const providers = require('../providers');
+const logger = require('../utils/logger');
+// Dashboard snapshots
+// A snapshot is the full dashboard (as returned by getDashboardData) saved at
+// a point in time. Each one is its own file in SNAPSHOT_DIR (default
+// data/snapshots) named after its id, so listing a time range only needs the
+// file names. Snapshots older than SNAPSHOT_RETENTION_DAYS are removed.
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR ||
+    path.join(process.env.DATA_DIR || path.join(__dirname, '../../data'), 'snapshots');
+const RETENTION_MS = (parseFloat(process.env.SNAPSHOT_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Ids sort by time: 20261019T141736670Z-a1b2
+const ID_PATTERN = /^(\d{8}T\d{9}Z)-[0-9a-f]{4}$/;
+// Keys that change on every fetch and say nothing about the data itself
+const VOLATILE_KEYS = new Set(['lastUpdated', 'generatedAt', 'stale', 'staleReason']);
+
+function snapshotId(date) {
+    const stamp = date.toISOString().replace(/[-:.]/g, '');
+    return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+// Time a snapshot was taken, read from its id
+function idToTime(id) {
+    const match = ID_PATTERN.exec(id);
+    if (!match) return null;
+    const s = match[1];
+    return Date.parse(`${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}T${s.slice(9, 11)}:${s.slice(11, 13)}:${s.slice(13, 15)}.${s.slice(15, 18)}Z`);
+}
+
+function snapshotPath(id) {
+    return path.join(SNAPSHOT_DIR, `${id}.json`);
+}
+
+// Every snapshot id, oldest first
+async function listIds() {
+    try {
+        const files = await fs.promises.readdir(SNAPSHOT_DIR);
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -5))
+            .filter(id => ID_PATTERN.test(id))
+            .sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+function summarize(snapshot) {
+    const widgets = Object.keys(snapshot.data).filter(key => key !== 'generatedAt');
+    return {
+        id: snapshot.id,
+        takenAt: snapshot.takenAt,
+        widgets,
+        errors: widgets.filter(id => snapshot.data[id] && snapshot.data[id].error)
+    };
+}
+
+// Drop snapshots past the retention period
+async function prune(now = Date.now()) {
+    const expired = (await listIds()).filter(id => now - idToTime(id) > RETENTION_MS);
+    await Promise.all(expired.map(id => fs.promises.unlink(snapshotPath(id)).catch(() => {})));
+    return expired.length;
+}
+
+// Fetch the dashboard and save it as a new snapshot
+async function takeSnapshot() {
+    const data = await apiService.getDashboardData();
+    const takenAt = new Date();
+    const snapshot = { id: snapshotId(takenAt), takenAt: takenAt.toISOString(), data };
+    await fs.promises.mkdir(SNAPSHOT_DIR, { recursive: true });
+    const filePath = snapshotPath(snapshot.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(snapshot));
+    await fs.promises.rename(tempPath, filePath);
+    const pruned = await prune();
+    logger.info('Dashboard snapshot saved', { snapshotId: snapshot.id, pruned });
+    return snapshot;
+}
+
+async function getSnapshot(id) {
+    if (!ID_PATTERN.test(id)) return null;
+    try {
+        return JSON.parse(await fs.promises.readFile(snapshotPath(id), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Summaries of the snapshots taken between from and to (ms), newest first
+async function listSnapshots({ from = 0, to = Infinity, limit = 100 } = {}) {
+    const ids = (await listIds())
+        .filter(id => {
+            const time = idToTime(id);
+            return time >= from && time <= to;
+        })
+        .reverse()
+        .slice(0, limit);
+    const snapshots = await Promise.all(ids.map(getSnapshot));
+    return snapshots.filter(Boolean).map(summarize);
+}
+
+// Find a snapshot by id, "latest", or a time (ISO date or ms), in which case
+// the last snapshot taken at or before that time is used
+async function findSnapshot(ref) {
+    if (ID_PATTERN.test(ref)) {
+        return getSnapshot(ref);
+    }
+    const ids = await listIds();
+    if (ref === 'latest') {
+        return ids.length > 0 ? getSnapshot(ids[ids.length - 1]) : null;
+    }
+    const time = /^\d+$/.test(ref) ? Number(ref) : Date.parse(ref);
+    if (Number.isNaN(time)) {
+        return null;
+    }
+    const match = ids.filter(id => idToTime(id) <= time).pop();
+    return match ? getSnapshot(match) : null;
+}
+
+// Copy of a value without the keys in VOLATILE_KEYS, for comparisons
+function withoutVolatile(value) {
+    if (Array.isArray(value)) return value.map(withoutVolatile);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value)
+        .filter(([key]) => !VOLATILE_KEYS.has(key))
+        .map(([key, item]) => [key, withoutVolatile(item)]));
+}
+
+function diffWidget(id, before, after) {
+    if (before === undefined) return { status: 'added' };
+    if (after === undefined) return { status: 'removed' };
+    if (before.error || after.error) {
+        return {
+            status: 'unavailable',
+            ...(before.error ? { fromError: before.error } : {}),
+            ...(after.error ? { toError: after.error } : {})
+        };
+    }
+    // Providers describe their own changes; others are only compared as a whole
+    const provider = providers.getProvider(id);
+    if (provider && provider.diff) {
+        const changes = provider.diff(before, after);
+        return changes ? { status: 'changed', changes } : { status: 'unchanged' };
+    }
+    const changed = JSON.stringify(withoutVolatile(before)) !== JSON.stringify(withoutVolatile(after));
+    return { status: changed ? 'changed' : 'unchanged' };
+}
+
+// What changed from one snapshot to another, widget by widget
+function diffSnapshots(from, to) {
+    const ids = new Set([...Object.keys(from.data), ...Object.keys(to.data)]);
+    ids.delete('generatedAt');
+    const widgets = {};
+    ids.forEach(id => {
+        widgets[id] = diffWidget(id, from.data[id], to.data[id]);
+    });
+    return {
+        from: { id: from.id, takenAt: from.takenAt },
+        to: { id: to.id, takenAt: to.takenAt },
+        elapsedMs: Date.parse(to.takenAt) - Date.parse(from.takenAt),
+        widgets
+    };
+}
+
+module.exports = {
+    SNAPSHOT_DIR,
+    takeSnapshot,
+    getSnapshot,
+    listSnapshots,
+    findSnapshot,
+    diffSnapshots,
+    prune
+};
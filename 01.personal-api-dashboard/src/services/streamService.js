@@ -0,0 +1,115 @@
+const { EventEmitter } = require('events');
+const providers = require('../providers');
+const apiService = require('./apiService');
+// Live dashboard updates for Server-Sent Events clients
+// One shared refresher re-fetches each widget on its own schedule (its TTL)
+// while at least one client is connected, so any number of screens cost the
+// same upstream traffic as one. Every update gets an increasing event id and
+// the most recent events are buffered so reconnecting clients can resume
+// from their Last-Event-ID.
+const MIN_INTERVAL_MS = 5 * 1000;
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE) || 200;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffer = [];
+const latestByWidget = new Map();
+const timers = new Map();
+let lastEventId = 0;
+let subscriberCount = 0;
+
+function refreshInterval(provider) {
+    return provider.ttl > 0 ? Math.max(provider.ttl, MIN_INTERVAL_MS) : DEFAULT_INTERVAL_MS;
+}
+
+// Store an update and hand it to every subscriber
+function publish(widget, payload) {
+    const event = {
+        id: ++lastEventId,
+        widget,
+        data: { widget, ...payload, sentAt: new Date().toISOString() }
+    };
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    latestByWidget.set(widget, event);
+    emitter.emit('update', event);
+}
+
+async function refreshWidget(provider, force) {
+    try {
+        const { data, cache } = await apiService.fetchWidget(provider.id, {}, { force });
+        publish(provider.id, { data, cache });
+    } catch (error) {
+        publish(provider.id, { error: error.message });
+    }
+}
+
+// Fetch everything once (from cache when possible), then keep each widget
+// fresh on its own interval
+function startRefreshing() {
+    providers.listProviders().forEach(provider => {
+        refreshWidget(provider, false);
+        const timer = setInterval(() => refreshWidget(provider, true), refreshInterval(provider));
+        timer.unref();
+        timers.set(provider.id, timer);
+    });
+}
+
+function stopRefreshing() {
+    for (const timer of timers.values()) {
+        clearInterval(timer);
+    }
+    timers.clear();
+}
+
+// Events a client has missed since lastSeenId
+// When the id is unknown (too old for the buffer, or from before a restart)
+// the client gets the latest update of every widget instead.
+function getEventsSince(lastSeenId) {
+    const oldestBuffered = buffer.length > 0 ? buffer[0].id : lastEventId + 1;
+    const canResume = Number.isInteger(lastSeenId) && lastSeenId >= 0 &&
+        lastSeenId <= lastEventId && lastSeenId >= oldestBuffered - 1;
+    if (canResume) {
+        return buffer.filter(event => event.id > lastSeenId);
+    }
+    return Array.from(latestByWidget.values()).sort((a, b) => a.id - b.id);
+}
+
+// Register a listener for updates; returns an unsubscribe function
+// The first subscriber starts the refresher and the last one stops it.
+// onClose is called if the server shuts the stream down (see closeAll).
+function subscribe(listener, onClose) {
+    emitter.on('update', listener);
+    if (onClose) emitter.on('close', onClose);
+    subscriberCount++;
+    if (subscriberCount === 1) {
+        startRefreshing();
+    }
+    return () => {
+        emitter.off('update', listener);
+        if (onClose) emitter.off('close', onClose);
+        subscriberCount--;
+        if (subscriberCount === 0) {
+            stopRefreshing();
+        }
+    };
+}
+
+// Ask every connected client to go away, used during shutdown
+function closeAll() {
+    emitter.emit('close');
+    stopRefreshing();
+}
+
+function getSubscriberCount() {
+    return subscriberCount;
+}
+
+module.exports = {
+    subscribe,
+    getEventsSince,
+    getSubscriberCount,
+    closeAll
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const apiKeyService = require('./apiKeyService');
+// Signed links to the HTML dashboard
+// A browser can't add an X-API-Key header when it follows a link, so a key
+// holder can ask for a /view?token=... link instead. The token names the key
+// and an expiry time and is signed with VIEW_LINK_SECRET (the same in every
+// worker). It only opens /view, with that key's scopes, and stops working
+// when it expires or the key is revoked. Without VIEW_LINK_SECRET there are
+// no view links.
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const MAX_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+function getSecret() {
+    return process.env.VIEW_LINK_SECRET || null;
+}
+
+function sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Token for a key, valid for ttlSeconds; null when view links are disabled
+function createToken(apiKey, ttlSeconds = DEFAULT_TTL_SECONDS) {
+    const secret = getSecret();
+    if (!secret) return null;
+    const expiresAt = Date.now() + Math.min(ttlSeconds, MAX_TTL_SECONDS) * 1000;
+    const payload = Buffer.from(JSON.stringify({ key: apiKey.id, exp: expiresAt })).toString('base64url');
+    return { token: `${payload}.${sign(payload, secret)}`, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+// The key a token was made for, or null when it is forged, expired or revoked
+async function verifyToken(token) {
+    const secret = getSecret();
+    if (!secret || typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    if (!claims || typeof claims.key !== 'string' || !(claims.exp > Date.now())) return null;
+    const apiKey = await apiKeyService.getKey(claims.key);
+    return apiKey && !apiKey.revokedAt ? apiKey : null;
+}
+
+module.exports = {
+    DEFAULT_TTL_SECONDS,
+    MAX_TTL_SECONDS,
+    createToken,
+    verifyToken
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+// Small JSON file store for local data such as dashboard profiles
+// The whole document is read into memory on first use and written back
+// atomically (temp file + rename) after every change. Writes are queued so
+// concurrent updates never interleave.
+// Several processes (cluster workers) may share a file: the document is
+// re-read when the file changed on disk, and updates hold a lock file so
+// two processes never apply changes to the same old copy.
+// Top-level fields listed in `maps` hold objects keyed by user-chosen ids
+// (profile names, viewers). They are loaded without a prototype, so an id like
+// "constructor" or "__proto__" is just another key.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+// A lock older than this was left by a process that died mid-update
+const STALE_LOCK_MS = 10 * 1000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createJsonStore(fileName, defaultData = {}, { maps = [] } = {}) {
+    const filePath = path.join(DATA_DIR, fileName);
+    const lockPath = `${filePath}.lock`;
+    let data = null;
+    // mtime and size of the file when data was last loaded or saved
+    let version = null;
+    let writeQueue = Promise.resolve();
+
+    async function fileVersion() {
+        try {
+            const stats = await fs.promises.stat(filePath);
+            return `${stats.mtimeMs}:${stats.size}`;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    function toMaps(document) {
+        maps.forEach(key => {
+            document[key] = Object.assign(Object.create(null), document[key]);
+        });
+        return document;
+    }
+
+    async function load() {
+        const current = await fileVersion();
+        if (data && current === version) return data;
+        try {
+            const raw = await fs.promises.readFile(filePath, 'utf8');
+            data = toMaps(JSON.parse(raw));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Error reading data file', { file: filePath, error: error.message });
+                throw new Error(`Failed to read data file ${fileName}`);
+            }
+            data = data || toMaps(JSON.parse(JSON.stringify(defaultData)));
+        }
+        version = current;
+        return data;
+    }
+
+    async function persist() {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+        version = await fileVersion();
+    }
+
+    async function acquireLock() {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        const giveUpAt = Date.now() + LOCK_TIMEOUT_MS;
+        while (true) {
+            try {
+                const handle = await fs.promises.open(lockPath, 'wx');
+                await handle.close();
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+            const stats = await fs.promises.stat(lockPath).catch(() => null);
+            if (stats && Date.now() - stats.mtimeMs > STALE_LOCK_MS) {
+                await fs.promises.unlink(lockPath).catch(() => {});
+                continue;
+            }
+            if (Date.now() > giveUpAt) {
+                throw new Error(`Timed out waiting for the lock on data file ${fileName}`);
+            }
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+
+    // Read the current document
+    async function read() {
+        return load();
+    }
+
+    // Apply a change to the document and save it
+    // The updater receives the document, mutates it and may return a result
+    function update(updater) {
+        const run = writeQueue.then(async () => {
+            await acquireLock();
+            try {
+                await load();
+                const result = await updater(data);
+                await persist();
+                return result;
+            } finally {
+                await fs.promises.unlink(lockPath).catch(() => {});
+            }
+        });
+        // Keep the queue going even if this update fails
+        writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    return { read, update, filePath };
+}
+
+module.exports = createJsonStore;
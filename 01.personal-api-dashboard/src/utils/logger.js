@@ -0,0 +1,25 @@
+const { getContext } = require('./requestContext');
+// Structured logger
+// Every entry is one line of JSON with a timestamp, level, message and the
+// current request id, so logs can be searched and joined up by request.
+function write(level, message, fields = {}) {
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        message,
+        requestId: getContext().requestId || null,
+        ...fields
+    };
+    const line = JSON.stringify(entry);
+    if (level === 'error' || level === 'warn') {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+module.exports = {
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
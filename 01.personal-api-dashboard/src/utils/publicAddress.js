@@ -0,0 +1,73 @@
+const dns = require('dns');
+const net = require('net');
+// Checks that an outgoing URL (e.g. an alert webhook) points at the public internet
+// Loopback, private, link-local, carrier-grade NAT, multicast and other
+// reserved ranges are refused, so a URL supplied by an API client can't be
+// used to reach the server itself or other hosts on its network.
+const blocked = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127],
+    ['64:ff9b::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return !blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Reason the URL can't be used, or null when it can
+// Host names are only checked when they are resolved (see publicLookup).
+function checkPublicUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value));
+    } catch (error) {
+        return 'must be a valid URL';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return 'must be an http(s) URL';
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+        return 'must not point at this server';
+    }
+    if (net.isIP(host) && !isPublicAddress(host)) {
+        return 'must not point at a private or loopback address';
+    }
+    return null;
+}
+
+// DNS lookup for axios that refuses host names resolving to a non-public
+// address, checked at connection time so DNS changes can't get around it
+async function publicLookup(hostname, options = {}) {
+    const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+    const refused = addresses.find(({ address }) => !isPublicAddress(address));
+    if (refused) {
+        const error = new Error(`${hostname} resolves to a private or loopback address`);
+        error.code = 'EADDRNOTPUBLIC';
+        throw error;
+    }
+    return addresses;
+}
+
+module.exports = {
+    isPublicAddress,
+    checkPublicUrl,
+    publicLookup
+};
@@ -0,0 +1,20 @@
+const { AsyncLocalStorage } = require('async_hooks');
+// Per-request context (currently the request id)
+// Anything that runs on behalf of a request, including provider calls made
+// deep inside the services, can read the id without it being passed around.
+const storage = new AsyncLocalStorage();
+
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+// The current request's context, or an empty object outside a request
+// (e.g. background refreshes)
+function getContext() {
+    return storage.getStore() || {};
+}
+
+module.exports = {
+    runWithContext,
+    getContext
+};
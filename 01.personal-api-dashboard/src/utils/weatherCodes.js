@@ -0,0 +1,54 @@
+// WMO weather interpretation codes used by Open-Meteo
+// Each code maps to human-readable condition text and an icon key the UI can
+// use to pick an icon. Icons for clear and partly cloudy skies have day and
+// night variants.
+const WMO_CODES = {
+    0: { condition: 'Clear sky', icon: 'clear' },
+    1: { condition: 'Mainly clear', icon: 'mostly-clear' },
+    2: { condition: 'Partly cloudy', icon: 'partly-cloudy' },
+    3: { condition: 'Overcast', icon: 'overcast' },
+    45: { condition: 'Fog', icon: 'fog' },
+    48: { condition: 'Depositing rime fog', icon: 'fog' },
+    51: { condition: 'Light drizzle', icon: 'drizzle' },
+    53: { condition: 'Moderate drizzle', icon: 'drizzle' },
+    55: { condition: 'Dense drizzle', icon: 'drizzle' },
+    56: { condition: 'Light freezing drizzle', icon: 'freezing-drizzle' },
+    57: { condition: 'Dense freezing drizzle', icon: 'freezing-drizzle' },
+    61: { condition: 'Slight rain', icon: 'rain' },
+    63: { condition: 'Moderate rain', icon: 'rain' },
+    65: { condition: 'Heavy rain', icon: 'heavy-rain' },
+    66: { condition: 'Light freezing rain', icon: 'freezing-rain' },
+    67: { condition: 'Heavy freezing rain', icon: 'freezing-rain' },
+    71: { condition: 'Slight snow fall', icon: 'snow' },
+    73: { condition: 'Moderate snow fall', icon: 'snow' },
+    75: { condition: 'Heavy snow fall', icon: 'heavy-snow' },
+    77: { condition: 'Snow grains', icon: 'snow' },
+    80: { condition: 'Slight rain showers', icon: 'showers' },
+    81: { condition: 'Moderate rain showers', icon: 'showers' },
+    82: { condition: 'Violent rain showers', icon: 'heavy-rain' },
+    85: { condition: 'Slight snow showers', icon: 'snow-showers' },
+    86: { condition: 'Heavy snow showers', icon: 'snow-showers' },
+    95: { condition: 'Thunderstorm', icon: 'thunderstorm' },
+    96: { condition: 'Thunderstorm with slight hail', icon: 'thunderstorm-hail' },
+    99: { condition: 'Thunderstorm with heavy hail', icon: 'thunderstorm-hail' }
+};
+
+const DAY_NIGHT_ICONS = new Set(['clear', 'mostly-clear', 'partly-cloudy']);
+
+// Describe a weather code; isDay is optional (Open-Meteo sends 1 or 0)
+function describeWeatherCode(code, isDay) {
+    const entry = WMO_CODES[code];
+    if (!entry) {
+        return { condition: 'Unknown', icon: 'unknown' };
+    }
+    let icon = entry.icon;
+    if (DAY_NIGHT_ICONS.has(icon) && isDay !== undefined && isDay !== null) {
+        icon = `${icon}-${isDay ? 'day' : 'night'}`;
+    }
+    return { condition: entry.condition, icon };
+}
+
+module.exports = {
+    WMO_CODES,
+    describeWeatherCode
+};
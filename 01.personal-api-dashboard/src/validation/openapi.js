@@ -0,0 +1,96 @@
+const { toOpenApiSchema } = require('./schema');
+const { listRoutes } = require('./routes');
+const { version } = require('../../package.json');
+// OpenAPI 3 document for the validated routes, built from the route schemas
+const components = {
+    securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+    schemas: {
+        ValidationError: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean', example: false },
+                error: { type: 'string', example: 'Invalid request parameters' },
+                details: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            field: { type: 'string' },
+                            message: { type: 'string' }
+                        }
+                    }
+                },
+                timestamp: { type: 'string', format: 'date-time' }
+            }
+        },
+        Error: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean', example: false },
+                error: { type: 'string' },
+                timestamp: { type: 'string', format: 'date-time' }
+            }
+        }
+    }
+};
+
+function toParameters(query) {
+    return Object.entries(query).map(([name, field]) => ({
+        name,
+        in: 'query',
+        required: Boolean(field.required),
+        ...(field.description ? { description: field.description } : {}),
+        // Lists are sent comma-separated (?symbols=BTC,ETH)
+        ...(field.type === 'list' ? { style: 'form', explode: false } : {}),
+        schema: toOpenApiSchema(field)
+    }));
+}
+
+function toOperation(route) {
+    const errorResponse = description => ({
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    });
+    return {
+        summary: route.summary,
+        description: `Requires the ${route.scope} scope.`,
+        security: [{ apiKey: [] }],
+        parameters: toParameters(route.query),
+        responses: {
+            200: {
+                description: 'OK',
+                content: { [route.contentType || 'application/json']: {} }
+            },
+            400: {
+                description: 'Invalid request parameters',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+            },
+            401: errorResponse('Missing or invalid API key'),
+            403: errorResponse('The key lacks the required scope'),
+            429: errorResponse('Rate limit or quota exceeded')
+        }
+    };
+}
+
+function buildOpenApiDocument({ serverUrl } = {}) {
+    const paths = {};
+    for (const route of listRoutes()) {
+        paths[route.path] = { get: toOperation(route) };
+    }
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Personal API Dashboard',
+            version
+        },
+        ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+        paths,
+        components
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument
+};
@@ -0,0 +1,152 @@
+const providers = require('../providers');
+const { THEMES } = require('../views/dashboardView');
+const { TAG_PATTERN } = require('../services/quoteLibraryService');
+// Query parameter schemas for the dashboard routes
+// app.js validates each route against these and /openapi.json is generated
+// from the same list, so the documentation can't drift from the checks.
+// Schemas are built on demand because providers can be registered at startup.
+const profileParam = {
+    type: 'string',
+    pattern: /^[a-z0-9][a-z0-9_-]{0,49}$/i,
+    description: 'Name of a saved dashboard profile'
+};
+
+function dashboardQuery() {
+    return { profile: profileParam };
+}
+
+function streamQuery() {
+    return {
+        widgets: {
+            type: 'list',
+            enum: providers.listProviders().map(provider => provider.id),
+            description: 'Only stream these widgets (comma-separated)'
+        },
+        lastEventId: { type: 'integer', min: 0, description: 'Resume after this event id (same as the Last-Event-ID header)' }
+    };
+}
+
+function viewQuery() {
+    return {
+        theme: { type: 'string', default: 'auto', enum: THEMES, description: 'Colour theme' },
+        refresh: { type: 'integer', min: 0, max: 86400, description: 'Auto refresh interval in seconds, 0 turns it off' },
+        profile: profileParam,
+        token: {
+            type: 'string',
+            pattern: /^[\w-]+\.[\w-]+$/,
+            description: 'Token from a view link (POST /view/links), for browsers that can\'t send X-API-Key'
+        }
+    };
+}
+
+// A widget route takes the provider's own options plus the profile ones
+function widgetQuery(providerId) {
+    return () => ({
+        ...providers.getProvider(providerId).configSchema,
+        profile: profileParam,
+        location: { type: 'string', description: 'One of the profile\'s saved locations (needs profile)' }
+    });
+}
+
+function quotesQuery() {
+    return {
+        tag: { type: 'string', pattern: TAG_PATTERN, description: 'Only quotes with this tag' },
+        author: { type: 'string', description: 'Part of the author name' },
+        search: { type: 'string', description: 'Text the quote contains' },
+        limit: { type: 'integer', default: 50, min: 1, max: 200, description: 'Number of quotes to return' },
+        offset: { type: 'integer', default: 0, min: 0, description: 'Number of quotes to skip' }
+    };
+}
+
+function citiesQuery() {
+    return {
+        q: { type: 'string', required: true, description: 'Start of the city name' },
+        limit: { type: 'integer', default: 10, min: 1, max: 50, description: 'Number of cities to return' }
+    };
+}
+
+// Times are ISO dates or ms since the epoch; checked further by the controller
+function snapshotsQuery() {
+    return {
+        from: { type: 'string', description: 'Only snapshots taken at or after this time' },
+        to: { type: 'string', description: 'Only snapshots taken at or before this time' },
+        limit: { type: 'integer', default: 100, min: 1, max: 1000, description: 'Number of snapshots to return' }
+    };
+}
+
+// Snapshots are picked by id, "latest" or a time (last snapshot at or before it)
+function snapshotDiffQuery() {
+    const ref = /^[0-9A-Za-z:.+-]{1,40}$/;
+    return {
+        from: { type: 'string', required: true, pattern: ref, description: 'Snapshot id, "latest" or a time' },
+        to: { type: 'string', default: 'latest', pattern: ref, description: 'Snapshot id, "latest" or a time' }
+    };
+}
+
+// Every validated route, in the order it is documented
+function listRoutes() {
+    return [
+        {
+            path: '/dashboard',
+            summary: 'All widgets the key can read, or the widgets of a profile',
+            scope: 'dashboard:read',
+            query: dashboardQuery()
+        },
+        {
+            path: '/dashboard/stream',
+            summary: 'Live widget updates as Server-Sent Events',
+            scope: 'dashboard:read',
+            query: streamQuery(),
+            contentType: 'text/event-stream'
+        },
+        {
+            path: '/view',
+            summary: 'HTML dashboard with auto refresh',
+            scope: 'dashboard:read',
+            query: viewQuery(),
+            contentType: 'text/html'
+        },
+        {
+            path: '/quotes',
+            summary: 'Quotes in the local library',
+            scope: 'quotes:read',
+            query: quotesQuery()
+        },
+        {
+            path: '/snapshots',
+            summary: 'Saved dashboard snapshots in a time range',
+            scope: 'snapshots:read',
+            query: snapshotsQuery()
+        },
+        {
+            path: '/snapshots/diff',
+            summary: 'What changed between two snapshots',
+            scope: 'snapshots:read',
+            query: snapshotDiffQuery()
+        },
+        {
+            path: '/weather/cities',
+            summary: 'Cities known to the weather widget, by name prefix',
+            scope: 'weather:read',
+            query: citiesQuery()
+        },
+        ...providers.listProviders().map(provider => ({
+            path: `/${provider.id}`,
+            summary: provider.description || `${provider.id} widget`,
+            scope: `${provider.id}:read`,
+            query: widgetQuery(provider.id)()
+        }))
+    ];
+}
+
+module.exports = {
+    dashboardQuery,
+    streamQuery,
+    viewQuery,
+    widgetQuery,
+    quotesQuery,
+    citiesQuery,
+    snapshotsQuery,
+    snapshotDiffQuery,
+    listRoutes
+};
@@ -0,0 +1,132 @@
+// Field schemas
+// Provider options and route query parameters are described the same way:
+// { type, default, required, min, max, enum, pattern, maxItems, description }
+// where type is number, integer, string, list or boolean. The same schemas
+// drive input validation and the generated OpenAPI document.
+
+// Convert a single raw value (usually a query string) to the type in the schema
+function coerceValue(raw, field) {
+    switch (field.type) {
+        case 'number': {
+            const value = Number(raw);
+            return Number.isFinite(value) ? value : undefined;
+        }
+        case 'integer': {
+            const value = Number(raw);
+            return Number.isInteger(value) ? value : undefined;
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') return raw;
+            const text = String(raw).toLowerCase();
+            if (['true', '1', 'yes'].includes(text)) return true;
+            if (['false', '0', 'no'].includes(text)) return false;
+            return undefined;
+        }
+        case 'list': {
+            const items = Array.isArray(raw) ? raw : String(raw).split(',');
+            return items.map(item => String(item).trim()).filter(Boolean);
+        }
+        case 'string':
+        default:
+            return String(raw);
+    }
+}
+
+// Check one coerced value against the field's rules, returns a message or null
+function checkValue(name, value, field) {
+    if (field.min !== undefined && value < field.min) {
+        return `${name} must be at least ${field.min}`;
+    }
+    if (field.max !== undefined && value > field.max) {
+        return `${name} must be at most ${field.max}`;
+    }
+    const items = Array.isArray(value) ? value : [value];
+    if (field.pattern) {
+        const invalid = items.filter(item => !field.pattern.test(item));
+        if (invalid.length > 0) {
+            return `${name} has invalid value: ${invalid.join(', ')}`;
+        }
+    }
+    if (field.maxItems !== undefined && Array.isArray(value) && value.length > field.maxItems) {
+        return `${name} can have at most ${field.maxItems} items`;
+    }
+    if (field.enum && items.some(item => !field.enum.includes(item))) {
+        return `${name} must be one of: ${field.enum.join(', ')}`;
+    }
+    return null;
+}
+
+// Validate raw input against a schema
+// Missing values fall back to the schema defaults; unknown keys are ignored.
+// Every invalid field is reported, so callers can list all problems at once.
+// Returns { values, errors } with errors as [{ field, message }].
+function validateInput(schema, input = {}) {
+    const values = {};
+    const errors = [];
+
+    for (const [name, field] of Object.entries(schema)) {
+        const raw = input[name];
+
+        if (raw === undefined || raw === '') {
+            if (field.required) {
+                errors.push({ field: name, message: `${name} is required` });
+            } else if (field.default !== undefined) {
+                values[name] = field.default;
+            }
+            continue;
+        }
+
+        const value = coerceValue(raw, field);
+        if (value === undefined) {
+            errors.push({ field: name, message: `${name} must be a valid ${field.type}` });
+            continue;
+        }
+        const message = checkValue(name, value, field);
+        if (message) {
+            errors.push({ field: name, message });
+            continue;
+        }
+        values[name] = value;
+    }
+
+    return { values, errors };
+}
+
+// OpenAPI (JSON Schema) description of one field
+function toOpenApiSchema(field) {
+    const types = {
+        number: { type: 'number' },
+        integer: { type: 'integer' },
+        boolean: { type: 'boolean' },
+        string: { type: 'string' },
+        list: { type: 'array', items: { type: 'string' } }
+    };
+    const schema = { ...(types[field.type] || types.string) };
+    const target = schema.type === 'array' ? schema.items : schema;
+    if (field.pattern instanceof RegExp) target.pattern = field.pattern.source;
+    if (field.enum) target.enum = field.enum;
+    if (field.min !== undefined) schema.minimum = field.min;
+    if (field.max !== undefined) schema.maximum = field.max;
+    if (field.maxItems !== undefined) schema.maxItems = field.maxItems;
+    if (field.default !== undefined) schema.default = field.default;
+    return schema;
+}
+
+// Plain JSON description of a schema (RegExp patterns become strings)
+function describeFields(schema) {
+    const description = {};
+    for (const [name, field] of Object.entries(schema)) {
+        description[name] = { ...field };
+        if (field.pattern instanceof RegExp) {
+            description[name].pattern = field.pattern.source;
+        }
+    }
+    return description;
+}
+
+module.exports = {
+    coerceValue,
+    validateInput,
+    toOpenApiSchema,
+    describeFields
+};
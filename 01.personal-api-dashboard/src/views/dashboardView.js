@@ -0,0 +1,230 @@
+// HTML rendering for the /view dashboard
+// Plain template strings, no client-side JavaScript: the page reloads itself
+// with a meta refresh tag. Every value from a provider goes through escapeHtml.
+const THEMES = ['auto', 'light', 'dark'];
+
+const ICONS = {
+    'clear-day': '☀️',
+    'clear-night': '🌙',
+    'mostly-clear-day': '🌤️',
+    'mostly-clear-night': '🌙',
+    'partly-cloudy-day': '⛅',
+    'partly-cloudy-night': '☁️',
+    overcast: '☁️',
+    fog: '🌫️',
+    drizzle: '🌦️',
+    'freezing-drizzle': '🌧️',
+    rain: '🌧️',
+    'heavy-rain': '🌧️',
+    'freezing-rain': '🌧️',
+    snow: '🌨️',
+    'heavy-snow': '❄️',
+    showers: '🌦️',
+    'snow-showers': '🌨️',
+    thunderstorm: '⛈️',
+    'thunderstorm-hail': '⛈️'
+};
+
+const STYLES = `
+:root { --bg: #f5f6f8; --card: #ffffff; --text: #1d2330; --muted: #667085; --border: #e3e6eb;
+        --accent: #2f6fde; --error: #c0352b; --warning: #a86400; --up: #1a7f37; --down: #c0352b; }
+.theme-dark { --bg: #12151b; --card: #1c2029; --text: #e6e9ef; --muted: #98a2b3; --border: #2c3240;
+              --accent: #6ea1ff; --error: #ff7b72; --warning: #f2b33d; --up: #56d364; --down: #ff7b72; }
+@media (prefers-color-scheme: dark) {
+    .theme-auto { --bg: #12151b; --card: #1c2029; --text: #e6e9ef; --muted: #98a2b3; --border: #2c3240;
+                  --accent: #6ea1ff; --error: #ff7b72; --warning: #f2b33d; --up: #56d364; --down: #ff7b72; }
+}
+* { box-sizing: border-box; }
+body { margin: 0; padding: 24px; font-family: system-ui, -apple-system, sans-serif; background: var(--bg); color: var(--text); }
+a { color: var(--accent); text-decoration: none; }
+header { display: flex; flex-wrap: wrap; justify-content: space-between; align-items: baseline; gap: 8px; margin-bottom: 20px; }
+header h1 { margin: 0; font-size: 1.5rem; }
+nav a { margin-left: 12px; }
+nav a.active { font-weight: 600; text-decoration: underline; }
+.grid { display: grid; gap: 16px; grid-template-columns: repeat(var(--columns, auto-fill), minmax(280px, 1fr)); }
+.widget { background: var(--card); border: 1px solid var(--border); border-radius: 10px; padding: 16px; }
+.widget h2 { margin: 0 0 12px; font-size: 1.1rem; text-transform: capitalize; }
+.widget.error { border-color: var(--error); }
+.widget.stale { border-color: var(--warning); }
+.notice { font-size: 0.85rem; margin: 0 0 12px; }
+.notice.error { color: var(--error); }
+.notice.stale { color: var(--warning); }
+.muted, .meta { color: var(--muted); font-size: 0.85rem; }
+.big { font-size: 2.2rem; font-weight: 600; }
+ul { padding-left: 18px; margin: 0; }
+li { margin-bottom: 8px; }
+table { width: 100%; border-collapse: collapse; }
+td, th { text-align: left; padding: 4px 0; }
+.up { color: var(--up); }
+.down { color: var(--down); }
+blockquote { margin: 0; font-size: 1.1rem; font-style: italic; }
+pre { white-space: pre-wrap; font-size: 0.8rem; margin: 0; }
+footer { margin-top: 20px; }
+`;
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// "5 min ago" style age for a timestamp
+function formatAge(timestamp, now) {
+    const seconds = Math.round((now - new Date(timestamp).getTime()) / 1000);
+    if (!Number.isFinite(seconds)) return '';
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+    return `${Math.floor(seconds / 86400)} d ago`;
+}
+
+function formatChange(change) {
+    if (typeof change !== 'number') return '<span class="muted">–</span>';
+    const className = change >= 0 ? 'up' : 'down';
+    return `<span class="${className}">${change >= 0 ? '+' : ''}${change.toFixed(2)}%</span>`;
+}
+
+function renderWeather(data) {
+    const place = data.location && data.location.name ?
+        `${data.location.name}${data.location.country ? `, ${data.location.country}` : ''}` :
+        `${data.location.latitude}, ${data.location.longitude}`;
+    const units = data.units || {};
+    let html = `
+        <div class="big">${ICONS[data.icon] || ''} ${escapeHtml(data.temperature)}${escapeHtml(units.temperature)}</div>
+        <p>${escapeHtml(data.condition)} · wind ${escapeHtml(data.windSpeed)} ${escapeHtml(units.windSpeed)}</p>
+        <p class="muted">${escapeHtml(place)}</p>`;
+    if (data.hourly) {
+        html += `<table>${data.hourly.slice(0, 8).map(hour => `
+            <tr><td>${escapeHtml(String(hour.time).slice(11, 16))}</td>
+                <td>${ICONS[hour.icon] || ''} ${escapeHtml(hour.temperature)}${escapeHtml(units.temperature)}</td>
+                <td class="muted">${escapeHtml(hour.precipitationProbability ?? 0)}%</td></tr>`).join('')}
+        </table>`;
+    }
+    if (data.daily) {
+        html += `<table>${data.daily.map(day => `
+            <tr><td>${escapeHtml(day.date)}</td>
+                <td>${ICONS[day.icon] || ''} ${escapeHtml(day.temperatureMin)} / ${escapeHtml(day.temperatureMax)}${escapeHtml(units.temperature)}</td>
+                <td class="muted">${escapeHtml(day.condition)}</td></tr>`).join('')}
+        </table>`;
+    }
+    return html;
+}
+
+function renderNews(data) {
+    if (!data.stories || data.stories.length === 0) {
+        return '<p class="muted">No stories match the current filters.</p>';
+    }
+    return `<ul>${data.stories.map(story => `
+        <li>
+            <a href="${escapeHtml(story.url)}" rel="noopener noreferrer">${escapeHtml(story.title)}</a>
+            ${story.isNew ? '<strong>new</strong>' : ''}
+            <div class="meta">${escapeHtml(story.score)} points by ${escapeHtml(story.author)} ·
+                <a href="${escapeHtml(story.discussionUrl)}" rel="noopener noreferrer">${escapeHtml(story.commentCount)} comments</a></div>
+        </li>`).join('')}
+    </ul>`;
+}
+
+function renderQuote(data) {
+    const label = data.mode === 'daily' ? `<p class="muted">Quote of the day · ${escapeHtml(data.date)}</p>` : '';
+    return `${label}
+        <blockquote>“${escapeHtml(data.content)}”</blockquote>
+        <p class="muted">— ${escapeHtml(data.author)}${data.isFavourite ? ' ★' : ''}</p>`;
+}
+
+function renderCrypto(data) {
+    const rows = Object.entries(data.rates || {}).map(([symbol, rate]) => {
+        const history = rate.history || {};
+        return `
+            <tr><th>${escapeHtml(symbol)}</th>
+                <td>${escapeHtml(rate.price)} ${escapeHtml(rate.currency)}</td>
+                <td>${formatChange(history['24h'] && history['24h'].change)}</td></tr>`;
+    });
+    const missing = data.missing && data.missing.length > 0 ?
+        `<p class="muted">No rate for ${escapeHtml(data.missing.join(', '))}</p>` : '';
+    return `<table><tr><th>Coin</th><th>Price</th><th>24h</th></tr>${rows.join('')}</table>${missing}`;
+}
+
+// Providers added through DASHBOARD_PROVIDERS have no template, show their JSON
+function renderGeneric(data) {
+    return `<pre>${escapeHtml(JSON.stringify(data, null, 2))}</pre>`;
+}
+
+const RENDERERS = {
+    weather: renderWeather,
+    news: renderNews,
+    quote: renderQuote,
+    crypto: renderCrypto
+};
+
+// One widget card, with its error or staleness state
+// A widget that failed (a rejected entry from Promise.allSettled) only
+// carries { error }; a widget served from the last good value has stale: true.
+function renderWidget(id, data, now) {
+    if (!data || data.error) {
+        return `
+    <section class="widget error">
+        <h2>${escapeHtml(id)}</h2>
+        <p class="notice error">Unavailable: ${escapeHtml(data ? data.error : 'no data')}</p>
+    </section>`;
+    }
+    const renderer = RENDERERS[id] || renderGeneric;
+    let body;
+    try {
+        body = renderer(data);
+    } catch (error) {
+        body = renderGeneric(data);
+    }
+    const staleNotice = data.stale ?
+        `<p class="notice stale">Showing older data${data.staleReason ? ` (${escapeHtml(data.staleReason)})` : ''}</p>` : '';
+    const updated = data.lastUpdated ?
+        `<footer class="meta">Updated ${escapeHtml(formatAge(data.lastUpdated, now))}</footer>` : '';
+    return `
+    <section class="widget${data.stale ? ' stale' : ''}">
+        <h2>${escapeHtml(id)}</h2>
+        ${staleNotice}${body}${updated}
+    </section>`;
+}
+
+// Full page
+// dashboard is the object from fetchDashboard; widgets is the display order.
+// links.theme(name) builds the URL for switching themes.
+function renderDashboardPage({ dashboard, widgets, theme, refreshSeconds, title, columns, links }) {
+    const now = Date.now();
+    const refreshTag = refreshSeconds > 0 ?
+        `<meta http-equiv="refresh" content="${refreshSeconds}">` : '';
+    const themeLinks = THEMES.map(name =>
+        `<a href="${escapeHtml(links.theme(name))}"${name === theme ? ' class="active"' : ''}>${name}</a>`).join('');
+    const gridStyle = columns ? ` style="--columns: ${Number(columns)}"` : '';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${refreshTag}
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body class="theme-${theme}">
+<header>
+    <h1>${escapeHtml(title)}</h1>
+    <nav>${themeLinks}</nav>
+</header>
+<main class="grid"${gridStyle}>
+${widgets.map(id => renderWidget(id, dashboard[id], now)).join('')}
+</main>
+<footer class="muted">
+    Generated ${escapeHtml(dashboard.generatedAt)}${refreshSeconds > 0 ? ` · refreshes every ${refreshSeconds}s` : ''}
+</footer>
+</body>
+</html>`;
+}
+
+module.exports = {
+    THEMES,
+    escapeHtml,
+    renderWidget,
+    renderDashboardPage
+};
@@ -0,0 +1,60 @@
+// Alert rule routes with ids that are also Object.prototype property names
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-alerts-'));
+process.env.AUTH_DISABLED = 'true';
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../src/app');
+
+const RULE = {
+    name: 'Bitcoin above 100k',
+    widget: 'crypto',
+    condition: { type: 'threshold', path: 'rates.BTC.price', operator: '>', value: 100000 }
+};
+
+let server;
+let baseUrl;
+
+async function request(method, route, body) {
+    const response = await fetch(baseUrl + route, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+    server = createApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+for (const id of ['constructor', '__proto__', 'toString']) {
+    test(`a rule id of ${id} is not found`, async () => {
+        assert.equal((await request('GET', `/alerts/rules/${id}`)).status, 404);
+        assert.equal((await request('PUT', `/alerts/rules/${id}`, RULE)).status, 404);
+        assert.equal((await request('DELETE', `/alerts/rules/${id}`)).status, 404);
+        assert.equal((await request('POST', `/alerts/rules/${id}/evaluate`)).status, 404);
+    });
+}
+
+test('updating __proto__ leaves the other rules alone', async () => {
+    const created = await request('POST', '/alerts/rules', RULE);
+    assert.equal(created.status, 201);
+    await request('PUT', '/alerts/rules/__proto__', RULE);
+    // Had the update reached the prototype, every unknown id would find a rule
+    assert.equal((await request('GET', '/alerts/rules/name')).status, 404);
+    const { body } = await request('GET', '/alerts/rules');
+    assert.deepEqual(body.data.map(rule => rule.id), [created.body.data.id]);
+    const found = await request('GET', `/alerts/rules/${created.body.data.id}`);
+    assert.equal(found.status, 200);
+    assert.deepEqual(found.body.data.state, {});
+});
@@ -0,0 +1,51 @@
+// API key administration with ids that are also Object.prototype property names
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-keys-'));
+process.env.ADMIN_API_KEY = 'test-admin-key';
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../src/app');
+
+let server;
+let baseUrl;
+
+async function admin(method, route, body) {
+    const response = await fetch(baseUrl + route, {
+        method,
+        headers: { 'X-Admin-Key': process.env.ADMIN_API_KEY, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+    server = createApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+for (const id of ['constructor', '__proto__', 'hasOwnProperty']) {
+    test(`a key id of ${id} is not found`, async () => {
+        assert.equal((await admin('GET', `/admin/keys/${id}`)).status, 404);
+        assert.equal((await admin('GET', `/admin/keys/${id}/usage`)).status, 404);
+        assert.equal((await admin('DELETE', `/admin/keys/${id}`)).status, 404);
+    });
+}
+
+test('revoking __proto__ does not touch the real keys', async () => {
+    const created = await admin('POST', '/admin/keys', { client: 'dashboard', scopes: ['news:read'] });
+    assert.equal(created.status, 201);
+    await admin('DELETE', '/admin/keys/__proto__');
+    const { body } = await admin('GET', '/admin/keys');
+    assert.equal(body.count, 1);
+    assert.equal(body.data[0].revokedAt, null);
+    const usage = await fetch(`${baseUrl}/usage`, { headers: { 'X-API-Key': created.body.data.key } });
+    assert.equal(usage.status, 200);
+});
@@ -0,0 +1,142 @@
+// The app factory, graceful shutdown and state shared between workers
+// Workers are stood in for by child processes: they share the data directory
+// like cluster workers do, and reach the test's store host over IPC.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-app-'));
+process.env.AUTH_DISABLED = 'true';
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../src/app');
+const { startServer } = require('../src/server');
+const apiKeyService = require('../src/services/apiKeyService');
+const { serveWorker } = require('../src/cluster/ipc');
+const createStoreHost = require('../src/cluster/storeHost');
+const SRC = path.join(__dirname, '../src');
+
+// Run code in another process with the same data directory and an IPC
+// channel; resolves to the messages it sent that are not store calls
+function runWorker(code, { index = 0, host } = {}) {
+    const child = spawn(process.execPath, ['-e', code], {
+        env: { ...process.env, DASHBOARD_WORKER_INDEX: String(index), SRC },
+        stdio: ['ignore', 'ignore', 'inherit', 'ipc']
+    });
+    if (host) {
+        serveWorker(Object.assign(child, { isConnected: () => child.connected }), host);
+    }
+    const results = [];
+    child.on('message', message => {
+        if (message && message.type === 'result') results.push(message.value);
+    });
+    return new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('exit', code => (code === 0 ? resolve(results) : reject(new Error(`Worker exited with ${code}`))));
+    });
+}
+
+async function listen(app) {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+after(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('createApp serves requests without starting a server of its own', async () => {
+    const app = createApp();
+    const { server, baseUrl } = await listen(app);
+    try {
+        const health = await fetch(`${baseUrl}/health`);
+        assert.equal(health.status, 200);
+        assert.equal((await health.json()).status, 'healthy');
+        assert.match(health.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+        const traced = await fetch(`${baseUrl}/health`, { headers: { 'X-Request-ID': 'trace-123' } });
+        assert.equal(traced.headers.get('x-request-id'), 'trace-123');
+
+        const unknown = await fetch(`${baseUrl}/no-such-route`);
+        assert.equal(unknown.status, 404);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('responses ask clients to close their connection while shutting down', async () => {
+    const app = createApp();
+    const { server, baseUrl } = await listen(app);
+    try {
+        const before = await fetch(`${baseUrl}/health`);
+        assert.notEqual(before.headers.get('connection'), 'close');
+        app.locals.shuttingDown = true;
+        const during = await fetch(`${baseUrl}/health`);
+        assert.equal(during.headers.get('connection'), 'close');
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('shutdown stops the server and reports a clean exit', async () => {
+    const { server, shutdown } = startServer({ port: 0, runJobs: false });
+    await new Promise(resolve => server.once('listening', resolve));
+    const { port } = server.address();
+    assert.equal(await shutdown('SIGTERM'), 0);
+    assert.equal(server.listening, false);
+    await assert.rejects(fetch(`http://127.0.0.1:${port}/health`));
+    // A second signal waits for the same shutdown
+    assert.equal(await shutdown('SIGINT'), 0);
+});
+
+test('keys created or revoked by another worker are seen by this one', async () => {
+    // Load this worker's copy of the key file before the other worker adds to it
+    assert.deepEqual(await apiKeyService.listKeys(), []);
+    const [created] = await runWorker(`
+        const apiKeyService = require(process.env.SRC + '/services/apiKeyService');
+        apiKeyService.createKey({ client: 'other worker', scopes: ['news:read'] })
+            .then(key => process.send({ type: 'result', value: key }, () => process.disconnect()));
+    `);
+    const verified = await apiKeyService.verifyKey(created.key);
+    assert.equal(verified.id, created.id);
+    assert.deepEqual(verified.scopes, ['news:read']);
+
+    await runWorker(`
+        const apiKeyService = require(process.env.SRC + '/services/apiKeyService');
+        apiKeyService.revokeKey('${created.id}').then(() => process.disconnect());
+    `);
+    assert.equal(await apiKeyService.verifyKey(created.key), null);
+});
+
+test('cluster workers share rate limits and cached values through the primary', async () => {
+    const host = createStoreHost();
+    const worker = `
+        const rateLimitStore = require(process.env.SRC + '/config/rateLimit');
+        const cacheStore = require(process.env.SRC + '/config/cache');
+        const { getStrategy } = require(process.env.SRC + '/rateLimit/strategies');
+        const send = value => new Promise(resolve => process.send({ type: 'result', value }, resolve));
+        (async () => {
+            const limit = { limit: 3, windowMs: 60 * 1000, cost: 1 };
+            for (let i = 0; i < 2; i++) {
+                const result = await rateLimitStore.consume(getStrategy('fixed-window'), 'quota:key:shared', limit);
+                await send({ store: rateLimitStore.name, allowed: result.allowed, remaining: result.remaining });
+            }
+            await send({ cached: await cacheStore.get('widget:news') });
+            await cacheStore.set('widget:news', { worker: process.env.DASHBOARD_WORKER_INDEX }, 60 * 1000);
+            process.disconnect();
+        })();
+    `;
+    const first = await runWorker(worker, { index: 0, host });
+    const second = await runWorker(worker, { index: 1, host });
+    assert.deepEqual(first, [
+        { store: 'cluster', allowed: true, remaining: 2 },
+        { store: 'cluster', allowed: true, remaining: 1 },
+        { cached: null }
+    ]);
+    assert.deepEqual(second, [
+        { store: 'cluster', allowed: true, remaining: 0 },
+        { store: 'cluster', allowed: false, remaining: 0 },
+        { cached: { worker: '0' } }
+    ]);
+});
@@ -0,0 +1,91 @@
+// Partial-failure paths of the dashboard, replayed from test/fixtures
+// Providers are served from the recorded fixtures through their own HTTP
+// clients, with failures injected per provider, so nothing calls upstream.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-replay-'));
+process.env.FIXTURE_DIR = path.join(__dirname, 'fixtures');
+process.env.PROVIDER_MODE = 'replay';
+process.env.REPLAY_SEED = '1';
+process.env.AUTH_DISABLED = 'true';
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../src/app');
+const apiService = require('../src/services/apiService');
+const cacheService = require('../src/services/cacheService');
+const fixtureService = require('../src/services/fixtureService');
+const { getBreakerStates } = require('../src/services/circuitBreaker');
+
+let server;
+let baseUrl;
+
+async function getJson(route) {
+    const response = await fetch(baseUrl + route);
+    return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+    server = createApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    fixtureService.configure({ failProviders: [], failureRate: 0 });
+    await cacheService.clear();
+});
+
+test('every widget is replayed from its fixture', async () => {
+    const { status, body } = await getJson('/dashboard');
+    assert.equal(status, 200);
+    assert.equal(body.data.weather.condition, 'Overcast');
+    assert.equal(body.data.news.stories.length, 2);
+    assert.equal(body.data.quote.author, 'Edsger W. Dijkstra');
+    assert.equal(body.data.crypto.rates.BTC.currency, 'USD');
+});
+
+test('a failing provider becomes an error entry and the rest still load', async () => {
+    fixtureService.configure({ failProviders: ['news'] });
+    const { status, body } = await getJson('/dashboard');
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.news, { error: 'Failed to fetch news data (injected failure)' });
+    assert.equal(body.data.weather.condition, 'Overcast');
+    assert.equal(body.data.quote.author, 'Edsger W. Dijkstra');
+    assert.ok(body.data.crypto.rates.ETH);
+    // The failure went through the provider's client and counts against its breaker
+    assert.equal(getBreakerStates().news.failures, 1);
+});
+
+test('a widget whose circuit is open is served stale from its last good value', async () => {
+    const fresh = await apiService.fetchWidget('crypto');
+    assert.equal(fresh.cache.status, 'MISS');
+    fixtureService.configure({ failProviders: ['crypto'] });
+    // The crypto client opens its circuit after five failed requests
+    for (let attempt = 0; attempt < 5; attempt++) {
+        await assert.rejects(apiService.fetchWidget('crypto', {}, { force: true }), /injected failure/);
+    }
+    assert.equal(getBreakerStates().crypto.state, 'open');
+
+    const stale = await apiService.fetchWidget('crypto', {}, { force: true });
+    assert.equal(stale.cache.status, 'STALE');
+    assert.equal(stale.data.stale, true);
+    assert.equal(stale.data.staleReason, 'Provider unavailable (circuit open)');
+    assert.deepEqual(stale.data.rates, fresh.data.rates);
+
+    const { body } = await getJson('/health');
+    assert.equal(body.status, 'degraded');
+    assert.equal(body.providerMode, 'replay');
+    assert.equal(body.providers.crypto.circuit.state, 'open');
+});
+
+test('options without a fixture of their own use the newest one recorded', async () => {
+    const { data } = await apiService.fetchWidget('news', { feed: 'best', limit: 1 });
+    assert.equal(data.feed, 'top');
+    assert.equal(data.stories[0].id, 41000001);
+});
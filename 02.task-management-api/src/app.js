@@ -7,6 +7,7 @@ const db = require('./config/database');
 const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
 const categoryRoutes = require('./routes/categories');
+const workspaceRoutes = require('./routes/workspaces');
 const app = express();
 
 const PORT = process.env.PORT || 3000;
@@ -22,6 +23,7 @@ app.use((req, res, next) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/workspaces', workspaceRoutes);
 // Basic route for testing if server is running
 app.get('/', (req, res) => {
     res.json({
@@ -30,7 +32,8 @@ app.get('/', (req, res) => {
         endpoints: {
             auth: '/api/auth',
             tasks: '/api/tasks',
-            categories: '/api/categories'
+            categories: '/api/categories',
+            workspaces: '/api/workspaces'
         }
     });
 });
@@ -60,8 +60,24 @@ async function getClient() {
     };
     return client;
 }
+// Run fn(client) inside a transaction, rolling back if it throws
+async function transaction(fn) {
+    const client = await getClient();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
 module.exports = {
     query,
     getClient,
+    transaction,
     pool
 };
\ No newline at end of file
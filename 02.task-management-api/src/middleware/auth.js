@@ -0,0 +1,64 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+require('dotenv').config();
+// JWT settings shared by the login/register routes and the auth middleware
+// There is no default secret: anyone who knows it can sign a token for any
+// user, so the server refuses to start without one.
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set (see .env.example)');
+}
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Create a signed token for a user
+function generateToken(user) {
+    return jwt.sign(
+        { userId: user.id, email: user.email },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+}
+// Send a 401 with a machine-readable code so clients can tell an expired
+// token (log in again) from a missing or tampered one
+function unauthorized(res, error, code) {
+    res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${error}"`);
+    return res.status(401).json({ error, code });
+}
+// Verify the bearer token and load the user it belongs to
+// Sets req.user and req.userId for the route handlers.
+const authenticate = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+            error: 'Authentication token is required',
+            code: 'TOKEN_REQUIRED'
+        });
+    }
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return unauthorized(res, 'Authentication token has expired', 'TOKEN_EXPIRED');
+        }
+        return unauthorized(res, 'Invalid authentication token', 'INVALID_TOKEN');
+    }
+    try {
+        // The user may have been deleted after the token was issued
+        const user = await User.findById(decoded.userId);
+        if (!user) {
+            return unauthorized(res, 'User no longer exists', 'USER_NOT_FOUND');
+        }
+        req.user = user;
+        req.userId = user.id;
+        next();
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+module.exports = {
+    authenticate,
+    generateToken
+};
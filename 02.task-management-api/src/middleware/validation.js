@@ -0,0 +1,74 @@
+const Joi = require('joi');
+// Request validation with Joi
+// validateQuery checks req.query and puts the converted values (numbers,
+// dates, arrays) on req.validatedQuery, since req.query is read-only.
+const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const TASK_SORTS = ['priority', 'due_date', 'created_at', 'updated_at', 'title', 'relevance'];
+// Adds Joi.list(): an array that also accepts "a,b,c" as a single string,
+// so ?status=pending,in_progress and ?status=pending&status=in_progress match
+const custom = Joi.extend({
+    type: 'list',
+    base: Joi.array(),
+    coerce: {
+        from: 'string',
+        method(value) {
+            return { value: value.split(',').map(item => item.trim()).filter(Boolean) };
+        }
+    }
+});
+// Query parameters for GET /api/tasks
+const taskListQuery = Joi.object({
+    workspace_id: custom.list().items(Joi.number().integer().positive()),
+    assignee_id: custom.list().items(Joi.number().integer().positive()),
+    status: custom.list().items(Joi.string().valid(...TASK_STATUSES)),
+    priority: custom.list().items(Joi.string().valid(...TASK_PRIORITIES)),
+    category_id: custom.list().items(Joi.number().integer().positive()),
+    due_after: Joi.date(),
+    due_before: Joi.date(),
+    created_after: Joi.date(),
+    created_before: Joi.date(),
+    q: Joi.string().trim().max(200),
+    // Sorting by relevance only makes sense for a search
+    sort: Joi.when('q', {
+        is: Joi.exist(),
+        then: Joi.string().valid(...TASK_SORTS),
+        otherwise: Joi.string().valid(...TASK_SORTS.filter(sort => sort !== 'relevance'))
+            .messages({ 'any.only': '{{#label}} must be one of {{#valids}} (relevance needs a search query, q)' })
+    }),
+    order: Joi.string().lowercase().valid('asc', 'desc'),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    cursor: Joi.string().max(1000)
+});
+// Query parameters for GET /api/tasks/:id/activity
+const taskActivityQuery = Joi.object({
+    after: Joi.number().integer().min(0).default(0),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+});
+// Reject the request with every problem found, e.g.
+// { error: 'Invalid query parameters', details: [{ field, message }] }
+const validateQuery = (schema) => (req, res, next) => {
+    const { value, error } = schema.validate(req.query, {
+        abortEarly: false,
+        stripUnknown: true
+    });
+    if (error) {
+        return res.status(400).json({
+            error: 'Invalid query parameters',
+            details: error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }))
+        });
+    }
+    req.validatedQuery = value;
+    next();
+};
+module.exports = {
+    TASK_STATUSES,
+    TASK_PRIORITIES,
+    TASK_SORTS,
+    taskListQuery,
+    taskActivityQuery,
+    validateQuery
+};
@@ -0,0 +1,91 @@
+const Task = require('../models/Task');
+const Category = require('../models/Category');
+const Workspace = require('../models/Workspace');
+// Workspace access checks
+// The loaders find a task, category or workspace from the :id route
+// parameter, check the user's role in its workspace and put it on req.task,
+// req.category or req.workspace, with the role on req.workspaceRole. Anything
+// in a workspace the user is not a member of is reported as not found.
+const forbidden = (res, requiredRole) => res.status(403).json({
+    error: `You need ${requiredRole} access to this workspace`,
+    code: 'FORBIDDEN'
+});
+// Build a loader middleware for one kind of resource
+const createLoader = ({ key, label, find }) => (requiredRole = 'viewer') => async (req, res, next) => {
+    try {
+        const id = parseInt(req.params.id);
+        const resource = Number.isNaN(id) ? null : await find(id);
+        const role = resource ?
+            await Workspace.getMemberRole(resource.workspace_id, req.userId) :
+            null;
+        if (!role) {
+            return res.status(404).json({ error: `${label} not found` });
+        }
+        if (!Workspace.hasRole(role, requiredRole)) {
+            return forbidden(res, requiredRole);
+        }
+        req[key] = resource;
+        req.workspaceRole = role;
+        next();
+    } catch (error) {
+        console.error(`Error loading ${key}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+const loadTask = createLoader({ key: 'task', label: 'Task', find: id => Task.findById(id) });
+const loadCategory = createLoader({ key: 'category', label: 'Category', find: id => Category.findById(id) });
+// Workspaces are looked up together with the user's membership
+const loadWorkspace = (requiredRole = 'viewer') => async (req, res, next) => {
+    try {
+        const id = parseInt(req.params.id);
+        const workspace = Number.isNaN(id) ? null : await Workspace.findByIdForMember(id, req.userId);
+        if (!workspace) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        if (!Workspace.hasRole(workspace.role, requiredRole)) {
+            return forbidden(res, requiredRole);
+        }
+        req.workspace = workspace;
+        req.workspaceRole = workspace.role;
+        next();
+    } catch (error) {
+        console.error('Error loading workspace:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+// For creating tasks and categories: check the role in the workspace named by
+// workspace_id in the body, or use the user's personal workspace, and put its
+// ID on req.workspaceId
+const resolveWorkspace = (requiredRole = 'editor') => async (req, res, next) => {
+    try {
+        if (req.body.workspace_id === undefined || req.body.workspace_id === null) {
+            const personal = await Workspace.findOrCreatePersonal(req.userId);
+            if (!Workspace.hasRole(personal.role, requiredRole)) {
+                return forbidden(res, requiredRole);
+            }
+            req.workspaceId = personal.id;
+            req.workspaceRole = personal.role;
+            return next();
+        }
+        const workspaceId = parseInt(req.body.workspace_id);
+        const role = Number.isNaN(workspaceId) ? null : await Workspace.getMemberRole(workspaceId, req.userId);
+        if (!role) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
+        if (!Workspace.hasRole(role, requiredRole)) {
+            return forbidden(res, requiredRole);
+        }
+        req.workspaceId = workspaceId;
+        req.workspaceRole = role;
+        next();
+    } catch (error) {
+        console.error('Error resolving workspace:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+module.exports = {
+    loadTask,
+    loadCategory,
+    loadWorkspace,
+    resolveWorkspace
+};
@@ -1,14 +1,57 @@
 const fs = require('fs');
 const path = require('path');
 const db = require('./config/database');
+// The only migration that ran before applied migrations were recorded
+const INITIAL_MIGRATION = '001_initial_schema.sql';
+// Create the table of applied migrations the first time
+// A database set up before it existed already has the initial schema, so
+// that migration is recorded as applied rather than run again.
+async function ensureMigrationsTable() {
+    const existing = await db.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS found`);
+    if (existing.rows[0].found) {
+        return;
+    }
+    const legacy = await db.query(`SELECT to_regclass('tasks') IS NOT NULL AS found`);
+    await db.transaction(async (client) => {
+        await client.query(`
+CREATE TABLE IF NOT EXISTS schema_migrations
+(
+    name       VARCHAR(255) PRIMARY KEY,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+)
+`);
+        if (legacy.rows[0].found) {
+            await client.query(
+                'INSERT INTO schema_migrations (name) VALUES ($1) ON CONFLICT DO NOTHING',
+                [INITIAL_MIGRATION]
+            );
+        }
+    });
+}
 async function runMigrations() {
     try {
         console.log('Running database migrations...');
-        // Read the migration file
-        const migrationPath = path.join(__dirname, 'migrations/001_initial_schema.sql');
-        const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
-        // Execute the migration
-        await db.query(migrationSQL);
+        await ensureMigrationsTable();
+        const applied = await db.query('SELECT name FROM schema_migrations');
+        const appliedNames = new Set(applied.rows.map(row => row.name));
+        // Read the migration files that have not run yet, in order (001_, 002_, ...)
+        const migrationsDir = path.join(__dirname, 'migrations');
+        const files = fs.readdirSync(migrationsDir)
+            .filter(file => file.endsWith('.sql') && !appliedNames.has(file))
+            .sort();
+        // Execute each migration and record it in the same transaction, so a
+        // failed migration leaves nothing behind and runs again next time
+        for (const file of files) {
+            const migrationSQL = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+            await db.transaction(async (client) => {
+                await client.query(migrationSQL);
+                await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+            });
+            console.log(`Applied ${file}`);
+        }
+        if (files.length === 0) {
+            console.log('No new migrations to apply');
+        }
         console.log('Database migrations completed successfully!');
         process.exit(0);
     } catch (error) {
@@ -16,4 +59,4 @@ async function runMigrations() {
         process.exit(1);
     }
 }
-runMigrations();
\ No newline at end of file
+runMigrations();
@@ -0,0 +1,17 @@
+-- Subtasks
+-- A task can belong to a parent task; deleting the parent deletes its subtasks
+ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES tasks (id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_tasks_parent_id ON tasks (parent_id);
+-- Task dependencies
+-- Each row means task_id is blocked by blocked_by_id until that task is done
+CREATE TABLE IF NOT EXISTS task_dependencies
+(
+    task_id       INTEGER REFERENCES tasks (id) ON DELETE CASCADE,
+    blocked_by_id INTEGER REFERENCES tasks (id) ON DELETE CASCADE,
+    created_at    TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (task_id, blocked_by_id),
+-- A task cannot block itself; longer cycles are rejected by the Task model
+    CHECK (task_id <> blocked_by_id)
+);
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_blocked_by_id ON task_dependencies (blocked_by_id);
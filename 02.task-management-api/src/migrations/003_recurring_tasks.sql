@@ -0,0 +1,36 @@
+-- Recurring task series
+-- A series holds the recurrence rule (an RRULE string such as
+-- FREQ=WEEKLY;BYDAY=MO,TH) and the fields copied into each new occurrence.
+-- Only the current occurrence exists as a task; the next one is created when
+-- it is completed.
+CREATE TABLE IF NOT EXISTS task_series
+(
+    id          SERIAL PRIMARY KEY,
+    rule        TEXT         NOT NULL,
+-- The schedule is counted from this date, and occurrences keep its time of day
+    starts_at   TIMESTAMP    NOT NULL,
+    title       VARCHAR(255) NOT NULL,
+    description TEXT,
+    priority    VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+    category_id INTEGER      REFERENCES categories (id) ON DELETE SET NULL,
+    user_id     INTEGER REFERENCES users (id) ON DELETE CASCADE,
+    created_at  TIMESTAMP   DEFAULT CURRENT_TIMESTAMP,
+    updated_at  TIMESTAMP   DEFAULT CURRENT_TIMESTAMP
+);
+-- Occurrences point at their series; occurrence_date is the date the schedule
+-- gave them, which stays put when a single occurrence's due_date is moved
+ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES task_series (id) ON DELETE SET NULL;
+ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS occurrence_index INTEGER;
+ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS occurrence_date TIMESTAMP;
+-- Each occurrence is created once, even if a task is completed twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_series_occurrence ON tasks (series_id, occurrence_index);
+CREATE INDEX IF NOT EXISTS idx_task_series_user_id ON task_series (user_id);
+DROP TRIGGER IF EXISTS update_task_series_updated_at ON task_series;
+CREATE TRIGGER update_task_series_updated_at
+    BEFORE UPDATE
+    ON task_series
+    FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,85 @@
+-- Workspaces
+-- Tasks and categories belong to a workspace that several users can share.
+-- Every user also has a personal workspace, created when first needed.
+CREATE TABLE IF NOT EXISTS workspaces
+(
+    id          SERIAL PRIMARY KEY,
+    name        VARCHAR(100) NOT NULL,
+    description TEXT,
+    is_personal BOOLEAN   DEFAULT FALSE,
+    created_by  INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    created_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+-- One personal workspace per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspaces_personal ON workspaces (created_by) WHERE is_personal;
+-- Members and their roles
+-- owner: everything, including members and deleting the workspace
+-- editor: create, change and delete tasks and categories
+-- viewer: read only
+CREATE TABLE IF NOT EXISTS workspace_members
+(
+    workspace_id INTEGER REFERENCES workspaces (id) ON DELETE CASCADE,
+    user_id      INTEGER REFERENCES users (id) ON DELETE CASCADE,
+    role         VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+    created_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (workspace_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members (user_id);
+-- user_id on tasks and categories now records who created them
+ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces (id) ON DELETE CASCADE;
+ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS assignee_id INTEGER REFERENCES users (id) ON DELETE SET NULL;
+ALTER TABLE categories
+    ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces (id) ON DELETE CASCADE;
+ALTER TABLE task_series
+    ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces (id) ON DELETE CASCADE;
+ALTER TABLE task_series
+    ADD COLUMN IF NOT EXISTS assignee_id INTEGER REFERENCES users (id) ON DELETE SET NULL;
+-- Move existing tasks and categories into their owner's personal workspace
+INSERT INTO workspaces (name, is_personal, created_by)
+SELECT u.name || '''s workspace', TRUE, u.id
+FROM users u
+WHERE NOT EXISTS (SELECT 1 FROM workspaces w WHERE w.created_by = u.id AND w.is_personal);
+INSERT INTO workspace_members (workspace_id, user_id, role)
+SELECT w.id, w.created_by, 'owner'
+FROM workspaces w
+WHERE w.is_personal
+  AND NOT EXISTS (SELECT 1 FROM workspace_members m WHERE m.workspace_id = w.id);
+UPDATE tasks t
+SET workspace_id = w.id
+FROM workspaces w
+WHERE t.workspace_id IS NULL AND w.is_personal AND w.created_by = t.user_id;
+UPDATE categories c
+SET workspace_id = w.id
+FROM workspaces w
+WHERE c.workspace_id IS NULL AND w.is_personal AND w.created_by = c.user_id;
+UPDATE task_series s
+SET workspace_id = w.id
+FROM workspaces w
+WHERE s.workspace_id IS NULL AND w.is_personal AND w.created_by = s.user_id;
+ALTER TABLE tasks
+    ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE categories
+    ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE task_series
+    ALTER COLUMN workspace_id SET NOT NULL;
+-- Category names are now unique per workspace instead of per user
+ALTER TABLE categories
+    DROP CONSTRAINT IF EXISTS categories_name_user_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_workspace_name ON categories (workspace_id, name);
+-- The task list now filters on workspace_id rather than user_id; these also
+-- serve plain lookups by workspace
+DROP INDEX IF EXISTS idx_tasks_user_created_at;
+DROP INDEX IF EXISTS idx_tasks_user_updated_at;
+CREATE INDEX IF NOT EXISTS idx_tasks_workspace_created_at ON tasks (workspace_id, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_tasks_workspace_updated_at ON tasks (workspace_id, updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_tasks_assignee_id ON tasks (assignee_id);
+CREATE INDEX IF NOT EXISTS idx_categories_workspace_id ON categories (workspace_id);
+DROP TRIGGER IF EXISTS update_workspaces_updated_at ON workspaces;
+CREATE TRIGGER update_workspaces_updated_at
+    BEFORE UPDATE
+    ON workspaces
+    FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
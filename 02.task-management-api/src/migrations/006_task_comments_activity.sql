@@ -0,0 +1,33 @@
+-- Task comments
+-- Comments stay when their author's account is deleted, without an author
+CREATE TABLE IF NOT EXISTS task_comments
+(
+    id         SERIAL PRIMARY KEY,
+    task_id    INTEGER NOT NULL REFERENCES tasks (id) ON DELETE CASCADE,
+    user_id    INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    body       TEXT    NOT NULL CHECK (length(body) > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_task_comments_task_id ON task_comments (task_id, created_at);
+DROP TRIGGER IF EXISTS update_task_comments_updated_at ON task_comments;
+CREATE TRIGGER update_task_comments_updated_at
+    BEFORE UPDATE
+    ON task_comments
+    FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+-- Task activity
+-- One row per field changed by a task update, with the values before and
+-- after as JSON so numbers, dates and nulls keep their type. user_id is the
+-- member who made the change.
+CREATE TABLE IF NOT EXISTS task_activity
+(
+    id         SERIAL PRIMARY KEY,
+    task_id    INTEGER     NOT NULL REFERENCES tasks (id) ON DELETE CASCADE,
+    user_id    INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    field      VARCHAR(50) NOT NULL,
+    old_value  JSONB,
+    new_value  JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_task_activity_task_id ON task_activity (task_id, id);
@@ -0,0 +1,12 @@
+-- Fix the task CHECK constraints from 001
+-- The priority and status lists in 001 have a line break inside 'medium' and
+-- 'in_progress', so the database rejects those values. Replace both
+-- constraints with the intended lists.
+ALTER TABLE tasks
+    DROP CONSTRAINT IF EXISTS tasks_priority_check;
+ALTER TABLE tasks
+    ADD CONSTRAINT tasks_priority_check CHECK (priority IN ('low', 'medium', 'high', 'urgent'));
+ALTER TABLE tasks
+    DROP CONSTRAINT IF EXISTS tasks_status_check;
+ALTER TABLE tasks
+    ADD CONSTRAINT tasks_status_check CHECK (status IN ('pending', 'in_progress', 'completed', 'cancelled'));
@@ -0,0 +1,5 @@
+-- Where the current rule of a series starts counting
+-- A rule set on the 5th occurrence has rule_start_index 5, so its COUNT
+-- counts from there instead of from the first occurrence of the series.
+ALTER TABLE task_series
+    ADD COLUMN IF NOT EXISTS rule_start_index INTEGER NOT NULL DEFAULT 1;
@@ -6,57 +6,63 @@ class Category {
         this.description = categoryData.description;
         this.color = categoryData.color;
         this.user_id = categoryData.user_id;
+        this.workspace_id = categoryData.workspace_id;
         this.created_at = categoryData.created_at;
         this.updated_at = categoryData.updated_at;
     }
-    // Create a new category for a specific user
+    // Create a new category in a workspace; userId is recorded as its creator
     static async create(categoryData, userId) {
-        const { name, description, color = '#3498db' } = categoryData;
+        const { name, description, color = '#3498db', workspace_id } = categoryData;
         try {
             const result = await db.query(
-                `INSERT INTO categories (name, description, color, user_id)
-VALUES ($1, $2, $3, $4)
+                `INSERT INTO categories (name, description, color, user_id, workspace_id)
+VALUES ($1, $2, $3, $4, $5)
 RETURNING *`
                 ,
-                [name, description, color, userId]
+                [name, description, color, userId, workspace_id]
             );
             return new Category(result.rows[0]);
         } catch (error) {
-            // Handle unique constraint violation for category names per user
+            // Handle unique constraint violation for category names per workspace
             if (error.code === '23505') {
-                throw new Error('Category name already exists for this user');
+                throw new Error('Category name already exists in this workspace');
             }
             throw error;
         }
     }
-    // Find all categories for a specific user
-    static async findByUserId(userId) {
+    // Find all categories in the workspaces a user is a member of, or in one
+    // of them when workspaceId is given
+    static async findForUser(userId, workspaceId = null) {
         try {
             const result = await db.query(
-                'SELECT * FROM categories WHERE user_id = $1 ORDER BY name'
+                `SELECT * FROM categories
+WHERE workspace_id IN (SELECT workspace_id FROM workspace_members WHERE user_id = $1)
+AND ($2::int IS NULL OR workspace_id = $2)
+ORDER BY name`
                 ,
-                [userId]
+                [userId, workspaceId]
             );
             return result.rows.map(row => new Category(row));
         } catch (error) {
-            console.error('Error finding categories by user ID:'
+            console.error('Error finding categories for user:'
                 , error);
             throw error;
         }
     }
-    // Find a specific category by ID and ensure it belongs to the user
-    static async findByIdAndUserId(id, userId) {
+    // Find a specific category by ID
+    // Access is checked against the category's workspace by the caller.
+    static async findById(id) {
         try {
             const result = await db.query(
-                'SELECT * FROM categories WHERE id = $1 AND user_id = $2',
-                [id, userId]
+                'SELECT * FROM categories WHERE id = $1',
+                [id]
             );
             if (result.rows.length === 0) {
                 return null;
             }
             return new Category(result.rows[0]);
         } catch (error) {
-            console.error('Error finding category by ID and user ID:'
+            console.error('Error finding category by ID:'
                 , error);
             throw error;
         }
@@ -82,7 +88,7 @@ RETURNING *`
             return this;
         } catch (error) {
             if (error.code === '23505') {
-                throw new Error('Category name already exists for this user');
+                throw new Error('Category name already exists in this workspace');
             }
             throw error;
         }
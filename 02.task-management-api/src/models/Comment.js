@@ -0,0 +1,98 @@
+const db = require('../config/database');
+// A comment on a task
+class Comment {
+    constructor(commentData) {
+        this.id = commentData.id;
+        this.task_id = commentData.task_id;
+        this.user_id = commentData.user_id;
+        this.body = commentData.body;
+        this.created_at = commentData.created_at;
+        this.updated_at = commentData.updated_at;
+        // Include the author if they were joined in the query
+        if (commentData.author_name !== undefined) {
+            this.author = commentData.user_id ?
+                { id: commentData.user_id, name: commentData.author_name, email: commentData.author_email } :
+                null;
+        }
+    }
+    // Add a comment to a task
+    static async create(taskId, userId, body) {
+        try {
+            const result = await db.query(
+                `INSERT INTO task_comments (task_id, user_id, body)
+VALUES ($1, $2, $3)
+RETURNING *`
+                ,
+                [taskId, userId, body]
+            );
+            return new Comment(result.rows[0]);
+        } catch (error) {
+            console.error('Error creating comment:', error);
+            throw error;
+        }
+    }
+    // Get a task's comments, oldest first, with their authors
+    static async findByTaskId(taskId) {
+        try {
+            const result = await db.query(`
+SELECT c.*, u.name as author_name, u.email as author_email
+FROM task_comments c
+LEFT JOIN users u ON u.id = c.user_id
+WHERE c.task_id = $1
+ORDER BY c.created_at, c.id
+`
+                , [taskId]);
+            return result.rows.map(row => new Comment(row));
+        } catch (error) {
+            console.error('Error finding comments for task:', error);
+            throw error;
+        }
+    }
+    // Find a comment on a specific task
+    static async findByIdAndTaskId(id, taskId) {
+        try {
+            const result = await db.query(
+                'SELECT * FROM task_comments WHERE id = $1 AND task_id = $2',
+                [id, taskId]
+            );
+            if (result.rows.length === 0) {
+                return null;
+            }
+            return new Comment(result.rows[0]);
+        } catch (error) {
+            console.error('Error finding comment by ID:', error);
+            throw error;
+        }
+    }
+    // Change the comment text
+    async update(body) {
+        try {
+            const result = await db.query(
+                'UPDATE task_comments SET body = $1 WHERE id = $2 RETURNING *',
+                [body, this.id]
+            );
+            if (result.rows.length === 0) {
+                throw new Error('Comment not found');
+            }
+            Object.assign(this, result.rows[0]);
+            return this;
+        } catch (error) {
+            console.error('Error updating comment:', error);
+            throw error;
+        }
+    }
+    // Delete the comment
+    async delete() {
+        try {
+            const result = await db.query(
+                'DELETE FROM task_comments WHERE id = $1 RETURNING id',
+                [this.id]
+            );
+            return result.rows.length > 0;
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            throw error;
+        }
+    }
+}
+module.exports = Comment;
@@ -1,4 +1,162 @@
 const db = require('../config/database');
+const TaskSeries = require('./TaskSeries');
+const TaskActivity = require('./TaskActivity');
+const { parseRule, describeRule, checkRule } = require('../utils/recurrence');
+// Statuses that no longer block other tasks or count as open work
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+// Advisory lock namespace for changes to subtasks and dependencies
+const RELATION_LOCK = 2101;
+// Run fn(client) in a transaction holding a per-workspace lock, so two
+// concurrent changes cannot together create a cycle that neither of them sees
+async function withRelationLock(workspaceId, fn) {
+    return db.transaction(async (client) => {
+        await client.query('SELECT pg_advisory_xact_lock($1, $2)', [RELATION_LOCK, workspaceId]);
+        return fn(client);
+    });
+}
+// Make sure the tasks, category and user a task refers to are all part of its
+// workspace. Only the references given (not undefined or null) are checked.
+async function checkReferences(workspaceId, { parent_id, category_id, assignee_id }, client = db) {
+    if (parent_id) {
+        const parent = await client.query(
+            'SELECT id FROM tasks WHERE id = $1 AND workspace_id = $2',
+            [parent_id, workspaceId]
+        );
+        if (parent.rows.length === 0) {
+            throw new Error('Parent task not found');
+        }
+    }
+    if (category_id) {
+        const category = await client.query(
+            'SELECT id FROM categories WHERE id = $1 AND workspace_id = $2',
+            [category_id, workspaceId]
+        );
+        if (category.rows.length === 0) {
+            throw new Error('Category not found in this workspace');
+        }
+    }
+    if (assignee_id) {
+        const member = await client.query(
+            'SELECT user_id FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+            [workspaceId, assignee_id]
+        );
+        if (member.rows.length === 0) {
+            throw new Error('Assignee must be a member of the workspace');
+        }
+    }
+}
+// Text search configuration for the search_vector column and queries
+const SEARCH_CONFIG = 'english';
+// Matches are wrapped in <mark> in highlighted titles and snippets; the rest
+// of the text is returned as stored, so clients must escape it before rendering
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>';
+// Sort keys for the task list
+// expr(order, searchQuery) is the SQL rows are ordered by; it never returns
+// NULL so rows can be compared with the cursor. type casts a cursor value back.
+// Tasks without a due date come last in both directions.
+const SORTS = {
+    priority: {
+        expr: () => `CASE t.priority WHEN 'urgent' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END`,
+        type: 'integer',
+        order: 'desc'
+    },
+    due_date: {
+        expr: order => `COALESCE(t.due_date, '${order === 'asc' ? 'infinity' : '-infinity'}'::timestamp)`,
+        type: 'timestamp',
+        order: 'asc'
+    },
+    created_at: {
+        expr: () => `COALESCE(t.created_at, '-infinity'::timestamp)`,
+        type: 'timestamp',
+        order: 'desc'
+    },
+    updated_at: {
+        expr: () => `COALESCE(t.updated_at, '-infinity'::timestamp)`,
+        type: 'timestamp',
+        order: 'desc'
+    },
+    title: {
+        expr: () => 'lower(t.title)',
+        type: 'text',
+        order: 'asc'
+    },
+    relevance: {
+        expr: (order, searchQuery) => `ts_rank(t.search_vector, ${searchQuery})::float8`,
+        type: 'float8',
+        order: 'desc'
+    }
+};
+// Cursors are opaque to clients: base64url JSON with the sort they belong to
+// and the sort value and id of the last task on the page. The sort value is
+// kept as PostgreSQL text so timestamps keep their microseconds.
+function encodeCursor(sort, order, value, id) {
+    return Buffer.from(JSON.stringify({ sort, order, value, id })).toString('base64url');
+}
+// Largest value of a PostgreSQL integer column
+const MAX_INTEGER = 2147483647;
+// Can a cursor value be cast to the sort's type? Checked up front so a
+// tampered cursor is reported as invalid instead of failing in the query.
+function isCursorValue(type, value) {
+    if (typeof value !== 'string') {
+        return false;
+    }
+    if (type === 'integer') {
+        return /^-?\d{1,9}$/.test(value);
+    }
+    if (type === 'float8') {
+        return /^-?\d+(\.\d+)?(e[-+]?\d+)?$/i.test(value);
+    }
+    if (type === 'timestamp') {
+        if (value === 'infinity' || value === '-infinity') {
+            return true;
+        }
+        const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?$/.exec(value);
+        if (!match) {
+            return false;
+        }
+        // Date parsing rolls Feb 30 over to March, so the date must come back unchanged
+        const date = new Date(`${match[1]}T00:00:00Z`);
+        return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === match[1] &&
+            Number(match[2]) < 24 && Number(match[3]) < 60 && Number(match[4]) < 60;
+    }
+    return true;
+}
+function decodeCursor(cursor, sort, order) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+    if (!position || position.sort !== sort || position.order !== order ||
+        !isCursorValue(SORTS[sort].type, position.value) ||
+        !Number.isInteger(position.id) || position.id < 1 || position.id > MAX_INTEGER) {
+        throw new Error('Invalid cursor');
+    }
+    return position;
+}
+// Completed share of a task's subtasks (at every level), ignoring cancelled ones
+function rollupProgress(node) {
+    let total = 0;
+    let completed = 0;
+    const visit = (children) => {
+        children.forEach(child => {
+            if (child.status !== 'cancelled') {
+                total++;
+                if (child.status === 'completed') {
+                    completed++;
+                }
+            }
+            visit(child.subtasks);
+        });
+    };
+    visit(node.subtasks);
+    return {
+        total,
+        completed,
+        percent: total === 0 ? 0 : Math.round((completed / total) * 100)
+    };
+}
 class Task {
     constructor(taskData) {
         this.id = taskData.id;
@@ -8,7 +166,13 @@ class Task {
         this.priority = taskData.priority;
         this.status = taskData.status;
         this.user_id = taskData.user_id;
+        this.workspace_id = taskData.workspace_id;
+        this.assignee_id = taskData.assignee_id;
         this.category_id = taskData.category_id;
+        this.parent_id = taskData.parent_id;
+        this.series_id = taskData.series_id;
+        this.occurrence_index = taskData.occurrence_index;
+        this.occurrence_date = taskData.occurrence_date;
         this.created_at = taskData.created_at;
         this.updated_at = taskData.updated_at;
         this.completed_at = taskData.completed_at;
@@ -20,117 +184,228 @@ class Task {
                 color: taskData.category_color
             };
         }
+        // Include search ranking and highlights when the task came from a search
+        if (taskData.search_rank !== undefined) {
+            this.search = {
+                rank: taskData.search_rank,
+                title: taskData.title_highlight,
+                snippet: taskData.snippet
+            };
+        }
+        // Include the recurrence rule if the task's series was joined in the query
+        if (taskData.series_rule) {
+            this.recurrence = describeRule(parseRule(taskData.series_rule));
+        }
     }
-    // Create a new task
+    // Create a new task in a workspace; userId is recorded as its creator
+    // With a recurrence rule (from parseRule) the task becomes the first
+    // occurrence of a new series that starts on its due date.
     static async create(taskData, userId) {
-        const { title, description, due_date, priority = 'medium', category_id } =
-            taskData;
+        const {
+            title, description, due_date, priority = 'medium', category_id, parent_id, assignee_id,
+            workspace_id, recurrence
+        } = taskData;
         try {
-            const result = await db.query(
-                `INSERT INTO tasks (title, description, due_date, priority, category_id, user_id)
-VALUES ($1, $2, $3, $4, $5, $6)
+            if (recurrence && !due_date) {
+                throw new Error('Recurring tasks need a due date');
+            }
+            if (recurrence) {
+                checkRule(recurrence, new Date(due_date));
+            }
+            const row = await db.transaction(async (client) => {
+                // The parent task, category and assignee must be in the same workspace
+                await checkReferences(workspace_id, { parent_id, category_id, assignee_id }, client);
+                const series = recurrence ?
+                    await TaskSeries.create({
+                        rule: recurrence,
+                        starts_at: due_date,
+                        title,
+                        description,
+                        priority,
+                        category_id,
+                        assignee_id,
+                        workspace_id
+                    }, userId, client) :
+                    null;
+                const result = await client.query(
+                    `INSERT INTO tasks (title, description, due_date, priority, category_id, user_id, parent_id,
+workspace_id, assignee_id, series_id, occurrence_index, occurrence_date)
+VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
 RETURNING *`
-                ,
-                [title, description, due_date, priority, category_id, userId]
-            );
-            return new Task(result.rows[0]);
+                    ,
+                    [title, description, due_date, priority, category_id, userId, parent_id || null,
+                        workspace_id, assignee_id || null,
+                        series ? series.id : null, series ? 1 : null, series ? due_date : null]
+                );
+                return series ? { ...result.rows[0], series_rule: series.rule } : result.rows[0];
+            });
+            return new Task(row);
         } catch (error) {
             console.error('Error creating task:', error);
             throw error;
         }
     }
-    // Find all tasks for a user with optional filtering
-    static async findByUserId(userId, filters = {}) {
+    // Find a page of the tasks in the workspaces a user is a member of, with
+    // optional filtering and sorting
+    // filters: workspace_id, assignee_id, status, priority and category_id
+    // (arrays match any value),
+    // due_after/due_before, created_after/created_before and q, a full-text
+    // search over title and description. Pages continue from the cursor the
+    // previous page returned as nextCursor (null on the last page).
+    static async findForUser(userId, filters = {}, { sort, order, limit = 20, cursor } = {}) {
         try {
-            let query =
-                `
-SELECT t.*, c.name as category_name, c.color as category_color
-FROM tasks t
-LEFT JOIN categories c ON t.category_id = c.id
-WHERE t.user_id = $1
-`
-                ;
             const params = [userId];
             let paramCount = 1;
             // Add filters dynamically
-            if (filters.status) {
+            const conditions = ['t.workspace_id IN (SELECT workspace_id FROM workspace_members WHERE user_id = $1)'];
+            const addCondition = (sql, value) => {
                 paramCount++;
-                query += ` AND t.status = $${paramCount}`
-                    ;
-                params.push(filters.status);
+                conditions.push(sql.replace('?', `$${paramCount}`));
+                params.push(value);
+            };
+            if (filters.workspace_id && filters.workspace_id.length > 0) {
+                addCondition('t.workspace_id = ANY(?::int[])', [].concat(filters.workspace_id));
             }
-            if (filters.priority) {
-                paramCount++;
-                query += ` AND t.priority = $${paramCount}`
-                    ;
-                params.push(filters.priority);
+            if (filters.assignee_id && filters.assignee_id.length > 0) {
+                addCondition('t.assignee_id = ANY(?::int[])', [].concat(filters.assignee_id));
             }
-            if (filters.category_id) {
-                paramCount++;
-                query += ` AND t.category_id = $${paramCount}`
-                    ;
-                params.push(filters.category_id);
+            if (filters.status && filters.status.length > 0) {
+                addCondition('t.status = ANY(?)', [].concat(filters.status));
+            }
+            if (filters.priority && filters.priority.length > 0) {
+                addCondition('t.priority = ANY(?)', [].concat(filters.priority));
+            }
+            if (filters.category_id && filters.category_id.length > 0) {
+                addCondition('t.category_id = ANY(?::int[])', [].concat(filters.category_id));
+            }
+            if (filters.due_after) {
+                addCondition('t.due_date >= ?', filters.due_after);
             }
             if (filters.due_before) {
-                paramCount++;
-                query += ` AND t.due_date <= $${paramCount}`
-                    ;
-                params.push(filters.due_before);
-            }
-            // Add ordering
-            query += ` ORDER BY
-    CASE
-    WHEN t.priority = 'urgent' THEN 1
-    WHEN t.priority = 'high' THEN 2
-    WHEN t.priority = 'medium' THEN 3
-    WHEN t.priority = 'low' THEN 4
-    END,
-    t.due_date ASC NULLS LAST,
-    t.created_at DESC
-    `
+                addCondition('t.due_date <= ?', filters.due_before);
+            }
+            if (filters.created_after) {
+                addCondition('t.created_at >= ?', filters.created_after);
+            }
+            if (filters.created_before) {
+                addCondition('t.created_at <= ?', filters.created_before);
+            }
+            let searchQuery = null;
+            if (filters.q) {
+                addCondition(`t.search_vector @@ websearch_to_tsquery('${SEARCH_CONFIG}', ?)`, filters.q);
+                searchQuery = `websearch_to_tsquery('${SEARCH_CONFIG}', $${paramCount})`;
+            }
+            // Searches are sorted by relevance unless asked otherwise
+            const sortKey = sort || (searchQuery ? 'relevance' : 'priority');
+            const direction = order || SORTS[sortKey].order;
+            const sortExpr = SORTS[sortKey].expr(direction, searchQuery);
+            // Keyset pagination: continue after the last row of the previous
+            // page, using the id to break ties between equal sort values
+            if (cursor) {
+                const position = decodeCursor(cursor, sortKey, direction);
+                paramCount += 2;
+                conditions.push(`(${sortExpr}, t.id) ${direction === 'asc' ? '>' : '<'} ` +
+                    `($${paramCount - 1}::${SORTS[sortKey].type}, $${paramCount})`);
+                params.push(position.value, position.id);
+            }
+            const searchColumns = searchQuery ? `,
+ts_rank(t.search_vector, ${searchQuery}) as search_rank,
+ts_headline('${SEARCH_CONFIG}', t.title, ${searchQuery}, '${HEADLINE_OPTIONS}, HighlightAll=true') as title_highlight,
+ts_headline('${SEARCH_CONFIG}', COALESCE(t.description, ''), ${searchQuery}, '${HEADLINE_OPTIONS}, MaxFragments=2') as snippet`
+                : '';
+            paramCount++;
+            params.push(limit + 1);
+            const query = `
+SELECT t.*, c.name as category_name, c.color as category_color, s.rule as series_rule,
+(${sortExpr})::text as cursor_value${searchColumns}
+FROM tasks t
+LEFT JOIN categories c ON t.category_id = c.id
+LEFT JOIN task_series s ON t.series_id = s.id
+WHERE ${conditions.join(' AND ')}
+ORDER BY ${sortExpr} ${direction.toUpperCase()}, t.id ${direction.toUpperCase()}
+LIMIT $${paramCount}
+`
                 ;
             const result = await db.query(query, params);
-            return result.rows.map(row => new Task(row));
+            // One extra row was fetched to know whether another page follows
+            const rows = result.rows.slice(0, limit);
+            const last = rows[rows.length - 1];
+            return {
+                tasks: rows.map(row => new Task(row)),
+                nextCursor: result.rows.length > limit ?
+                    encodeCursor(sortKey, direction, last.cursor_value, last.id) :
+                    null
+            };
         } catch (error) {
-            console.error('Error finding tasks by user ID:'
+            console.error('Error finding tasks for user:'
                 , error);
             throw error;
         }
     }
-    // Find a specific task by ID and ensure it belongs to the user
-    static async findByIdAndUserId(id, userId) {
+    // Find a specific task by ID
+    // Access is checked against the task's workspace by the caller.
+    static async findById(id) {
         try {
             const result = await db.query(`
-SELECT t.*, c.name as category_name, c.color as category_color
+SELECT t.*, c.name as category_name, c.color as category_color, s.rule as series_rule
 FROM tasks t
 LEFT JOIN categories c ON t.category_id = c.id
-WHERE t.id = $1 AND t.user_id = $2
+LEFT JOIN task_series s ON t.series_id = s.id
+WHERE t.id = $1
 `
-                , [id, userId]);
+                , [id]);
             if (result.rows.length === 0) {
                 return null;
             }
             return new Task(result.rows[0]);
         } catch (error) {
-            console.error('Error finding task by ID and user ID:'
+            console.error('Error finding task by ID:'
                 , error);
             throw error;
         }
     }
     // Update an existing task
-    async update(updateData) {
-        const { title, description, due_date, priority, status, category_id } = upd
-        ateData;
+    // Completing a task is refused while any of its blockers is still open.
+    // Completing an occurrence of a recurring task creates the next one. With
+    // scope 'future' the changes also go to the series, so later occurrences
+    // get them too; scope 'this' only changes this occurrence.
+    // recurrence (from parseRule) sets a new rule; null stops the repeating.
+    // Every field that changes is recorded in the task's activity as a change
+    // made by actorId.
+    async update(updateData, { scope = 'this', actorId = null } = {}) {
+        const { title, description, due_date, priority, status, category_id } = updateData;
+        // parent_id can be set to null to turn a subtask into a top-level task,
+        // and assignee_id to null to unassign the task
+        const parent_id = updateData.parent_id !== undefined ? updateData.parent_id : this.parent_id;
+        const assignee_id = updateData.assignee_id !== undefined ? updateData.assignee_id : this.assignee_id;
+        const completing = status === 'completed' && this.status !== 'completed';
         try {
             // If status is being changed to completed, set completed_at timestamp
             let completed_at = this.completed_at;
-            if (status ===
-                'completed' && this.status !== 'completed') {
+            if (completing) {
                 completed_at = new Date();
-            } else if (status !== 'completed') {
+            } else if (status && status !== 'completed') {
                 completed_at = null;
             }
-            const result = await db.query(`
+            const changes = await withRelationLock(this.workspace_id, async (client) => {
+                if (completing) {
+                    const blockers = await this.getOpenBlockers(client);
+                    if (blockers.length > 0) {
+                        const error = new Error('Task is blocked by open tasks');
+                        error.blockers = blockers;
+                        throw error;
+                    }
+                }
+                if (parent_id && parent_id !== this.parent_id) {
+                    await this.checkParent(parent_id, client);
+                }
+                await checkReferences(this.workspace_id, {
+                    category_id,
+                    assignee_id: assignee_id !== this.assignee_id ? assignee_id : null
+                }, client);
+                const { series, series_id, occurrence_index, occurrence_date } =
+                    await this.updateSeries(updateData, scope, client);
+                const result = await client.query(`
     UPDATE tasks
     SET title = COALESCE($1, title),
     description = COALESCE($2, description),
@@ -138,53 +413,331 @@ WHERE t.id = $1 AND t.user_id = $2
     priority = COALESCE($4, priority),
     status = COALESCE($5, status),
     category_id = COALESCE($6, category_id),
-    completed_at = $7
-    WHERE id = $8
+    completed_at = $7,
+    parent_id = $8,
+    series_id = $9,
+    occurrence_index = $10,
+    occurrence_date = $11,
+    assignee_id = $12
+    WHERE id = $13
     RETURNING *
     `
-                , [title, description, due_date, priority, status, category_id, completed_at, this.id]);
-            if (result.rows.length === 0) {
+                    , [title, description, due_date, priority, status, category_id, completed_at, parent_id,
+                        series_id, occurrence_index, occurrence_date, assignee_id, this.id]);
+                const row = result.rows[0];
+                if (!row) {
+                    return null;
+                }
+                await TaskActivity.record(this.id, actorId,
+                    { ...this, recurrence: this.recurrence ? this.recurrence.rule : null },
+                    { ...row, recurrence: series ? series.rule : null },
+                    client);
+                const next = completing && series ?
+                    await Task.createNextOccurrence(series, row, client) :
+                    null;
+                return { row, series, next };
+            });
+            if (!changes) {
                 throw new Error('Task not found');
             }
             // Update the current instance with new data
-            Object.assign(this, result.rows[0]);
+            Object.assign(this, changes.row);
+            if (changes.series) {
+                this.recurrence = describeRule(changes.series.getRule());
+            } else {
+                delete this.recurrence;
+            }
+            if (changes.next) {
+                this.next_occurrence = changes.next;
+            }
             return this;
         } catch (error) {
             console.error('Error updating task:', error);
             throw error;
         }
     }
+    // Apply the recurrence part of an update to this task's series
+    // Returns the series (or null) and the series columns for the task row.
+    async updateSeries(updateData, scope, client) {
+        const { title, description, due_date, priority, category_id, assignee_id, recurrence } = updateData;
+        let series = this.series_id ? await TaskSeries.findById(this.series_id, client) : null;
+        let occurrence_index = this.occurrence_index;
+        let occurrence_date = this.occurrence_date;
+        const template = scope === 'future' ? { title, description, priority, category_id, assignee_id } : {};
+        if (recurrence === null) {
+            // Stop repeating; earlier occurrences keep their own fields
+            if (series) {
+                await series.delete(client);
+            }
+            return { series: null, series_id: null, occurrence_index: null, occurrence_date: null };
+        }
+        if (recurrence) {
+            // A new rule counts from this occurrence
+            const startsAt = due_date || occurrence_date || this.due_date;
+            if (!startsAt) {
+                throw new Error('Recurring tasks need a due date');
+            }
+            checkRule(recurrence, new Date(startsAt));
+            if (series) {
+                await series.update({
+                    ...template,
+                    rule: recurrence,
+                    starts_at: startsAt,
+                    rule_start_index: occurrence_index || 1
+                }, client);
+            } else {
+                series = await TaskSeries.create({
+                    rule: recurrence,
+                    starts_at: startsAt,
+                    title: title || this.title,
+                    description: description !== undefined ? description : this.description,
+                    priority: priority || this.priority,
+                    category_id: category_id || this.category_id,
+                    assignee_id: assignee_id !== undefined ? assignee_id : this.assignee_id,
+                    workspace_id: this.workspace_id
+                }, this.user_id, client);
+                occurrence_index = 1;
+            }
+            occurrence_date = startsAt;
+        } else if (series && scope === 'future') {
+            // Moving the due date of all future occurrences moves the schedule
+            if (due_date) {
+                checkRule(series.getRule(), new Date(due_date));
+            }
+            await series.update({ ...template, starts_at: due_date }, client);
+            if (due_date) {
+                occurrence_date = due_date;
+            }
+        }
+        return { series, series_id: series ? series.id : null, occurrence_index, occurrence_date };
+    }
+    // Create the occurrence that follows the task row in its series
+    // Returns null when the series has ended or the next one already exists.
+    static async createNextOccurrence(series, row, client = db) {
+        const index = row.occurrence_index || 1;
+        const date = series.nextOccurrence(row.occurrence_date || row.due_date || series.starts_at, index);
+        if (!date) {
+            return null;
+        }
+        const result = await client.query(
+            `INSERT INTO tasks (title, description, due_date, priority, category_id, user_id, parent_id,
+workspace_id, assignee_id, series_id, occurrence_index, occurrence_date)
+VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $3)
+ON CONFLICT (series_id, occurrence_index) DO NOTHING
+RETURNING *`
+            ,
+            [series.title, series.description, date, series.priority, series.category_id, row.user_id,
+                row.parent_id, series.workspace_id, series.assignee_id, series.id, index + 1]
+        );
+        return result.rows.length > 0 ? new Task({ ...result.rows[0], series_rule: series.rule }) : null;
+    }
     // Delete a task
-    async delete() {
+    // Deleting an open occurrence of a recurring task skips it, so the next
+    // occurrence is created in its place; scope 'future' ends the series.
+    async delete({ scope = 'this' } = {}) {
+        try {
+            return await db.transaction(async (client) => {
+                const series = this.series_id ? await TaskSeries.findById(this.series_id, client) : null;
+                if (series && scope === 'future') {
+                    await series.delete(client);
+                } else if (series && this.status !== 'completed') {
+                    this.next_occurrence = await Task.createNextOccurrence(series, this, client);
+                }
+                const result = await client.query(
+                    'DELETE FROM tasks WHERE id = $1 RETURNING id',
+                    [this.id]
+                );
+                return result.rows.length > 0;
+            });
+        } catch (error) {
+            console.error('Error deleting task:', error);
+            throw error;
+        }
+    }
+    // Make sure parentId can become this task's parent: it must be in the
+    // same workspace and must not be this task or one of its own subtasks
+    async checkParent(parentId, client = db) {
+        await checkReferences(this.workspace_id, { parent_id: parentId }, client);
+        const result = await client.query(`
+WITH RECURSIVE subtree AS (
+    SELECT id FROM tasks WHERE id = $1
+    UNION
+    SELECT t.id FROM tasks t JOIN subtree s ON t.parent_id = s.id
+)
+SELECT 1 FROM subtree WHERE id = $2
+`
+            , [this.id, parentId]);
+        if (result.rows.length > 0) {
+            throw new Error('A task cannot be moved under itself or one of its subtasks');
+        }
+    }
+    // Get every subtask below this task as a nested tree
+    // Each node has a subtasks array; nodes with subtasks also get progress.
+    async getSubtree() {
+        try {
+            const result = await db.query(`
+WITH RECURSIVE subtree AS (
+    SELECT * FROM tasks WHERE parent_id = $1
+    UNION ALL
+    SELECT t.* FROM tasks t JOIN subtree s ON t.parent_id = s.id
+)
+SELECT s.*, c.name as category_name, c.color as category_color
+FROM subtree s
+LEFT JOIN categories c ON s.category_id = c.id
+ORDER BY s.created_at
+`
+                , [this.id]);
+            const nodes = new Map();
+            result.rows.forEach(row => {
+                const node = new Task(row);
+                node.subtasks = [];
+                nodes.set(node.id, node);
+            });
+            const roots = [];
+            nodes.forEach(node => {
+                const parent = nodes.get(node.parent_id);
+                (parent ? parent.subtasks : roots).push(node);
+            });
+            nodes.forEach(node => {
+                if (node.subtasks.length > 0) {
+                    node.progress = rollupProgress(node);
+                }
+            });
+            return roots;
+        } catch (error) {
+            console.error('Error getting subtasks:', error);
+            throw error;
+        }
+    }
+    // Load the subtree and rollup progress onto this task
+    async loadSubtasks() {
+        this.subtasks = await this.getSubtree();
+        this.progress = rollupProgress(this);
+        return this;
+    }
+    // Tasks this task is waiting on
+    async getBlockers() {
+        try {
+            const result = await db.query(`
+SELECT t.id, t.title, t.status, t.due_date
+FROM task_dependencies d
+JOIN tasks t ON t.id = d.blocked_by_id
+WHERE d.task_id = $1
+ORDER BY d.created_at
+`
+                , [this.id]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting task blockers:', error);
+            throw error;
+        }
+    }
+    // Tasks waiting on this task
+    async getBlocking() {
+        try {
+            const result = await db.query(`
+SELECT t.id, t.title, t.status, t.due_date
+FROM task_dependencies d
+JOIN tasks t ON t.id = d.task_id
+WHERE d.blocked_by_id = $1
+ORDER BY d.created_at
+`
+                , [this.id]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting blocked tasks:', error);
+            throw error;
+        }
+    }
+    // Blockers that are neither completed nor cancelled
+    async getOpenBlockers(client = db) {
+        const result = await client.query(`
+SELECT t.id, t.title, t.status
+FROM task_dependencies d
+JOIN tasks t ON t.id = d.blocked_by_id
+WHERE d.task_id = $1 AND t.status <> ALL($2)
+ORDER BY d.created_at
+`
+            , [this.id, CLOSED_STATUSES]);
+        return result.rows;
+    }
+    // Mark this task as blocked by another task in the same workspace
+    // Refused if the other task already depends on this one, directly or
+    // through a chain of other tasks, since neither could ever be completed.
+    async addBlocker(blockedById) {
+        try {
+            if (blockedById === this.id) {
+                throw new Error('A task cannot block itself');
+            }
+            return await withRelationLock(this.workspace_id, async (client) => {
+                const blocker = await client.query(
+                    'SELECT id FROM tasks WHERE id = $1 AND workspace_id = $2',
+                    [blockedById, this.workspace_id]
+                );
+                if (blocker.rows.length === 0) {
+                    throw new Error('Blocking task not found');
+                }
+                const cycle = await client.query(`
+WITH RECURSIVE chain AS (
+    SELECT blocked_by_id AS id FROM task_dependencies WHERE task_id = $1
+    UNION
+    SELECT d.blocked_by_id FROM task_dependencies d JOIN chain c ON d.task_id = c.id
+)
+SELECT 1 FROM chain WHERE id = $2
+`
+                    , [blockedById, this.id]);
+                if (cycle.rows.length > 0) {
+                    throw new Error('Dependency would create a cycle');
+                }
+                const result = await client.query(
+                    `INSERT INTO task_dependencies (task_id, blocked_by_id)
+VALUES ($1, $2)
+ON CONFLICT DO NOTHING
+RETURNING *`
+                    ,
+                    [this.id, blockedById]
+                );
+                return result.rows.length > 0;
+            });
+        } catch (error) {
+            console.error('Error adding task dependency:', error);
+            throw error;
+        }
+    }
+    // Remove a dependency, returns false if there was none
+    async removeBlocker(blockedById) {
         try {
             const result = await db.query(
-                'DELETE FROM tasks WHERE id = $1 RETURNING id',
-                [this.id]
+                'DELETE FROM task_dependencies WHERE task_id = $1 AND blocked_by_id = $2 RETURNING task_id',
+                [this.id, blockedById]
             );
             return result.rows.length > 0;
         } catch (error) {
-            console.error('Error deleting task:', error);
+            console.error('Error removing task dependency:', error);
             throw error;
         }
     }
-    // Get task statistics for a user
-    static async getStats(userId) {
+    // Get task statistics over the workspaces a user is a member of, or over
+    // one of them when workspaceId is given
+    static async getStats(userId, workspaceId = null) {
         try {
             const result = await db.query(`
 SELECT
 COUNT(*) as total_tasks,
-COUNT(CASE WHEN status = 'completed' THEN 1 END) as co
-mpleted_tasks,
-COUNT(CASE WHEN status = 'pending' THEN 1 END) as pendi
-ng_tasks,
-COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_
-progress_tasks,
-COUNT(CASE WHEN due_date < CURRENT_DATE AND status !
-= 'completed' THEN 1 END) as overdue_tasks
+COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_tasks,
+COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_tasks,
+COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress_tasks,
+COUNT(CASE WHEN due_date < CURRENT_DATE AND status != 'completed' THEN 1 END) as overdue_tasks,
+COUNT(CASE WHEN status <> ALL($2) AND EXISTS (
+    SELECT 1 FROM task_dependencies d
+    JOIN tasks b ON b.id = d.blocked_by_id
+    WHERE d.task_id = tasks.id AND b.status <> ALL($2)
+) THEN 1 END) as blocked_tasks
 FROM tasks
-WHERE user_id = $1
+WHERE workspace_id IN (SELECT workspace_id FROM workspace_members WHERE user_id = $1)
+AND ($3::int IS NULL OR workspace_id = $3)
 `
-                , [userId]);
+                , [userId, CLOSED_STATUSES, workspaceId]);
             return result.rows[0];
         } catch (error) {
             console.error('Error getting task statistics:', error);
@@ -192,4 +745,4 @@ WHERE user_id = $1
         }
     }
 }
-module.exports = Task;
\ No newline at end of file
+module.exports = Task;
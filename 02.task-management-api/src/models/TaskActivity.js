@@ -0,0 +1,66 @@
+const db = require('../config/database');
+// Task fields whose changes are recorded; recurrence is the series rule
+const TRACKED_FIELDS = [
+    'title', 'description', 'status', 'priority', 'due_date', 'category_id', 'parent_id', 'assignee_id', 'recurrence'
+];
+// Values are compared and stored as JSON, so dates become ISO strings
+const toJSONValue = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+// One recorded change to a task field
+class TaskActivity {
+    constructor(activityData) {
+        this.id = activityData.id;
+        this.task_id = activityData.task_id;
+        this.field = activityData.field;
+        this.old_value = activityData.old_value;
+        this.new_value = activityData.new_value;
+        this.actor = activityData.user_id ?
+            { id: activityData.user_id, name: activityData.actor_name, email: activityData.actor_email } :
+            null;
+        this.created_at = activityData.created_at;
+    }
+    // Record every tracked field that differs between the task before and
+    // after an update, as changes by actorId. Returns the recorded rows.
+    static async record(taskId, actorId, before, after, client = db) {
+        const changes = TRACKED_FIELDS
+            .map(field => ({ field, old_value: toJSONValue(before[field]), new_value: toJSONValue(after[field]) }))
+            .filter(change => JSON.stringify(change.old_value) !== JSON.stringify(change.new_value));
+        if (changes.length === 0) {
+            return [];
+        }
+        try {
+            const result = await client.query(
+                `INSERT INTO task_activity (task_id, user_id, field, old_value, new_value)
+SELECT $1, $2, c.field, c.old_value, c.new_value
+FROM jsonb_to_recordset($3::jsonb) AS c(field VARCHAR, old_value JSONB, new_value JSONB)
+RETURNING *`
+                ,
+                [taskId, actorId || null, JSON.stringify(changes)]
+            );
+            return result.rows.map(row => new TaskActivity(row));
+        } catch (error) {
+            console.error('Error recording task activity:', error);
+            throw error;
+        }
+    }
+    // Get a task's changes oldest first, a page at a time
+    // Pass the ID of the last change seen as afterId to get the next page.
+    static async findByTaskId(taskId, { afterId = 0, limit = 50 } = {}) {
+        try {
+            const result = await db.query(`
+SELECT a.*, u.name as actor_name, u.email as actor_email
+FROM task_activity a
+LEFT JOIN users u ON u.id = a.user_id
+WHERE a.task_id = $1 AND a.id > $2
+ORDER BY a.id
+LIMIT $3
+`
+                , [taskId, afterId, limit]);
+            return result.rows.map(row => new TaskActivity(row));
+        } catch (error) {
+            console.error('Error finding task activity:', error);
+            throw error;
+        }
+    }
+}
+TaskActivity.TRACKED_FIELDS = TRACKED_FIELDS;
+module.exports = TaskActivity;
@@ -0,0 +1,124 @@
+const db = require('../config/database');
+const { parseRule, formatRule, describeRule, nextOccurrence } = require('../utils/recurrence');
+// A recurring task: the rule plus the fields each new occurrence starts with
+class TaskSeries {
+    constructor(seriesData) {
+        this.id = seriesData.id;
+        this.rule = seriesData.rule;
+        this.starts_at = seriesData.starts_at;
+        this.rule_start_index = seriesData.rule_start_index || 1;
+        this.title = seriesData.title;
+        this.description = seriesData.description;
+        this.priority = seriesData.priority;
+        this.category_id = seriesData.category_id;
+        this.assignee_id = seriesData.assignee_id;
+        this.workspace_id = seriesData.workspace_id;
+        this.user_id = seriesData.user_id;
+        this.created_at = seriesData.created_at;
+        this.updated_at = seriesData.updated_at;
+    }
+    // Create a series from a parsed rule and the first occurrence's fields
+    static async create(seriesData, userId, client = db) {
+        const {
+            rule, starts_at, title, description, priority = 'medium', category_id, assignee_id, workspace_id
+        } = seriesData;
+        try {
+            const result = await client.query(
+                `INSERT INTO task_series (rule, starts_at, title, description, priority, category_id, assignee_id,
+workspace_id, user_id)
+VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+RETURNING *`
+                ,
+                [formatRule(rule), starts_at, title, description, priority, category_id, assignee_id || null,
+                    workspace_id, userId]
+            );
+            return new TaskSeries(result.rows[0]);
+        } catch (error) {
+            console.error('Error creating task series:', error);
+            throw error;
+        }
+    }
+    // Find a series by ID
+    static async findById(id, client = db) {
+        try {
+            const result = await client.query(
+                'SELECT * FROM task_series WHERE id = $1',
+                [id]
+            );
+            if (result.rows.length === 0) {
+                return null;
+            }
+            return new TaskSeries(result.rows[0]);
+        } catch (error) {
+            console.error('Error finding task series by ID:', error);
+            throw error;
+        }
+    }
+    // Update the rule, start date or the fields future occurrences get
+    // assignee_id can be set to null so future occurrences are unassigned.
+    // A new rule comes with rule_start_index, the occurrence it counts from.
+    async update(updateData, client = db) {
+        const { starts_at, title, description, priority, category_id, rule_start_index } = updateData;
+        const rule = updateData.rule ? formatRule(updateData.rule) : null;
+        const assignee_id = updateData.assignee_id !== undefined ? updateData.assignee_id : this.assignee_id;
+        try {
+            const result = await client.query(
+                `UPDATE task_series
+SET rule = COALESCE($1, rule),
+starts_at = COALESCE($2, starts_at),
+title = COALESCE($3, title),
+description = COALESCE($4, description),
+priority = COALESCE($5, priority),
+category_id = COALESCE($6, category_id),
+assignee_id = $7,
+rule_start_index = COALESCE($8, rule_start_index)
+WHERE id = $9
+RETURNING *`
+                ,
+                [rule, starts_at, title, description, priority, category_id, assignee_id, rule_start_index, this.id]
+            );
+            if (result.rows.length === 0) {
+                throw new Error('Task series not found');
+            }
+            Object.assign(this, result.rows[0]);
+            return this;
+        } catch (error) {
+            console.error('Error updating task series:', error);
+            throw error;
+        }
+    }
+    // Delete the series; its tasks stay but no longer repeat
+    async delete(client = db) {
+        try {
+            const result = await client.query(
+                'DELETE FROM task_series WHERE id = $1 RETURNING id',
+                [this.id]
+            );
+            return result.rows.length > 0;
+        } catch (error) {
+            console.error('Error deleting task series:', error);
+            throw error;
+        }
+    }
+    getRule() {
+        return parseRule(this.rule);
+    }
+    // Date of the occurrence after the one at `after` with number `index`
+    // Returns null once the series has run past COUNT or UNTIL. COUNT covers
+    // the occurrences since the current rule was set.
+    nextOccurrence(after, index) {
+        const rule = this.getRule();
+        if (rule.count && index - this.rule_start_index + 1 >= rule.count) {
+            return null;
+        }
+        return nextOccurrence(rule, new Date(this.starts_at), new Date(after));
+    }
+    toJSON() {
+        return {
+            id: this.id,
+            ...describeRule(this.getRule()),
+            starts_at: this.starts_at
+        };
+    }
+}
+module.exports = TaskSeries;
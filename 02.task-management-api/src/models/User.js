@@ -68,8 +68,7 @@ RETURNING id, email, name, created_at, updated_at`
         }
     }
     // Verify a password against the stored hash
-    // This method is used during login to check if the provided password is
-    correct
+    // This method is used during login to check if the provided password is correct
     async verifyPassword(password) {
         try {
             return await bcrypt.compare(password, this.password_hash);
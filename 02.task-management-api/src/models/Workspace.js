@@ -0,0 +1,275 @@
+const db = require('../config/database');
+// Roles in order of what they allow; each role can do everything the ones
+// before it can
+const ROLES = ['viewer', 'editor', 'owner'];
+class Workspace {
+    constructor(workspaceData) {
+        this.id = workspaceData.id;
+        this.name = workspaceData.name;
+        this.description = workspaceData.description;
+        this.is_personal = workspaceData.is_personal;
+        this.created_by = workspaceData.created_by;
+        this.created_at = workspaceData.created_at;
+        this.updated_at = workspaceData.updated_at;
+        // Include the current user's role and the member count if they were
+        // joined in the query
+        if (workspaceData.role) {
+            this.role = workspaceData.role;
+        }
+        if (workspaceData.member_count !== undefined) {
+            this.member_count = parseInt(workspaceData.member_count);
+        }
+    }
+    // Does a member with this role have at least the required role?
+    static hasRole(role, required) {
+        return ROLES.indexOf(role) >= ROLES.indexOf(required);
+    }
+    // Create a workspace with the user as its owner
+    static async create(workspaceData, userId) {
+        const { name, description } = workspaceData;
+        try {
+            const row = await db.transaction(async (client) => {
+                const result = await client.query(
+                    `INSERT INTO workspaces (name, description, created_by)
+VALUES ($1, $2, $3)
+RETURNING *`
+                    ,
+                    [name, description, userId]
+                );
+                await client.query(
+                    `INSERT INTO workspace_members (workspace_id, user_id, role)
+VALUES ($1, $2, 'owner')`
+                    ,
+                    [result.rows[0].id, userId]
+                );
+                return result.rows[0];
+            });
+            return new Workspace({ ...row, role: 'owner', member_count: 1 });
+        } catch (error) {
+            console.error('Error creating workspace:', error);
+            throw error;
+        }
+    }
+    // Find the user's personal workspace, creating it the first time
+    static async findOrCreatePersonal(userId) {
+        try {
+            return await db.transaction(async (client) => {
+                const created = await client.query(
+                    `INSERT INTO workspaces (name, is_personal, created_by)
+SELECT name || '''s workspace', TRUE, id FROM users WHERE id = $1
+ON CONFLICT (created_by) WHERE is_personal DO NOTHING
+RETURNING *`
+                    ,
+                    [userId]
+                );
+                if (created.rows.length > 0) {
+                    await client.query(
+                        `INSERT INTO workspace_members (workspace_id, user_id, role)
+VALUES ($1, $2, 'owner')`
+                        ,
+                        [created.rows[0].id, userId]
+                    );
+                    return new Workspace({ ...created.rows[0], role: 'owner' });
+                }
+                const result = await client.query(
+                    `SELECT w.*, m.role
+FROM workspaces w
+LEFT JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = $1
+WHERE w.created_by = $1 AND w.is_personal`
+                    ,
+                    [userId]
+                );
+                return new Workspace(result.rows[0]);
+            });
+        } catch (error) {
+            console.error('Error finding personal workspace:', error);
+            throw error;
+        }
+    }
+    // Find all workspaces a user is a member of, with their role in each
+    static async findByUserId(userId) {
+        try {
+            const result = await db.query(`
+SELECT w.*, m.role,
+(SELECT COUNT(*) FROM workspace_members wm WHERE wm.workspace_id = w.id) as member_count
+FROM workspaces w
+JOIN workspace_members m ON m.workspace_id = w.id
+WHERE m.user_id = $1
+ORDER BY w.is_personal DESC, w.name
+`
+                , [userId]);
+            return result.rows.map(row => new Workspace(row));
+        } catch (error) {
+            console.error('Error finding workspaces by user ID:', error);
+            throw error;
+        }
+    }
+    // Find a workspace by ID along with the user's role in it
+    // Returns null if the user is not a member.
+    static async findByIdForMember(id, userId) {
+        try {
+            const result = await db.query(`
+SELECT w.*, m.role,
+(SELECT COUNT(*) FROM workspace_members wm WHERE wm.workspace_id = w.id) as member_count
+FROM workspaces w
+JOIN workspace_members m ON m.workspace_id = w.id
+WHERE w.id = $1 AND m.user_id = $2
+`
+                , [id, userId]);
+            if (result.rows.length === 0) {
+                return null;
+            }
+            return new Workspace(result.rows[0]);
+        } catch (error) {
+            console.error('Error finding workspace by ID:', error);
+            throw error;
+        }
+    }
+    // The user's role in a workspace, or null if they are not a member
+    static async getMemberRole(workspaceId, userId, client = db) {
+        try {
+            const result = await client.query(
+                'SELECT role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+                [workspaceId, userId]
+            );
+            return result.rows.length > 0 ? result.rows[0].role : null;
+        } catch (error) {
+            console.error('Error getting workspace role:', error);
+            throw error;
+        }
+    }
+    // Update the workspace name or description
+    async update(updateData) {
+        const { name, description } = updateData;
+        try {
+            const result = await db.query(
+                `UPDATE workspaces
+SET name = COALESCE($1, name),
+description = COALESCE($2, description)
+WHERE id = $3
+RETURNING *`
+                ,
+                [name, description, this.id]
+            );
+            if (result.rows.length === 0) {
+                throw new Error('Workspace not found');
+            }
+            Object.assign(this, result.rows[0]);
+            return this;
+        } catch (error) {
+            console.error('Error updating workspace:', error);
+            throw error;
+        }
+    }
+    // Delete the workspace with all its tasks and categories
+    async delete() {
+        if (this.is_personal) {
+            throw new Error('Personal workspaces cannot be deleted');
+        }
+        try {
+            const result = await db.query(
+                'DELETE FROM workspaces WHERE id = $1 RETURNING id',
+                [this.id]
+            );
+            return result.rows.length > 0;
+        } catch (error) {
+            console.error('Error deleting workspace:', error);
+            throw error;
+        }
+    }
+    // Get the members with their roles
+    async getMembers() {
+        try {
+            const result = await db.query(`
+SELECT u.id, u.email, u.name, m.role, m.created_at as joined_at
+FROM workspace_members m
+JOIN users u ON u.id = m.user_id
+WHERE m.workspace_id = $1
+ORDER BY m.created_at
+`
+                , [this.id]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting workspace members:', error);
+            throw error;
+        }
+    }
+    // Add a user to the workspace
+    // Personal workspaces only ever have their creator as owner, so nobody
+    // else can take them over.
+    async addMember(userId, role) {
+        if (this.is_personal) {
+            throw new Error('Personal workspaces cannot be shared');
+        }
+        try {
+            const result = await db.query(
+                `INSERT INTO workspace_members (workspace_id, user_id, role)
+VALUES ($1, $2, $3)
+RETURNING *`
+                ,
+                [this.id, userId, role]
+            );
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new Error('User is already a member of this workspace');
+            }
+            console.error('Error adding workspace member:', error);
+            throw error;
+        }
+    }
+    // Change a member's role, or remove them when role is null
+    // The workspace always keeps at least one owner. The row lock on the
+    // workspace keeps two owners from demoting each other at the same time.
+    async changeMember(userId, role) {
+        // In a personal workspace the creator's role cannot change; anyone
+        // else (only possible in older data) can still be removed
+        if (this.is_personal && (role || userId === this.created_by)) {
+            throw new Error('Personal workspaces cannot be shared');
+        }
+        try {
+            return await db.transaction(async (client) => {
+                await client.query('SELECT id FROM workspaces WHERE id = $1 FOR UPDATE', [this.id]);
+                const current = await Workspace.getMemberRole(this.id, userId, client);
+                if (!current) {
+                    throw new Error('Member not found');
+                }
+                if (current === 'owner' && role !== 'owner') {
+                    const owners = await client.query(
+                        `SELECT COUNT(*) FROM workspace_members WHERE workspace_id = $1 AND role = 'owner'`,
+                        [this.id]
+                    );
+                    if (parseInt(owners.rows[0].count) <= 1) {
+                        throw new Error('A workspace needs at least one owner');
+                    }
+                }
+                const result = role ?
+                    await client.query(
+                        'UPDATE workspace_members SET role = $1 WHERE workspace_id = $2 AND user_id = $3 RETURNING *',
+                        [role, this.id, userId]
+                    ) :
+                    await client.query(
+                        'DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2 RETURNING *',
+                        [this.id, userId]
+                    );
+                // Tasks assigned to someone who left are no longer assigned
+                if (!role) {
+                    await client.query(
+                        'UPDATE tasks SET assignee_id = NULL WHERE workspace_id = $1 AND assignee_id = $2',
+                        [this.id, userId]
+                    );
+                    await client.query(
+                        'UPDATE task_series SET assignee_id = NULL WHERE workspace_id = $1 AND assignee_id = $2',
+                        [this.id, userId]
+                    );
+                }
+                return result.rows[0];
+            });
+        } catch (error) {
+            console.error('Error changing workspace member:', error);
+            throw error;
+        }
+    }
+}
+Workspace.ROLES = ROLES;
+module.exports = Workspace;
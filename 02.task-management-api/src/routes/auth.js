@@ -1,6 +1,6 @@
 const express = require('express');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const { authenticate, generateToken } = require('../middleware/auth');
 const router = express.Router();
 // User registration endpoint
 router.post('/register', async (req, res) => {
@@ -15,11 +15,7 @@ router.post('/register', async (req, res) => {
         // Create new user using our User model
         const user = await User.create({ email, name, password });
         // Generate JWT token for immediate login
-        const token = jwt.sign(
-            { userId: user.id, email: user.email },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '7d' }
-        );
+        const token = generateToken(user);
         res.status(201).json({
             message: 'User created successfully',
             user: user.toJSON(),
@@ -53,11 +49,7 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid email or password' });
         }
         // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.id, email: user.email },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '7d' }
-        );
+        const token = generateToken(user);
         res.json({
             message: 'Login successful',
             user: user.toJSON(),
@@ -68,4 +60,11 @@ router.post('/login', async (req, res) => {
         res.status(500).json({ error: 'Internal server error' });
     }
 });
+// Get the currently authenticated user
+router.get('/me', authenticate, (req, res) => {
+    res.json({
+        message: 'User retrieved successfully',
+        user: req.user.toJSON()
+    });
+});
 module.exports = router;
\ No newline at end of file
@@ -1,17 +1,20 @@
 const express = require('express');
 const Category = require('../models/Category');
+const { authenticate } = require('../middleware/auth');
+const { loadCategory, resolveWorkspace } = require('../middleware/workspace');
 const router = express.Router();
-
-// Simple middleware to extract user ID (same as tasks)
-const extractUserId = (req, res, next) => {
-    req.userId = req.query.userId || 1; // Default to user ID 1 for testing
-    next();
-};
-// Get all categories for a user
-router.get('/', extractUserId, async (req, res) => {
+// Every route needs a valid token; req.userId comes from it
+// Viewers of a category's workspace can read it; editors and owners can change it.
+router.use(authenticate);
+// Get the categories in all of the user's workspaces, or in one with ?workspace_id
+router.get('/', async (req, res) => {
     try {
+        const workspaceId = req.query.workspace_id ? parseInt(req.query.workspace_id) : null;
+        if (Number.isNaN(workspaceId)) {
+            return res.status(400).json({ error: 'workspace_id must be a workspace ID' });
+        }
         // Use our Category model to get user's categories
-        const categories = await Category.findByUserId(req.userId);
+        const categories = await Category.findForUser(req.userId, workspaceId);
         res.json({
             message: 'Categories retrieved successfully',
             count: categories.length,
@@ -23,14 +26,9 @@ router.get('/', extractUserId, async (req, res) => {
     }
 });
 // Get a specific category
-router.get('/:id', extractUserId, async (req, res) => {
+router.get('/:id', loadCategory('viewer'), async (req, res) => {
     try {
-        const categoryId = parseInt(req.params.id);
-        // Find category using our model method
-        const category = await Category.findByIdAndUserId(categoryId, req.userId);
-        if (!category) {
-            return res.status(404).json({ error: 'Category not found' });
-        }
+        const category = req.category;
         // Get task count for this category
         const taskCount = await category.getTaskCount();
         res.json({
@@ -46,7 +44,8 @@ router.get('/:id', extractUserId, async (req, res) => {
     }
 });
 // Create a new category
-router.post('/', extractUserId, async (req, res) => {
+// It goes in workspace_id from the body, or the user's personal workspace.
+router.post('/', resolveWorkspace('editor'), async (req, res) => {
     try {
         const { name, description, color } = req.body;
         // Basic validation
@@ -57,7 +56,8 @@ router.post('/', extractUserId, async (req, res) => {
         const category = await Category.create({
             name,
             description,
-            color
+            color,
+            workspace_id: req.workspaceId
         }, req.userId);
         res.status(201).json({
             message: 'Category created successfully',
@@ -65,21 +65,16 @@ router.post('/', extractUserId, async (req, res) => {
         });
     } catch (error) {
         console.error('Error creating category:', error);
-        if (error.message === 'Category name already exists for this user') {
+        if (error.message === 'Category name already exists in this workspace') {
             return res.status(409).json({ error: error.message });
         }
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 // Update a category
-router.put('/:id', extractUserId, async (req, res) => {
+router.put('/:id', loadCategory('editor'), async (req, res) => {
     try {
-        const categoryId = parseInt(req.params.id);
-        // Find the category first
-        const category = await Category.findByIdAndUserId(categoryId, req.userId);
-        if (!category) {
-            return res.status(404).json({ error: 'Category not found' });
-        }
+        const category = req.category;
         // Update the category using our model method
         const updatedCategory = await category.update(req.body);
         res.json({
@@ -88,21 +83,16 @@ router.put('/:id', extractUserId, async (req, res) => {
         });
     } catch (error) {
         console.error('Error updating category:', error);
-        if (error.message === 'Category name already exists for this user') {
+        if (error.message === 'Category name already exists in this workspace') {
             return res.status(409).json({ error: error.message });
         }
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 // Delete a category
-router.delete('/:id', extractUserId, async (req, res) => {
+router.delete('/:id', loadCategory('editor'), async (req, res) => {
     try {
-        const categoryId = parseInt(req.params.id);
-        // Find the category first
-        const category = await Category.findByIdAndUserId(categoryId, req.userId);
-        if (!category) {
-            return res.status(404).json({ error: 'Category not found' });
-        }
+        const category = req.category;
         // Delete the category using our model method
         await category.delete();
         res.json({
@@ -1,46 +1,120 @@
 const express = require('express');
 const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const TaskActivity = require('../models/TaskActivity');
+const { parseRule } = require('../utils/recurrence');
+const { authenticate } = require('../middleware/auth');
+const { validateQuery, taskListQuery, taskActivityQuery } = require('../middleware/validation');
+const { loadTask, resolveWorkspace } = require('../middleware/workspace');
 const router = express.Router();
-// Simple middleware to extract user ID from token (for demonstration)
-const extractUserId = (req, res, next) => {
-    // In a real app, you'd verify the JWT token here
-    // For simplicity, we'll just use a hardcoded user ID or get it from query params
-    req.userId = req.query.userId || 1; // Default to user ID 1 for testing
-    next();
+// Every route needs a valid token; req.userId comes from it
+// Routes on one task check the user's role in the task's workspace: viewers
+// can read, editors and owners can make changes.
+router.use(authenticate);
+// Errors from checks in the Task model that are the client's fault
+const TASK_ERRORS = {
+    'Parent task not found': 400,
+    'Category not found in this workspace': 400,
+    'Assignee must be a member of the workspace': 400,
+    'Blocking task not found': 400,
+    'A task cannot block itself': 400,
+    'A task cannot be moved under itself or one of its subtasks': 409,
+    'Dependency would create a cycle': 409,
+    'Task is blocked by open tasks': 409,
+    'Recurring tasks need a due date': 400,
+    'Invalid cursor': 400
 };
-// Get all tasks for a user
-router.get('/', extractUserId, async (req, res) => {
+// Respond with the matching status if error is one of TASK_ERRORS, or a
+// recurrence rule that cannot be used with the task's due date
+const sendTaskError = (res, error) => {
+    const status = TASK_ERRORS[error.message] || (error.invalidRule ? 400 : null);
+    if (!status) {
+        return false;
+    }
+    res.status(status).json({
+        error: error.message,
+        ...(error.blockers ? { blockers: error.blockers } : {})
+    });
+    return true;
+};
+// Parse an optional task ID from the request body (null clears it)
+const parseTaskId = (value) => {
+    if (value === undefined || value === null) {
+        return value;
+    }
+    const id = parseInt(value);
+    return Number.isNaN(id) ? NaN : id;
+};
+// Which occurrences of a recurring task an edit or delete applies to
+const SCOPES = ['this', 'future'];
+// Longest comment accepted, in characters
+const COMMENT_MAX_LENGTH = 5000;
+// Check a comment body from the request, returns an error message or null
+const checkCommentBody = (body) => {
+    if (typeof body !== 'string' || !body.trim()) {
+        return 'Comment body is required';
+    }
+    if (body.length > COMMENT_MAX_LENGTH) {
+        return `Comment body must be at most ${COMMENT_MAX_LENGTH} characters`;
+    }
+    return null;
+};
+// Parse the recurrence rule from the request body into { recurrence } or { error }
+// undefined leaves the rule alone and null removes it.
+const parseRecurrence = (value) => {
+    if (value === undefined || value === null) {
+        return { recurrence: value };
+    }
+    try {
+        return { recurrence: parseRule(value) };
+    } catch (error) {
+        return { error: error.message };
+    }
+};
+// Get tasks from all of the user's workspaces, a page at a time
+// Filters: workspace_id, assignee_id, status, priority and category_id (comma-separated for several
+// values), due_after/due_before, created_after/created_before and q for a
+// full-text search. Sort by priority, due_date, created_at, updated_at, title
+// or relevance (searches only), in order asc or desc. Pass the next_cursor of
+// one page as cursor to get the next page.
+router.get('/', validateQuery(taskListQuery), async (req, res) => {
     try {
-        const { status, priority, category_id, due_before } = req.query;
-        // Build filters object from query parameters
-        const filters = {};
-        if (status) filters.status = status;
-        if (priority) filters.priority = priority;
-        if (category_id) filters.category_id = parseInt(category_id);
-        if (due_before) filters.due_before = due_before;
-        // Use our Task model to get filtered tasks
-        const tasks = await Task.findByUserId(req.userId, filters);
+        const { sort, order, limit, cursor, ...filters } = req.validatedQuery;
+        // Use our Task model to get a page of filtered tasks
+        const { tasks, nextCursor } = await Task.findForUser(req.userId, filters, {
+            sort,
+            order,
+            limit,
+            cursor
+        });
         res.json({
             message: 'Tasks retrieved successfully',
             count: tasks.length,
-            tasks
+            tasks,
+            pagination: {
+                limit,
+                next_cursor: nextCursor,
+                has_more: nextCursor !== null
+            }
         });
     } catch (error) {
         console.error('Error getting tasks:', error);
+        if (sendTaskError(res, error)) {
+            return;
+        }
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 // Get a specific task
-router.get('/:id', extractUserId, async (req, res) => {
+router.get('/:id', loadTask('viewer'), async (req, res) => {
     try {
-        const taskId = parseInt(req.params.id);
-        // Find task using our model method
-        const task = await Task.findByIdAndUserId(taskId, req.userId);
-        if (!task) {
-            return res.status(404).json({ error: 'Task not found' });
-        }
+        const task = req.task;
+        // Include the subtask tree with rollup progress and both sides of
+        // the task's dependencies
+        await task.loadSubtasks();
+        const [blockers, blocking] = await Promise.all([task.getBlockers(), task.getBlocking()]);
         res.json({
-            task,
+            task: { ...task, blockers, blocking },
             message: 'Task retrieved successfully',
         });
     } catch (error) {
@@ -49,20 +123,37 @@ router.get('/:id', extractUserId, async (req, res) => {
     }
 });
 // Create a new task
-router.post('/', extractUserId, async (req, res) => {
+// It goes in workspace_id from the body, or the user's personal workspace.
+router.post('/', resolveWorkspace('editor'), async (req, res) => {
     try {
         const { title, description, due_date, priority, category_id } = req.body;
+        const parent_id = parseTaskId(req.body.parent_id);
+        const assignee_id = parseTaskId(req.body.assignee_id);
         // Basic validation
         if (!title) {
             return res.status(400).json({ error: 'Title is required' });
         }
+        if (Number.isNaN(parent_id)) {
+            return res.status(400).json({ error: 'parent_id must be a task ID' });
+        }
+        if (Number.isNaN(assignee_id)) {
+            return res.status(400).json({ error: 'assignee_id must be a user ID' });
+        }
+        const { recurrence, error: recurrenceError } = parseRecurrence(req.body.recurrence);
+        if (recurrenceError) {
+            return res.status(400).json({ error: recurrenceError });
+        }
         // Create task using our Task model
         const task = await Task.create({
             title,
             description,
             due_date,
             priority,
-            category_id
+            category_id,
+            parent_id,
+            assignee_id,
+            workspace_id: req.workspaceId,
+            recurrence: recurrence || undefined
         }, req.userId);
         res.status(201).json({
             message: 'Task created successfully',
@@ -70,53 +161,233 @@ router.post('/', extractUserId, async (req, res) => {
         });
     } catch (error) {
         console.error('Error creating task:', error);
+        if (sendTaskError(res, error)) {
+            return;
+        }
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 // Update a task
-router.put('/:id', extractUserId, async (req, res) => {
+router.put('/:id', loadTask('editor'), async (req, res) => {
     try {
-        const taskId = parseInt(req.params.id);
-        // Find the task first
-        const task = await Task.findByIdAndUserId(taskId, req.userId);
-        if (!task) {
-            return res.status(404).json({ error: 'Task not found' });
-        }
-        // Update the task using our model method
-        const updatedTask = await task.update(req.body);
+        const task = req.task;
+        const parent_id = parseTaskId(req.body.parent_id);
+        const assignee_id = parseTaskId(req.body.assignee_id);
+        if (Number.isNaN(parent_id)) {
+            return res.status(400).json({ error: 'parent_id must be a task ID' });
+        }
+        if (Number.isNaN(assignee_id)) {
+            return res.status(400).json({ error: 'assignee_id must be a user ID' });
+        }
+        const { recurrence, error: recurrenceError } = parseRecurrence(req.body.recurrence);
+        if (recurrenceError) {
+            return res.status(400).json({ error: recurrenceError });
+        }
+        // For recurring tasks, scope 'future' also changes every later occurrence
+        const scope = req.body.scope || 'this';
+        if (!SCOPES.includes(scope)) {
+            return res.status(400).json({ error: `scope must be one of: ${SCOPES.join(', ')}` });
+        }
+        // Update the task using our model method; the changes are recorded
+        // in the task's activity as made by the current user
+        // Completing a recurring task adds the next occurrence as task.next_occurrence
+        const updatedTask = await task.update(
+            { ...req.body, parent_id, assignee_id, recurrence },
+            { scope, actorId: req.userId }
+        );
         res.json({
             message: 'Task updated successfully',
             task: updatedTask
         });
     } catch (error) {
         console.error('Error updating task:', error);
+        if (sendTaskError(res, error)) {
+            return;
+        }
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 // Delete a task
-router.delete('/:id', extractUserId, async (req, res) => {
+router.delete('/:id', loadTask('editor'), async (req, res) => {
     try {
-        const taskId = parseInt(req.params.id);
-        // Find the task first
-        const task = await Task.findByIdAndUserId(taskId, req.userId);
-        if (!task) {
-            return res.status(404).json({ error: 'Task not found' });
+        const task = req.task;
+        // Deleting one occurrence of a recurring task skips to the next one;
+        // scope 'future' stops the task repeating
+        const scope = req.query.scope || 'this';
+        if (!SCOPES.includes(scope)) {
+            return res.status(400).json({ error: `scope must be one of: ${SCOPES.join(', ')}` });
         }
         // Delete the task using our model method
-        await task.delete();
+        await task.delete({ scope });
         res.json({
-            message: 'Task deleted successfully'
+            message: 'Task deleted successfully',
+            ...(task.next_occurrence ? { next_occurrence: task.next_occurrence } : {})
         });
     } catch (error) {
         console.error('Error deleting task:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
-// Get task statistics
-router.get('/stats/summary', extractUserId, async (req, res) => {
+// Get a task's dependencies: tasks blocking it and tasks it blocks
+router.get('/:id/dependencies', loadTask('viewer'), async (req, res) => {
+    try {
+        const task = req.task;
+        const [blockers, blocking] = await Promise.all([task.getBlockers(), task.getBlocking()]);
+        res.json({
+            message: 'Task dependencies retrieved successfully',
+            blockers,
+            blocking
+        });
+    } catch (error) {
+        console.error('Error getting task dependencies:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Mark a task as blocked by another task
+router.post('/:id/dependencies', loadTask('editor'), async (req, res) => {
+    try {
+        const task = req.task;
+        const blockedById = parseTaskId(req.body.blocked_by_id);
+        if (!blockedById) {
+            return res.status(400).json({ error: 'blocked_by_id is required' });
+        }
+        const added = await task.addBlocker(blockedById);
+        res.status(added ? 201 : 200).json({
+            message: added ? 'Dependency added successfully' : 'Dependency already exists',
+            blockers: await task.getBlockers()
+        });
+    } catch (error) {
+        console.error('Error adding task dependency:', error);
+        if (sendTaskError(res, error)) {
+            return;
+        }
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Remove a dependency
+router.delete('/:id/dependencies/:blockedById', loadTask('editor'), async (req, res) => {
     try {
+        const task = req.task;
+        const removed = await task.removeBlocker(parseInt(req.params.blockedById));
+        if (!removed) {
+            return res.status(404).json({ error: 'Dependency not found' });
+        }
+        res.json({
+            message: 'Dependency removed successfully'
+        });
+    } catch (error) {
+        console.error('Error removing task dependency:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Get a task's comments, oldest first
+router.get('/:id/comments', loadTask('viewer'), async (req, res) => {
+    try {
+        const comments = await Comment.findByTaskId(req.task.id);
+        res.json({
+            message: 'Comments retrieved successfully',
+            count: comments.length,
+            comments
+        });
+    } catch (error) {
+        console.error('Error getting comments:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Comment on a task
+router.post('/:id/comments', loadTask('editor'), async (req, res) => {
+    try {
+        const bodyError = checkCommentBody(req.body.body);
+        if (bodyError) {
+            return res.status(400).json({ error: bodyError });
+        }
+        const comment = await Comment.create(req.task.id, req.userId, req.body.body.trim());
+        res.status(201).json({
+            message: 'Comment added successfully',
+            comment
+        });
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Edit a comment; only its author can
+router.put('/:id/comments/:commentId', loadTask('editor'), async (req, res) => {
+    try {
+        const comment = await Comment.findByIdAndTaskId(parseInt(req.params.commentId), req.task.id);
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (comment.user_id !== req.userId) {
+            return res.status(403).json({ error: 'You can only edit your own comments', code: 'FORBIDDEN' });
+        }
+        const bodyError = checkCommentBody(req.body.body);
+        if (bodyError) {
+            return res.status(400).json({ error: bodyError });
+        }
+        const updatedComment = await comment.update(req.body.body.trim());
+        res.json({
+            message: 'Comment updated successfully',
+            comment: updatedComment
+        });
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Delete a comment; its author or a workspace owner can
+router.delete('/:id/comments/:commentId', loadTask('editor'), async (req, res) => {
+    try {
+        const comment = await Comment.findByIdAndTaskId(parseInt(req.params.commentId), req.task.id);
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (comment.user_id !== req.userId && req.workspaceRole !== 'owner') {
+            return res.status(403).json({ error: 'You can only delete your own comments', code: 'FORBIDDEN' });
+        }
+        await comment.delete();
+        res.json({
+            message: 'Comment deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Get the timeline of changes made to a task, oldest first
+// Each entry has the field, its old and new value, who changed it and when.
+// Pass the ID of the last entry as after to get the next page.
+router.get('/:id/activity', loadTask('viewer'), validateQuery(taskActivityQuery), async (req, res) => {
+    try {
+        const { after, limit } = req.validatedQuery;
+        // Fetch one extra entry to tell whether there is another page
+        const entries = await TaskActivity.findByTaskId(req.task.id, { afterId: after, limit: limit + 1 });
+        const hasMore = entries.length > limit;
+        const activity = entries.slice(0, limit);
+        res.json({
+            message: 'Task activity retrieved successfully',
+            count: activity.length,
+            activity,
+            pagination: {
+                limit,
+                next_cursor: hasMore ? activity[activity.length - 1].id : null,
+                has_more: hasMore
+            }
+        });
+    } catch (error) {
+        console.error('Error getting task activity:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Get task statistics across the user's workspaces, or for one with ?workspace_id
+router.get('/stats/summary', async (req, res) => {
+    try {
+        const workspaceId = req.query.workspace_id ? parseInt(req.query.workspace_id) : null;
+        if (Number.isNaN(workspaceId)) {
+            return res.status(400).json({ error: 'workspace_id must be a workspace ID' });
+        }
         // Use our Task model's statistics method
-        const stats = await Task.getStats(req.userId);
+        const stats = await Task.getStats(req.userId, workspaceId);
         res.json({
             stats,  
             message: 'Task statistics retrieved successfully',
@@ -0,0 +1,190 @@
+const express = require('express');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { loadWorkspace } = require('../middleware/workspace');
+const router = express.Router();
+// Every route needs a valid token; req.userId comes from it
+// Any member can see a workspace and its members; only owners can change them.
+router.use(authenticate);
+// Errors from the Workspace model that are the client's fault
+const WORKSPACE_ERRORS = {
+    'Personal workspaces cannot be deleted': 400,
+    'Personal workspaces cannot be shared': 400,
+    'Member not found': 404,
+    'User is already a member of this workspace': 409,
+    'A workspace needs at least one owner': 409
+};
+// Respond with the matching status if error is one of WORKSPACE_ERRORS
+const sendWorkspaceError = (res, error) => {
+    const status = WORKSPACE_ERRORS[error.message];
+    if (!status) {
+        return false;
+    }
+    res.status(status).json({ error: error.message });
+    return true;
+};
+// Check a role from the request body
+const isRole = (role) => Workspace.ROLES.includes(role);
+// Get the workspaces the user is a member of
+router.get('/', async (req, res) => {
+    try {
+        // Make sure the personal workspace exists before listing
+        await Workspace.findOrCreatePersonal(req.userId);
+        const workspaces = await Workspace.findByUserId(req.userId);
+        res.json({
+            message: 'Workspaces retrieved successfully',
+            count: workspaces.length,
+            workspaces
+        });
+    } catch (error) {
+        console.error('Error getting workspaces:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Get a specific workspace with its members
+router.get('/:id', loadWorkspace('viewer'), async (req, res) => {
+    try {
+        const members = await req.workspace.getMembers();
+        res.json({
+            message: 'Workspace retrieved successfully',
+            workspace: { ...req.workspace, members }
+        });
+    } catch (error) {
+        console.error('Error getting workspace:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Create a new workspace; the user becomes its owner
+router.post('/', async (req, res) => {
+    try {
+        const { name, description } = req.body;
+        // Basic validation
+        if (!name) {
+            return res.status(400).json({ error: 'Workspace name is required' });
+        }
+        const workspace = await Workspace.create({ name, description }, req.userId);
+        res.status(201).json({
+            message: 'Workspace created successfully',
+            workspace
+        });
+    } catch (error) {
+        console.error('Error creating workspace:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Update a workspace
+router.put('/:id', loadWorkspace('owner'), async (req, res) => {
+    try {
+        const workspace = await req.workspace.update(req.body);
+        res.json({
+            message: 'Workspace updated successfully',
+            workspace
+        });
+    } catch (error) {
+        console.error('Error updating workspace:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Delete a workspace along with its tasks and categories
+router.delete('/:id', loadWorkspace('owner'), async (req, res) => {
+    try {
+        await req.workspace.delete();
+        res.json({
+            message: 'Workspace deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting workspace:', error);
+        if (sendWorkspaceError(res, error)) {
+            return;
+        }
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Get the members of a workspace
+router.get('/:id/members', loadWorkspace('viewer'), async (req, res) => {
+    try {
+        const members = await req.workspace.getMembers();
+        res.json({
+            message: 'Workspace members retrieved successfully',
+            count: members.length,
+            members
+        });
+    } catch (error) {
+        console.error('Error getting workspace members:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Add a member by email or user_id, as a viewer unless a role is given
+router.post('/:id/members', loadWorkspace('owner'), async (req, res) => {
+    try {
+        const { email, user_id, role = 'viewer' } = req.body;
+        if (!email && !user_id) {
+            return res.status(400).json({ error: 'email or user_id is required' });
+        }
+        if (!isRole(role)) {
+            return res.status(400).json({ error: `role must be one of: ${Workspace.ROLES.join(', ')}` });
+        }
+        const userId = parseInt(user_id);
+        const user = email ?
+            await User.findByEmail(email) :
+            Number.isNaN(userId) ? null : await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        await req.workspace.addMember(user.id, role);
+        res.status(201).json({
+            message: 'Member added successfully',
+            member: { id: user.id, email: user.email, name: user.name, role }
+        });
+    } catch (error) {
+        console.error('Error adding workspace member:', error);
+        if (sendWorkspaceError(res, error)) {
+            return;
+        }
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Change a member's role
+router.put('/:id/members/:userId', loadWorkspace('owner'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        if (!isRole(role)) {
+            return res.status(400).json({ error: `role must be one of: ${Workspace.ROLES.join(', ')}` });
+        }
+        const member = await req.workspace.changeMember(parseInt(req.params.userId), role);
+        res.json({
+            message: 'Member updated successfully',
+            member
+        });
+    } catch (error) {
+        console.error('Error updating workspace member:', error);
+        if (sendWorkspaceError(res, error)) {
+            return;
+        }
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+// Remove a member; owners can remove anyone and members can remove themselves
+router.delete('/:id/members/:userId', loadWorkspace('viewer'), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+        if (userId !== req.userId && !Workspace.hasRole(req.workspaceRole, 'owner')) {
+            return res.status(403).json({
+                error: 'You need owner access to this workspace',
+                code: 'FORBIDDEN'
+            });
+        }
+        await req.workspace.changeMember(userId, null);
+        res.json({
+            message: 'Member removed successfully'
+        });
+    } catch (error) {
+        console.error('Error removing workspace member:', error);
+        if (sendWorkspaceError(res, error)) {
+            return;
+        }
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+module.exports = router;
@@ -0,0 +1,269 @@
+// Recurrence rules for repeating tasks
+// Rules follow a subset of the iCalendar RRULE format (RFC 5545):
+//   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL=n, BYDAY=MO,WE (weekly),
+//   BYMONTHDAY=1,15,-1 (monthly, -1 is the last day), UNTIL=date, COUNT=n
+// Clients can send the RRULE string or the same fields as an object, e.g.
+// { freq: 'weekly', interval: 2, by_day: ['MO', 'TH'], count: 10 }.
+// Dates are handled in the server's local time, like the due dates pg returns.
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+// Indexed like Date#getDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INTERVAL = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Months searched for a monthly occurrence; a 29 February can be eight
+// years away (2096 to 2104), and with INTERVAL=12 that is a few periods
+const MAX_MONTHS = 400 * 12;
+// Errors for the client; invalidRule lets callers tell them from others
+function invalid(message) {
+    const error = new Error(`Invalid recurrence rule: ${message}`);
+    error.invalidRule = true;
+    return error;
+}
+function daysInMonth(year, monthIndex) {
+    return new Date(year, monthIndex + 1, 0).getDate();
+}
+function toList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return Array.isArray(value) ? value : String(value).split(',');
+}
+function parsePositiveInt(value, name, max) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || (max && number > max)) {
+        throw invalid(`${name} must be a whole number from 1${max ? ` to ${max}` : ''}`);
+    }
+    return number;
+}
+// UNTIL as 20261231, 2026-12-31, 20261231T235959Z or any date Date.parse
+// understands; a date without a time means the end of that day
+function parseUntil(value) {
+    const text = String(value);
+    const compact = /^(\d{4})-?(\d{2})-?(\d{2})(?:T(\d{2}):?(\d{2}):?(\d{2})(Z)?)?$/.exec(text);
+    // Date would quietly roll 2026-02-30 over to 2 March
+    const calendarDate = compact || /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+    if (calendarDate) {
+        const [, y, m, d] = calendarDate;
+        if (m < 1 || m > 12 || d < 1 || d > daysInMonth(y, m - 1)) {
+            throw invalid(`until has no such day ${y}-${m}-${d}`);
+        }
+    }
+    let date;
+    if (compact) {
+        const [, y, m, d, hh = '23', mm = '59', ss = '59', utc] = compact;
+        if (hh > 23 || mm > 59 || ss > 59) {
+            throw invalid('until has an invalid time');
+        }
+        date = utc ?
+            new Date(Date.UTC(y, m - 1, d, hh, mm, ss)) :
+            new Date(y, m - 1, d, hh, mm, ss);
+    } else {
+        date = new Date(text);
+    }
+    if (Number.isNaN(date.getTime())) {
+        throw invalid('until must be a date');
+    }
+    return date;
+}
+// RRULE string to { FREQ: 'WEEKLY', BYDAY: 'MO,WE', ... }
+function splitRuleString(text) {
+    const fields = {};
+    text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+        const [key, value] = part.split('=');
+        if (!key || value === undefined) {
+            throw invalid(`cannot read "${part}"`);
+        }
+        fields[key.trim().toUpperCase()] = value.trim();
+    });
+    return fields;
+}
+// Check a rule from the client and return it as
+// { freq, interval, byDay, byMonthDay, until, count }
+function parseRule(input) {
+    let fields;
+    if (typeof input === 'string') {
+        fields = splitRuleString(input);
+    } else if (input && typeof input === 'object' && !Array.isArray(input)) {
+        fields = {
+            FREQ: input.freq,
+            INTERVAL: input.interval,
+            BYDAY: input.by_day,
+            BYMONTHDAY: input.by_month_day,
+            UNTIL: input.until,
+            COUNT: input.count
+        };
+    } else {
+        throw invalid('send an RRULE string or an object with freq');
+    }
+    const freq = String(fields.FREQ || '').toUpperCase();
+    if (!FREQUENCIES.includes(freq)) {
+        throw invalid(`freq must be one of ${FREQUENCIES.join(', ').toLowerCase()}`);
+    }
+    const rule = {
+        freq,
+        interval: fields.INTERVAL === undefined ? 1 : parsePositiveInt(fields.INTERVAL, 'interval', MAX_INTERVAL),
+        byDay: [],
+        byMonthDay: [],
+        until: fields.UNTIL ? parseUntil(fields.UNTIL) : null,
+        count: fields.COUNT === undefined || fields.COUNT === null ? null : parsePositiveInt(fields.COUNT, 'count')
+    };
+    const byDay = toList(fields.BYDAY).map(day => String(day).trim().toUpperCase());
+    if (byDay.length > 0) {
+        if (freq !== 'WEEKLY') {
+            throw invalid('by_day is only supported for weekly rules');
+        }
+        const unknown = byDay.filter(day => !WEEKDAYS.includes(day));
+        if (unknown.length > 0) {
+            throw invalid(`unknown weekday ${unknown.join(', ')} (use ${WEEKDAYS.join(', ')})`);
+        }
+        rule.byDay = Array.from(new Set(byDay)).sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+    }
+    const byMonthDay = toList(fields.BYMONTHDAY).map(Number);
+    if (byMonthDay.length > 0) {
+        if (freq !== 'MONTHLY') {
+            throw invalid('by_month_day is only supported for monthly rules');
+        }
+        if (byMonthDay.some(day => !Number.isInteger(day) || day === 0 || day < -31 || day > 31)) {
+            throw invalid('by_month_day values must be 1 to 31, or -1 to -31 counted from the end of the month');
+        }
+        rule.byMonthDay = Array.from(new Set(byMonthDay));
+    }
+    return rule;
+}
+function formatUntil(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+// Rule object back to its RRULE string, as stored in the database
+function formatRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+    if (rule.byDay.length > 0) {
+        parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    }
+    if (rule.byMonthDay.length > 0) {
+        parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    }
+    if (rule.until) {
+        parts.push(`UNTIL=${formatUntil(rule.until)}`);
+    }
+    if (rule.count) {
+        parts.push(`COUNT=${rule.count}`);
+    }
+    return parts.join(';');
+}
+// Rule as returned by the API
+function describeRule(rule) {
+    return {
+        rule: formatRule(rule),
+        freq: rule.freq.toLowerCase(),
+        interval: rule.interval,
+        by_day: rule.byDay,
+        by_month_day: rule.byMonthDay,
+        until: rule.until,
+        count: rule.count
+    };
+}
+// Whole days since 1970-01-01 for a local calendar date
+function dayNumber(date) {
+    return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+}
+// Weeks start on Monday; 1970-01-01 was a Thursday
+function weekNumber(date) {
+    return Math.floor((dayNumber(date) + 3) / 7);
+}
+function monthNumber(date) {
+    return date.getFullYear() * 12 + date.getMonth();
+}
+// Local calendar date for a day number, at the time of day of start
+function atDay(day, start) {
+    const date = new Date(day * DAY_MS);
+    return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+        start.getHours(), start.getMinutes(), start.getSeconds(), start.getMilliseconds());
+}
+// Offset from the start (in days, weeks or months) of the first period that
+// is at least `offset` away and a whole number of intervals from the start
+function firstPeriod(rule, offset) {
+    return Math.max(0, Math.ceil(offset / rule.interval)) * rule.interval;
+}
+// Days (as day numbers, in order) of the schedule in a month, counted as
+// year * 12 + month index like monthNumber
+function monthDays(rule, start, month) {
+    const year = Math.floor(month / 12);
+    const monthIndex = month % 12;
+    const length = daysInMonth(year, monthIndex);
+    const wanted = rule.byMonthDay.length > 0 ? rule.byMonthDay : [start.getDate()];
+    // Days the month does not have (e.g. the 31st in April) are skipped
+    return wanted
+        .map(monthDay => (monthDay > 0 ? monthDay : length + monthDay + 1))
+        .filter(date => date >= 1 && date <= length)
+        .map(date => dayNumber(new Date(year, monthIndex, date)))
+        .sort((a, b) => a - b);
+}
+// Schedule days (as day numbers, in order) from the day `first` on, one
+// period at a time: a single day, a week or a month
+function* scheduleDays(rule, start, first) {
+    const startDay = dayNumber(start);
+    switch (rule.freq) {
+        case 'DAILY':
+            yield startDay + firstPeriod(rule, first - startDay);
+            return;
+        case 'WEEKLY': {
+            const weekdays = rule.byDay.length > 0 ? rule.byDay : [WEEKDAYS[start.getDay()]];
+            // Offsets from Monday, since weeks start on Monday
+            const offsets = weekdays.map(day => (WEEKDAYS.indexOf(day) + 6) % 7).sort((a, b) => a - b);
+            const startWeek = weekNumber(start);
+            const firstWeek = startWeek + firstPeriod(rule, Math.floor((first + 3) / 7) - startWeek);
+            // The first week may have no days left, the next one always has
+            for (let week = firstWeek; week <= firstWeek + rule.interval; week += rule.interval) {
+                yield* offsets.map(offset => week * 7 - 3 + offset);
+            }
+            return;
+        }
+        case 'MONTHLY': {
+            const startMonth = monthNumber(start);
+            const firstDate = atDay(first, start);
+            const firstMonth = startMonth + firstPeriod(rule, monthNumber(firstDate) - startMonth);
+            for (let month = firstMonth; month < firstMonth + MAX_MONTHS; month += rule.interval) {
+                yield* monthDays(rule, start, month);
+            }
+            return;
+        }
+        default:
+            return;
+    }
+}
+// First occurrence after the day of `after` (and not before the day of
+// start), at the time of day of start
+// Ignores COUNT, which depends on how many occurrences came before; returns
+// null when the next one would be past UNTIL or there is none.
+function nextOccurrence(rule, start, after) {
+    const first = Math.max(dayNumber(after) + 1, dayNumber(start));
+    for (const day of scheduleDays(rule, start, first)) {
+        if (day < first) {
+            continue;
+        }
+        const date = atDay(day, start);
+        if (rule.until && date > rule.until) {
+            return null;
+        }
+        return date;
+    }
+    return null;
+}
+// Make sure a rule starting at start can repeat, e.g. not the 30th of every
+// 12th month starting in February
+function checkRule(rule, start) {
+    if (!nextOccurrence({ ...rule, until: null }, start, start)) {
+        throw invalid('the schedule never reaches any of its days from this start date');
+    }
+}
+module.exports = {
+    WEEKDAYS,
+    parseRule,
+    formatRule,
+    describeRule,
+    nextOccurrence,
+    checkRule
+};
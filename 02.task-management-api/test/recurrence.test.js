@@ -0,0 +1,94 @@
+// Dates are local, so pin a zone with daylight saving time (before any Date is made)
+process.env.TZ = 'Europe/Berlin';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRule, formatRule, nextOccurrence, checkRule } = require('../src/utils/recurrence');
+const TaskSeries = require('../src/models/TaskSeries');
+// Follow a rule from start, returning the next `count` occurrences
+function occurrences(ruleText, start, count) {
+    const rule = parseRule(ruleText);
+    const dates = [];
+    let after = start;
+    for (let i = 0; i < count; i++) {
+        const next = nextOccurrence(rule, start, after);
+        if (!next) {
+            break;
+        }
+        dates.push(next);
+        after = next;
+    }
+    return dates;
+}
+// Local date as YYYY-MM-DD HH:MM
+function local(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+test('monthly on the 31st skips months without one', () => {
+    const dates = occurrences('FREQ=MONTHLY;BYMONTHDAY=31', new Date(2026, 0, 31, 9, 0), 3);
+    assert.deepEqual(dates.map(local), ['2026-03-31 09:00', '2026-05-31 09:00', '2026-07-31 09:00']);
+});
+test('monthly on day -1 is the last day of every month', () => {
+    const dates = occurrences('FREQ=MONTHLY;BYMONTHDAY=-1', new Date(2027, 11, 31, 9, 0), 3);
+    assert.deepEqual(dates.map(local), ['2028-01-31 09:00', '2028-02-29 09:00', '2028-03-31 09:00']);
+});
+test('biweekly BYDAY repeats the weekdays every other week', () => {
+    // 5 January 2026 is a Monday
+    const dates = occurrences('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', new Date(2026, 0, 5, 8, 0), 4);
+    assert.deepEqual(dates.map(local),
+        ['2026-01-08 08:00', '2026-01-19 08:00', '2026-01-22 08:00', '2026-02-02 08:00']);
+});
+test('UNTIL includes the whole of its last day', () => {
+    const dates = occurrences('FREQ=DAILY;UNTIL=20260110', new Date(2026, 0, 8, 22, 0), 5);
+    assert.deepEqual(dates.map(local), ['2026-01-09 22:00', '2026-01-10 22:00']);
+});
+test('COUNT stops the series after that many occurrences', () => {
+    const series = new TaskSeries({ rule: 'FREQ=DAILY;COUNT=3', starts_at: new Date(2026, 0, 1, 9, 0) });
+    assert.equal(local(series.nextOccurrence(new Date(2026, 0, 1, 9, 0), 1)), '2026-01-02 09:00');
+    assert.equal(local(series.nextOccurrence(new Date(2026, 0, 2, 9, 0), 2)), '2026-01-03 09:00');
+    assert.equal(series.nextOccurrence(new Date(2026, 0, 3, 9, 0), 3), null);
+});
+test('COUNT of a changed rule counts from the occurrence it was set on', () => {
+    const series = new TaskSeries({
+        rule: 'FREQ=DAILY;COUNT=3',
+        starts_at: new Date(2026, 0, 5, 9, 0),
+        rule_start_index: 5
+    });
+    assert.equal(local(series.nextOccurrence(new Date(2026, 0, 5, 9, 0), 5)), '2026-01-06 09:00');
+    assert.equal(local(series.nextOccurrence(new Date(2026, 0, 6, 9, 0), 6)), '2026-01-07 09:00');
+    assert.equal(series.nextOccurrence(new Date(2026, 0, 7, 9, 0), 7), null);
+});
+test('occurrences keep their time of day across daylight saving changes', () => {
+    // Clocks go forward on 29 March 2026 and back on 25 October 2026
+    const spring = occurrences('FREQ=DAILY', new Date(2026, 2, 28, 9, 30), 2);
+    assert.deepEqual(spring.map(local), ['2026-03-29 09:30', '2026-03-30 09:30']);
+    const autumn = occurrences('FREQ=WEEKLY', new Date(2026, 9, 20, 9, 30), 2);
+    assert.deepEqual(autumn.map(local), ['2026-10-27 09:30', '2026-11-03 09:30']);
+    // The day of the change is 23 or 25 hours long
+    assert.equal(spring[0] - new Date(2026, 2, 28, 9, 30), 23 * 60 * 60 * 1000);
+});
+test('rules round-trip through their RRULE string', () => {
+    const text = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10';
+    assert.equal(formatRule(parseRule(text)), text);
+    assert.equal(formatRule(parseRule({ freq: 'weekly', interval: 2, by_day: ['TH', 'MO'], count: 10 })), text);
+});
+test('UNTIL must be a real date', () => {
+    assert.throws(() => parseRule('FREQ=DAILY;UNTIL=2026-02-30'), /until has no such day/);
+    assert.throws(() => parseRule('FREQ=DAILY;UNTIL=20261301'), /until has no such day/);
+    assert.throws(() => parseRule('FREQ=DAILY;UNTIL=soon'), /until must be a date/);
+});
+test('rules that can never repeat are rejected', () => {
+    const rule = parseRule('FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=30');
+    assert.throws(() => checkRule(rule, new Date(2026, 1, 10)), /never reaches/);
+    assert.doesNotThrow(() => checkRule(rule, new Date(2026, 2, 10)));
+    // A yearly 29 February only comes round in leap years
+    const leap = parseRule('FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=29');
+    assert.equal(local(nextOccurrence(leap, new Date(2096, 1, 29), new Date(2096, 1, 29))), '2104-02-29 00:00');
+});
+test('invalid rules are rejected with a reason', () => {
+    assert.throws(() => parseRule('FREQ=YEARLY'), /freq must be one of/);
+    assert.throws(() => parseRule('FREQ=DAILY;BYDAY=MO'), /only supported for weekly/);
+    assert.throws(() => parseRule('FREQ=MONTHLY;BYMONTHDAY=32'), /by_month_day values/);
+    assert.throws(() => parseRule('FREQ=DAILY;INTERVAL=0'), /interval must be a whole number/);
+});
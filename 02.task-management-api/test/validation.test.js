@@ -0,0 +1,132 @@
+// Query parameters for the task list: validation, sorting and page cursors
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/config/database');
+const Task = require('../src/models/Task');
+const { taskListQuery, validateQuery } = require('../src/middleware/validation');
+// Run validateQuery(taskListQuery) on a query as Express would parse it;
+// returns the validated query or the 400 response
+function validate(query) {
+    const req = { query };
+    const res = {
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let passed = false;
+    validateQuery(taskListQuery)(req, res, () => {
+        passed = true;
+    });
+    return passed ? { value: req.validatedQuery } : { status: res.statusCode, body: res.body };
+}
+// Make a cursor by hand, as a client tampering with one would
+function cursorFor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+// Stub db.query with rows for a page of tasks; returns the params of each query
+function stubTasks(t, rows) {
+    const calls = [];
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(db, 'query', async (text, params) => {
+        calls.push(params);
+        return { rows };
+    });
+    return calls;
+}
+test('list filters accept comma-separated and repeated parameters', () => {
+    const { value } = validate({
+        status: 'pending, in_progress',
+        priority: ['high', 'urgent'],
+        workspace_id: '3,4',
+        category_id: ['5', '6']
+    });
+    assert.deepEqual(value.status, ['pending', 'in_progress']);
+    assert.deepEqual(value.priority, ['high', 'urgent']);
+    assert.deepEqual(value.workspace_id, [3, 4]);
+    assert.deepEqual(value.category_id, [5, 6]);
+    // A single value is still a list, and empty items are dropped
+    assert.deepEqual(validate({ assignee_id: '7,' }).value.assignee_id, [7]);
+});
+test('every invalid value is reported in details', () => {
+    const { status, body } = validate({ status: 'pending,done', workspace_id: '1,x', due_after: 'someday', order: 'up' });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid query parameters');
+    assert.deepEqual(body.details.map(detail => detail.field), ['workspace_id.1', 'status.1', 'due_after', 'order']);
+    assert.match(body.details[1].message, /must be one of \[pending, in_progress, completed, cancelled\]/);
+});
+test('unknown parameters are dropped and values are converted', () => {
+    const { value } = validate({ due_before: '2026-03-01', order: 'DESC', page: '2' });
+    assert.ok(value.due_before instanceof Date);
+    assert.equal(value.order, 'desc');
+    assert.equal('page' in value, false);
+});
+test('limit defaults to 20 and must be a whole number from 1 to 100', () => {
+    assert.equal(validate({}).value.limit, 20);
+    assert.equal(validate({ limit: '1' }).value.limit, 1);
+    assert.equal(validate({ limit: '100' }).value.limit, 100);
+    for (const limit of ['0', '101', '2.5', 'ten']) {
+        const { status, body } = validate({ limit });
+        assert.equal(status, 400, limit);
+        assert.deepEqual(body.details.map(detail => detail.field), ['limit']);
+    }
+});
+test('sorting by relevance needs a search query', () => {
+    const { status, body } = validate({ sort: 'relevance' });
+    assert.equal(status, 400);
+    assert.equal(body.details[0].field, 'sort');
+    assert.match(body.details[0].message, /relevance needs a search query, q/);
+    assert.equal(validate({ sort: 'relevance', q: 'report' }).value.sort, 'relevance');
+    assert.equal(validate({ sort: 'title' }).value.sort, 'title');
+    assert.equal(validate({ sort: 'name' }).status, 400);
+});
+test('a cursor continues the sort it came from', async (t) => {
+    const calls = stubTasks(t, [
+        { id: 4, title: 'Alpha', cursor_value: 'alpha' },
+        { id: 9, title: 'Beta', cursor_value: 'beta' }
+    ]);
+    const first = await Task.findForUser(1, {}, { sort: 'title', limit: 1 });
+    assert.equal(first.tasks.length, 1);
+    assert.deepEqual(JSON.parse(Buffer.from(first.nextCursor, 'base64url').toString('utf8')),
+        { sort: 'title', order: 'asc', value: 'alpha', id: 4 });
+    await Task.findForUser(1, {}, { sort: 'title', limit: 1, cursor: first.nextCursor });
+    // The next page starts after the last task's sort value and id
+    assert.deepEqual(calls[1], [1, 'alpha', 4, 2]);
+    // The cursor belongs to title ascending, not to another sort or order
+    await assert.rejects(Task.findForUser(1, {}, { sort: 'due_date', cursor: first.nextCursor }), /Invalid cursor/);
+    await assert.rejects(Task.findForUser(1, {}, { sort: 'title', order: 'desc', cursor: first.nextCursor }), /Invalid cursor/);
+    assert.equal(calls.length, 2);
+});
+test('searches sort by relevance, and the last page has no cursor', async (t) => {
+    stubTasks(t, [{ id: 3, title: 'Report', cursor_value: '0.0607927' }]);
+    const page = await Task.findForUser(1, { q: 'report' }, { limit: 1 });
+    assert.equal(page.nextCursor, null);
+    const cursor = cursorFor({ sort: 'relevance', order: 'desc', value: '0.0607927', id: 3 });
+    await Task.findForUser(1, { q: 'report' }, { cursor });
+    await assert.rejects(Task.findForUser(1, {}, { cursor }), /Invalid cursor/);
+});
+test('a tampered cursor is rejected before it reaches the query', async (t) => {
+    const calls = stubTasks(t, []);
+    // Each cursor names the sort it is used with, so only its contents are wrong
+    const tampered = [
+        ['priority', 'not a cursor'],
+        ['priority', cursorFor({ sort: 'priority', order: 'desc', value: '4; DROP TABLE tasks', id: 1 })],
+        ['priority', cursorFor({ sort: 'priority', order: 'desc', value: 4, id: 1 })],
+        ['priority', cursorFor({ sort: 'priority', order: 'desc', value: '4', id: 0 })],
+        ['priority', cursorFor({ sort: 'priority', order: 'desc', value: '4', id: 2147483648 })],
+        ['due_date', cursorFor({ sort: 'due_date', order: 'asc', value: '2026-02-30 09:00:00', id: 1 })],
+        ['due_date', cursorFor({ sort: 'due_date', order: 'asc', value: '2026-02-03 24:00:00', id: 1 })]
+    ];
+    for (const [sort, cursor] of tampered) {
+        await assert.rejects(Task.findForUser(1, {}, { sort, cursor }), /Invalid cursor/, cursor);
+    }
+    assert.equal(calls.length, 0);
+    // Due dates keep their microseconds, and tasks without one sort at infinity
+    await Task.findForUser(1, {}, { sort: 'due_date', cursor: cursorFor({ sort: 'due_date', order: 'asc', value: '2026-02-03 09:00:00.123456', id: 1 }) });
+    await Task.findForUser(1, {}, { sort: 'due_date', cursor: cursorFor({ sort: 'due_date', order: 'asc', value: 'infinity', id: 1 }) });
+    assert.equal(calls.length, 2);
+});
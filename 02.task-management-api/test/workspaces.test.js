@@ -0,0 +1,150 @@
+// Workspace roles: who may change tasks, and the rule that a workspace keeps an owner
+// The models are stubbed, so no database is needed. JWT_SECRET has to be set
+// before the auth middleware is loaded.
+process.env.JWT_SECRET = 'test-secret';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const db = require('../src/config/database');
+const Task = require('../src/models/Task');
+const User = require('../src/models/User');
+const Workspace = require('../src/models/Workspace');
+const { generateToken } = require('../src/middleware/auth');
+const taskRoutes = require('../src/routes/tasks');
+const workspaceRoutes = require('../src/routes/workspaces');
+const WORKSPACE_ID = 7;
+// Start the task and workspace routes on a free port for the length of a test
+async function startApp(t) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/tasks', taskRoutes);
+    app.use('/api/workspaces', workspaceRoutes);
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+// Send a request as the given user
+async function request(baseUrl, method, path, userId, body) {
+    const response = await fetch(baseUrl + path, {
+        method,
+        headers: {
+            Authorization: `Bearer ${generateToken({ id: userId, email: `user${userId}@example.com` })}`,
+            'Content-Type': 'application/json'
+        },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+// Stub the models and the database for a workspace whose members are given
+// as { userId: role }; returns the queries that changed a membership
+function stubWorkspace(t, members, { is_personal = false, created_by = 1 } = {}) {
+    const changes = [];
+    const client = {
+        async query(text, params) {
+            if (text.startsWith('SELECT role FROM workspace_members')) {
+                const role = members[params[1]];
+                return { rows: role ? [{ role }] : [] };
+            }
+            if (text.startsWith('SELECT COUNT(*)')) {
+                const owners = Object.values(members).filter(role => role === 'owner');
+                return { rows: [{ count: String(owners.length) }] };
+            }
+            if (/^(UPDATE|DELETE FROM) workspace_members/.test(text)) {
+                changes.push(text.split(' ')[0]);
+                return { rows: [{ workspace_id: WORKSPACE_ID, user_id: params[params.length - 1] }] };
+            }
+            return { rows: [] };
+        }
+    };
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(db, 'transaction', async fn => fn(client));
+    t.mock.method(User, 'findById', async id => ({ id, email: `user${id}@example.com` }));
+    t.mock.method(Workspace, 'getMemberRole', async (workspaceId, userId) =>
+        (workspaceId === WORKSPACE_ID && members[userId]) || null);
+    t.mock.method(Workspace, 'findByIdForMember', async (id, userId) => {
+        const role = id === WORKSPACE_ID && members[userId];
+        return role ? new Workspace({ id, name: 'Team', is_personal, created_by, role }) : null;
+    });
+    return changes;
+}
+test('hasRole ranks viewer below editor below owner', () => {
+    assert.equal(Workspace.hasRole('viewer', 'viewer'), true);
+    assert.equal(Workspace.hasRole('viewer', 'editor'), false);
+    assert.equal(Workspace.hasRole('editor', 'editor'), true);
+    assert.equal(Workspace.hasRole('editor', 'owner'), false);
+    assert.equal(Workspace.hasRole('owner', 'editor'), true);
+    assert.equal(Workspace.hasRole(null, 'viewer'), false);
+    assert.equal(Workspace.hasRole('admin', 'viewer'), false);
+});
+test('a viewer cannot update or delete a task in the workspace', async (t) => {
+    stubWorkspace(t, { 1: 'owner', 2: 'viewer' });
+    const deleted = [];
+    t.mock.method(Task, 'findById', async id => ({
+        id,
+        workspace_id: WORKSPACE_ID,
+        title: 'Write report',
+        async delete() {
+            deleted.push(id);
+            return true;
+        }
+    }));
+    const baseUrl = await startApp(t);
+    const updated = await request(baseUrl, 'PUT', '/api/tasks/5', 2, { title: 'Renamed' });
+    assert.equal(updated.status, 403);
+    assert.deepEqual(updated.body, { error: 'You need editor access to this workspace', code: 'FORBIDDEN' });
+    const removed = await request(baseUrl, 'DELETE', '/api/tasks/5', 2);
+    assert.equal(removed.status, 403);
+    assert.deepEqual(deleted, []);
+    // The owner gets past the same check
+    assert.equal((await request(baseUrl, 'DELETE', '/api/tasks/5', 1)).status, 200);
+    assert.deepEqual(deleted, [5]);
+});
+test('a task in a workspace the user is not a member of is not found', async (t) => {
+    stubWorkspace(t, { 1: 'owner' });
+    t.mock.method(Task, 'findById', async id => ({ id, workspace_id: WORKSPACE_ID, title: 'Write report' }));
+    const baseUrl = await startApp(t);
+    for (const method of ['GET', 'PUT', 'DELETE']) {
+        const response = await request(baseUrl, method, '/api/tasks/5', 3, method === 'PUT' ? { title: 'Renamed' } : undefined);
+        assert.equal(response.status, 404, method);
+        assert.deepEqual(response.body, { error: 'Task not found' });
+    }
+    const workspace = await request(baseUrl, 'GET', `/api/workspaces/${WORKSPACE_ID}/members`, 3);
+    assert.equal(workspace.status, 404);
+});
+test('the last owner can neither be demoted nor removed', async (t) => {
+    const changes = stubWorkspace(t, { 1: 'owner', 2: 'editor' });
+    const workspace = new Workspace({ id: WORKSPACE_ID, is_personal: false, created_by: 1, role: 'owner' });
+    await assert.rejects(workspace.changeMember(1, 'editor'), /A workspace needs at least one owner/);
+    await assert.rejects(workspace.changeMember(1, null), /A workspace needs at least one owner/);
+    const baseUrl = await startApp(t);
+    const demoted = await request(baseUrl, 'PUT', `/api/workspaces/${WORKSPACE_ID}/members/1`, 1, { role: 'viewer' });
+    assert.equal(demoted.status, 409);
+    assert.deepEqual(demoted.body, { error: 'A workspace needs at least one owner' });
+    const removed = await request(baseUrl, 'DELETE', `/api/workspaces/${WORKSPACE_ID}/members/1`, 1);
+    assert.equal(removed.status, 409);
+    assert.deepEqual(changes, []);
+});
+test('an owner can step down once there is another owner', async (t) => {
+    const changes = stubWorkspace(t, { 1: 'owner', 2: 'owner' });
+    const baseUrl = await startApp(t);
+    const demoted = await request(baseUrl, 'PUT', `/api/workspaces/${WORKSPACE_ID}/members/1`, 1, { role: 'editor' });
+    assert.equal(demoted.status, 200);
+    const removed = await request(baseUrl, 'DELETE', `/api/workspaces/${WORKSPACE_ID}/members/2`, 2);
+    assert.equal(removed.status, 200);
+    assert.deepEqual(changes, ['UPDATE', 'DELETE']);
+});
+test('only owners change other members, and a missing member is not found', async (t) => {
+    stubWorkspace(t, { 1: 'owner', 2: 'editor', 3: 'viewer' });
+    const baseUrl = await startApp(t);
+    assert.equal((await request(baseUrl, 'PUT', `/api/workspaces/${WORKSPACE_ID}/members/3`, 2, { role: 'editor' })).status, 403);
+    assert.equal((await request(baseUrl, 'DELETE', `/api/workspaces/${WORKSPACE_ID}/members/3`, 2)).status, 403);
+    assert.equal((await request(baseUrl, 'DELETE', `/api/workspaces/${WORKSPACE_ID}/members/9`, 1)).status, 404);
+});
+test('the creator of a personal workspace keeps it', async (t) => {
+    stubWorkspace(t, { 1: 'owner' }, { is_personal: true });
+    const baseUrl = await startApp(t);
+    const removed = await request(baseUrl, 'DELETE', `/api/workspaces/${WORKSPACE_ID}/members/1`, 1);
+    assert.equal(removed.status, 400);
+    assert.deepEqual(removed.body, { error: 'Personal workspaces cannot be shared' });
+});